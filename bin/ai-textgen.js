@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+// ai-textgen.js
+// Command-line bullet generation: loads a local model in-process, no HTTP server involved
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { setLogger } = require('../src/log');
+const { loadConfig } = require('../src/config');
+
+// Settings come first, as in server.js: the modules below read theirs from the environment when they load.
+// The CLI uses the config file and environment layers; its own flags are parsed in main(). Loading stays
+// quiet since stdout is kept for the results.
+setLogger(() => {});
+let settings;
+try {
+  settings = loadConfig();
+} catch (error) {
+  console.error(`ai-textgen: ${error.message}`);
+  process.exit(1);
+}
+
+const { OUTPUT_FORMATS, escapeHtml, formatPoints } = require('../public/js/bullet-formats');
+const { LANGUAGES, DEFAULT_LANGUAGE, isValidLanguage } = require('../public/js/bullet-utils');
+const {
+  DEFAULT_MODEL,
+  PRECISIONS,
+  configureRuntime,
+  isValidPrecision,
+  getDefaultPrecision,
+  scanModels,
+  hasModel,
+  loadModel
+} = require('../src/model-registry');
+const { parseSamplingParams } = require('../src/sampling');
+const { LENGTH_UNITS, runGenerationJob } = require('../src/generation');
+const { DEFAULT_OVERGENERATE } = require('../src/quality');
+const { parseConstraintParams } = require('../src/constraints');
+const { getTemplate } = require('../src/template-store');
+
+const MAX_POINT_COUNT = settings.maxPointCount;
+const MAX_BULLET_LENGTH = 100;
+
+// Short names accepted by --format
+const FORMAT_ALIASES = { md: 'markdown', txt: 'text' };
+
+const USAGE = `Usage: ai-textgen [options] [topic ...]
+
+Generates bullet points for each topic with a local model. Topics come from the arguments,
+--input <file> (one per line, "-" for stdin) or piped stdin.
+
+Options:
+  -c, --count <n>              Bullets per topic (default 3, max ${MAX_POINT_COUNT})
+  -f, --format <format>        ${Object.keys(OUTPUT_FORMATS).join(', ')} (or md, txt); default text
+  -m, --model <id>             Model under models/ (default ${DEFAULT_MODEL})
+  -p, --precision <precision>  ${Object.keys(PRECISIONS).join(' or ')} (default: the model's)
+  -t, --template <id>          Prompt template id (default "default")
+  -l, --language <code>        Output language: ${Object.keys(LANGUAGES).join(', ')} (default ${DEFAULT_LANGUAGE})
+  -i, --input <file>           Read topics from a file, one per line ("-" for stdin)
+      --context <file>         Reference document (.txt/.md) the bullets should summarize
+      --length <n>             Target bullet length; longer bullets are cut back to it
+      --length-unit <unit>     ${LENGTH_UNITS.join(' or ')} (default words)
+      --stop <text>            Cut output at this text (repeatable)
+      --ban <words>            Never generate these words (comma-separated, repeatable)
+      --constrained            One bullet per line: force list numbers, stop at bullet boundaries
+  -o, --output <path>          Write to a file, or to one file per topic if <path> is a directory
+      --temperature <n>        Sampling temperature
+      --top-k <n>              Top-k sampling
+      --top-p <n>              Nucleus sampling
+      --repetition-penalty <n> Repetition penalty
+      --max-tokens <n>         Tokens per generation pass
+      --num-beams <n>          Beam search width
+      --seed <n>               Seed for reproducible sampling (needs --num-beams 1)
+      --greedy                 Disable sampling
+      --quality                Over-generate and keep the best-scoring bullets
+      --min-quality <0-1>      Drop bullets scoring below this quality (implies --quality)
+      --models <dir>           Models directory (default: the project's models/)
+      --threads <n>            ONNX threads
+  -v, --verbose                Show model and generation logs on stderr
+  -h, --help                   Show this help`;
+
+const OPTIONS = {
+  count: { type: 'string', short: 'c' },
+  format: { type: 'string', short: 'f' },
+  model: { type: 'string', short: 'm' },
+  precision: { type: 'string', short: 'p' },
+  template: { type: 'string', short: 't' },
+  language: { type: 'string', short: 'l' },
+  input: { type: 'string', short: 'i' },
+  context: { type: 'string' },
+  length: { type: 'string' },
+  'length-unit': { type: 'string' },
+  stop: { type: 'string', multiple: true },
+  ban: { type: 'string', multiple: true },
+  constrained: { type: 'boolean' },
+  output: { type: 'string', short: 'o' },
+  temperature: { type: 'string' },
+  'top-k': { type: 'string' },
+  'top-p': { type: 'string' },
+  'repetition-penalty': { type: 'string' },
+  'max-tokens': { type: 'string' },
+  'num-beams': { type: 'string' },
+  seed: { type: 'string' },
+  greedy: { type: 'boolean' },
+  'min-quality': { type: 'string' },
+  quality: { type: 'boolean' },
+  models: { type: 'string' },
+  threads: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+function usageError(message) {
+  return Object.assign(new Error(message), { exitCode: 2 });
+}
+
+function readTopics(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+function slugify(text) {
+  return text.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'topic';
+}
+
+// Validated settings from the command line; throws usage errors
+function parseOptions(values) {
+  const format = FORMAT_ALIASES[values.format] || values.format || 'text';
+  if (!OUTPUT_FORMATS[format]) {
+    throw usageError(`--format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}, md, txt`);
+  }
+
+  const count = values.count === undefined ? 3 : Number(values.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_POINT_COUNT) {
+    throw usageError(`--count must be an integer between 1 and ${MAX_POINT_COUNT}`);
+  }
+
+  const model = values.model || DEFAULT_MODEL;
+  if (!hasModel(model)) {
+    throw usageError(`Unknown model: ${model}`);
+  }
+  const precision = values.precision || getDefaultPrecision(model);
+  if (!isValidPrecision(precision)) {
+    throw usageError(`--precision must be one of: ${Object.keys(PRECISIONS).join(', ')}`);
+  }
+
+  const template = getTemplate(values.template || 'default');
+  if (!template) {
+    throw usageError(`Unknown template: ${values.template}`);
+  }
+
+  const language = values.language || DEFAULT_LANGUAGE;
+  if (!isValidLanguage(language)) {
+    throw usageError(`--language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  const { sampling, errors } = parseSamplingParams({
+    temperature: values.temperature,
+    topK: values['top-k'],
+    topP: values['top-p'],
+    repetitionPenalty: values['repetition-penalty'],
+    maxTokens: values['max-tokens'],
+    numBeams: values['num-beams'],
+    seed: values.seed,
+    doSample: values.greedy ? false : undefined
+  });
+  if (errors.length > 0) {
+    throw usageError(errors.join('; '));
+  }
+
+  let quality = null;
+  if (values.quality || values['min-quality'] !== undefined) {
+    const minScore = values['min-quality'] === undefined ? 0 : Number(values['min-quality']);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+      throw usageError('--min-quality must be a number between 0 and 1');
+    }
+    quality = { minScore, overGenerate: DEFAULT_OVERGENERATE };
+  }
+
+  let context = null;
+  if (values.context) {
+    if (!fs.existsSync(values.context)) {
+      throw usageError(`Context file not found: ${values.context}`);
+    }
+    context = fs.readFileSync(values.context, 'utf8').trim() || null;
+  }
+
+  let length = null;
+  if (values.length !== undefined) {
+    const value = Number(values.length);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_BULLET_LENGTH) {
+      throw usageError(`--length must be an integer between 1 and ${MAX_BULLET_LENGTH}`);
+    }
+    const unit = values['length-unit'] || 'words';
+    if (!LENGTH_UNITS.includes(unit)) {
+      throw usageError(`--length-unit must be one of: ${LENGTH_UNITS.join(', ')}`);
+    }
+    length = { value, unit };
+  } else if (values['length-unit'] !== undefined) {
+    throw usageError('--length-unit needs --length');
+  }
+
+  const { constraints, errors: constraintErrors } = parseConstraintParams({
+    stop: values.stop,
+    bannedWords: values.ban && values.ban.flatMap(words => words.split(',')),
+    constrained: values.constrained
+  });
+  if (constraintErrors.length > 0) {
+    throw usageError(constraintErrors.join('; '));
+  }
+  if (constraints.constrained && (sampling.numBeams || 1) > 1) {
+    throw usageError('--constrained doesn\'t support --num-beams above 1');
+  }
+
+  return { format, count, model, precision, template, language, context, length, constraints, sampling, quality };
+}
+
+async function collectTopics(positionals, input) {
+  if (input === '-' || (!input && positionals.length === 0 && !process.stdin.isTTY)) {
+    let text = '';
+    for await (const chunk of process.stdin) text += chunk;
+    return [...positionals, ...readTopics(text)];
+  }
+  if (input) {
+    return [...positionals, ...readTopics(fs.readFileSync(input, 'utf8'))];
+  }
+  return positionals;
+}
+
+// One document for all topics: sections for the text formats, an array for JSON
+function combineResults(results, format) {
+  if (results.length === 1) return formatPoints(results[0], format);
+  if (format === 'json') {
+    return `${JSON.stringify(results.map(result => JSON.parse(formatPoints(result, format))), null, 2)}\n`;
+  }
+  return results.map((result) => {
+    const body = formatPoints(result, format);
+    if (format === 'markdown') return `## ${result.topic}\n\n${body}`;
+    if (format === 'html') return `<h2>${escapeHtml(result.topic)}</h2>\n${body}`;
+    return `${result.topic}\n${body}`;
+  }).join('\n');
+}
+
+function writeOutput(results, format, output) {
+  const { extension } = OUTPUT_FORMATS[format];
+  if (!output) {
+    process.stdout.write(combineResults(results, format));
+    return;
+  }
+  if (fs.existsSync(output) && fs.statSync(output).isDirectory()) {
+    for (const result of results) {
+      const file = path.join(output, `${slugify(result.topic)}.${extension}`);
+      fs.writeFileSync(file, formatPoints(result, format));
+      console.error(`Wrote ${file}`);
+    }
+    return;
+  }
+  fs.writeFileSync(output, combineResults(results, format));
+  console.error(`Wrote ${output}`);
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Keep stdout for the results: model and generation progress goes to stderr with --verbose
+  const log = values.verbose ? (...args) => console.error(...args) : () => {};
+  setLogger(log);
+
+  const numThreads = values.threads === undefined ? undefined : Number(values.threads);
+  if (numThreads !== undefined && !(Number.isInteger(numThreads) && numThreads >= 1)) {
+    throw usageError('--threads must be a positive integer');
+  }
+  configureRuntime({
+    modelPath: values.models || path.join(__dirname, '..', 'models'),
+    ...(numThreads ? { numThreads } : {})
+  });
+  scanModels();
+  const options = parseOptions(values);
+
+  const topics = await collectTopics(positionals, values.input);
+  if (topics.length === 0) {
+    throw usageError(`No topics given\n\n${USAGE}`);
+  }
+
+  const generator = await loadModel(options.model, options.precision);
+  let truncatedContext = null; // usage.context of a generation that had to cut the document
+  const results = [];
+  for (const topic of topics) {
+    const startTime = Date.now();
+    const { points, usage } = await runGenerationJob(generator, {
+      context: options.context,
+      topic,
+      requestedCount: options.count,
+      sampling: options.sampling,
+      template: options.template,
+      language: options.language,
+      length: options.length,
+      constraints: options.constraints,
+      quality: options.quality
+    });
+    results.push({
+      topic,
+      model: options.model,
+      precision: options.precision,
+      template: options.template.id,
+      language: options.language,
+      requestedCount: options.count,
+      generatedCount: points.length,
+      points,
+      details: usage.points,
+      usage: {
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        totalTokens: usage.promptTokens + usage.completionTokens
+      },
+      generationTime: Date.now() - startTime,
+      cached: false
+    });
+    if (usage.context && usage.context.truncated) truncatedContext = usage.context;
+    if (topics.length > 1) console.error(`✅ ${topic} (${points.length}/${options.count} points)`);
+    log(`🧮 ${topic}: ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens`);
+  }
+
+  if (truncatedContext) {
+    console.error(`⚠️ Context truncated to fit the model: ${truncatedContext.usedTokens} of ${truncatedContext.tokens} tokens used`);
+  }
+  writeOutput(results, options.format, values.output);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(`ai-textgen: ${error.message}`);
+  process.exitCode = error.exitCode || (String(error.code).startsWith('ERR_PARSE_ARGS') ? 2 : 1);
+});
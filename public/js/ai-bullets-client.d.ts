@@ -0,0 +1,180 @@
+// Type declarations for ai-bullets-client.js
+
+export interface SamplingParams {
+  temperature?: number;
+  topK?: number;
+  topP?: number;
+  repetitionPenalty?: number;
+  maxTokens?: number;
+  numBeams?: number;
+  doSample?: boolean;
+  /** Makes sampling reproducible; needs numBeams 1 */
+  seed?: number;
+}
+
+export interface GenerateParams extends SamplingParams {
+  prompt: string;
+  count?: number;
+  model?: string;
+  precision?: 'fp32' | 'int8';
+  template?: string;
+  /** Output language, e.g. "es"; see GET /api/languages */
+  language?: string;
+  /** Reference document the bullets should summarize; trimmed to the model's context window */
+  context?: string;
+  /** Target bullet length (1-100); longer bullets are cut back to it */
+  bulletLength?: number;
+  lengthUnit?: 'words' | 'tokens';
+  /** Output is cut at the first of these (up to 4) */
+  stop?: string | string[];
+  /** Words never generated, on top of the server's BANNED_WORDS; an array or a comma-separated string */
+  bannedWords?: string | string[];
+  /** One bullet per line with forced list numbers, stopping at bullet boundaries; needs numBeams 1 */
+  constrained?: boolean;
+  minQuality?: number;
+  cacheTtl?: number;
+  timeout?: number;
+  version?: string;
+}
+
+export interface PointScore {
+  score: number;
+  scores: { relevance: number; repetition: number; overlap: number; completeness: number };
+}
+
+export interface GenerateResult {
+  success: true;
+  topic: string;
+  model: string;
+  precision: string;
+  sampling: SamplingParams;
+  template: string;
+  language: string;
+  length: { value: number; unit: 'words' | 'tokens' } | null;
+  constraints: DecodingConstraints;
+  requestedCount: number;
+  generatedCount: number;
+  points: string[];
+  details: Array<{ source: string; tokens: number; generationTime?: number } & Partial<PointScore>> | null;
+  quality: { candidates: number; rejected: number; minScore: number } | null;
+  moderation: ModerationReport | null;
+  /** How much of the reference document fit, when one was sent */
+  context: ContextReport | null;
+  /** Tokens of the generation; cache hits report the run that produced the set */
+  usage: TokenUsage | null;
+  version: string | null;
+  generationTime: number;
+  totalTime: number;
+  cached: boolean;
+  queue: { position: number; waitTime: number } | null;
+  timings: Record<string, number>;
+}
+
+export interface DecodingConstraints {
+  stop: string[];
+  constrained: boolean;
+  bannedWords: string[];
+}
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface ContextReport {
+  tokens: number;
+  usedTokens: number;
+  truncatedTokens: number;
+  truncated: boolean;
+  /** Paragraphs in the document and how many were used (the last one possibly in part) */
+  chunks: number;
+  usedChunks: number;
+}
+
+export interface ModerationReport {
+  policy: 'off' | 'reject' | 'redact' | 'regenerate';
+  /** Bullets the content filter flagged, including regenerated ones that were flagged again */
+  flagged: number;
+  redacted: number;
+  dropped: number;
+  regenerated: number;
+}
+
+export type ModelStatus = 'not_loaded' | 'loading' | 'ready' | 'error';
+
+export interface ServerStatus {
+  status: ModelStatus;
+  message: string;
+  defaultModel: string;
+  models: Record<string, { status: ModelStatus; precision: string; variants: Record<string, { status: ModelStatus }>; [key: string]: unknown }>;
+  cacheSize: number;
+  cacheHitRate: number;
+  queue: Record<string, number>;
+  workers: Record<string, unknown> | null;
+}
+
+export interface ApiError extends Error {
+  /** HTTP status; absent when the server could not be reached */
+  status?: number;
+  /** Seconds the server asked to wait before retrying */
+  retryAfter?: number;
+  /** A stream failed after bullets were already delivered */
+  partial?: boolean;
+}
+
+export interface ClientOptions {
+  /** Server origin, e.g. "https://bullets.example.com"; defaults to the page's own */
+  baseUrl?: string;
+  /** Sent as "Authorization: Bearer <key>" */
+  apiKey?: string;
+  /** Extra attempts on network errors and 429/502/503/504 responses waiting at most a minute (default 2) */
+  retries?: number;
+  /** First retry delay in ms, doubled per attempt unless the server sends Retry-After (default 1000) */
+  retryDelay?: number;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export interface WaitOptions extends RequestOptions {
+  model?: string;
+  /** Defaults to the model's default precision */
+  precision?: 'fp32' | 'int8';
+  interval?: number;
+  timeout?: number;
+  onStatus?: (status: ModelStatus, details: ServerStatus) => void;
+}
+
+export interface StreamHandlers extends RequestOptions {
+  onStart?: (info: Pick<GenerateResult, 'topic' | 'requestedCount' | 'model' | 'precision' | 'sampling' | 'template' | 'language' | 'length' | 'constraints'>) => void;
+  onQueued?: (position: number) => void;
+  onToken?: (text: string, index: number) => void;
+  onPoint?: (point: string, index: number) => void;
+}
+
+export interface TokenizeResult {
+  model: string;
+  /** Only when requested with ids: true */
+  ids?: number[];
+  count: number;
+  characters: number;
+  /** Tokens the model attends to: prompt plus generated text */
+  contextWindow: number;
+}
+
+export interface AiBulletsClient {
+  status(options?: RequestOptions): Promise<ServerStatus>;
+  waitUntilReady(options?: WaitOptions): Promise<ServerStatus>;
+  generate(params: GenerateParams, options?: RequestOptions): Promise<GenerateResult>;
+  stream(params: GenerateParams, handlers?: StreamHandlers): Promise<GenerateResult>;
+  tokenize(text: string, options?: RequestOptions & { model?: string; ids?: boolean }): Promise<TokenizeResult>;
+}
+
+export function createClient(options?: ClientOptions): AiBulletsClient;
+/** Load state of a model (default: the server's default) at a precision (default: the model's default) */
+export function modelStatus(status: ServerStatus, model?: string, precision?: string): ModelStatus;
+export const RETRYABLE_STATUSES: number[];
@@ -0,0 +1,214 @@
+// ai-bullets-client.js
+// Small client for the generation API: /api/generate (plain or streamed) and /api/status,
+// with retries on busy or unreachable servers. Works in browsers and Node 18+ (global fetch).
+// Types: ai-bullets-client.d.ts
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AiBulletsClient = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_RETRIES = 2;
+  const DEFAULT_RETRY_DELAY = 1000; // ms, doubled per attempt unless the server sends Retry-After
+  const DEFAULT_POLL_INTERVAL = 2000;
+  const DEFAULT_READY_TIMEOUT = 120000;
+  const MAX_RETRY_AFTER = 60; // s; longer waits (a spent daily quota) fail straight away
+
+  // Queue full, queue timeout and gateway errors are worth another try; bad requests are not
+  const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+  // Errors carry the HTTP status and the server's Retry-After (seconds) when there is one
+  function apiError(message, status, retryAfter) {
+    return Object.assign(new Error(message), { status, retryAfter });
+  }
+
+  function isRetryable(error) {
+    // No status means the request never got an answer (network error)
+    if (error.name === 'AbortError' || error.partial || error.retryAfter > MAX_RETRY_AFTER) return false;
+    return error.status === undefined || RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  // Resolves after `ms`, or rejects once `signal` aborts
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) return reject(signal.reason);
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason);
+        }, { once: true });
+      }
+    });
+  }
+
+  async function readError(response) {
+    let message = `Request failed with status ${response.status}`;
+    try {
+      const body = await response.json();
+      if (body && body.error) message = body.error;
+    } catch (error) {
+      // Not JSON; keep the generic message
+    }
+    const retryAfter = Number(response.headers.get('Retry-After')) || undefined;
+    return apiError(message, response.status, retryAfter);
+  }
+
+  // Splits an event-stream body into { event, data } messages
+  async function* readEvents(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        let event = 'message';
+        let data = '';
+        for (const line of message.split('\n')) {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        }
+        if (data) yield { event, data: JSON.parse(data) };
+      }
+    }
+  }
+
+  // options: { baseUrl, apiKey, retries, retryDelay, headers, fetch }. baseUrl defaults to the page's origin.
+  function createClient(options = {}) {
+    const baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    const retries = options.retries ?? DEFAULT_RETRIES;
+    const retryDelay = options.retryDelay ?? DEFAULT_RETRY_DELAY;
+    const headers = { ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {}), ...options.headers };
+    const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+    // Runs `attempt` until it succeeds, fails for good or runs out of retries
+    async function withRetries(attempt, signal) {
+      for (let tries = 0; ; tries++) {
+        try {
+          return await attempt();
+        } catch (error) {
+          if (tries >= retries || !isRetryable(error) || (signal && signal.aborted)) throw error;
+          const delay = error.retryAfter ? error.retryAfter * 1000 : retryDelay * 2 ** tries;
+          await sleep(delay, signal);
+        }
+      }
+    }
+
+    async function request(path, init = {}) {
+      const response = await fetchImpl(`${baseUrl}${path}`, {
+        ...init,
+        headers: { ...headers, ...init.headers }
+      });
+      if (!response.ok) throw await readError(response);
+      return response;
+    }
+
+    // GET /api/status
+    function status({ signal } = {}) {
+      return withRetries(async () => (await request('/api/status', { signal })).json(), signal);
+    }
+
+    // Polls /api/status until `model` (default: the server's default model) is ready at `precision`
+    // (default: the model's default precision). Rejects when it fails to load or `timeout` ms pass;
+    // onStatus sees every poll. Models that aren't loaded yet only load on a generate request.
+    async function waitUntilReady({ model, precision, interval = DEFAULT_POLL_INTERVAL, timeout = DEFAULT_READY_TIMEOUT, onStatus, signal } = {}) {
+      const deadline = Date.now() + timeout;
+      for (;;) {
+        const current = await status({ signal });
+        const state = modelStatus(current, model, precision);
+        if (onStatus) onStatus(state, current);
+        if (state === 'ready') return current;
+        if (state === 'error') {
+          throw apiError(`Model ${model || current.defaultModel} failed to load`, 503);
+        }
+        if (Date.now() + interval > deadline) {
+          throw apiError('Timed out waiting for the model to load', 504);
+        }
+        await sleep(interval, signal);
+      }
+    }
+
+    // POST /api/generate. params are the API's: { prompt, count, model, precision, template, ... }
+    function generate(params, { signal } = {}) {
+      return withRetries(async () => {
+        const response = await request('/api/generate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify(params),
+          signal
+        });
+        return response.json();
+      }, signal);
+    }
+
+    // Streamed POST /api/generate; resolves to the final result, the same shape generate() returns.
+    // Handlers: onStart(info), onQueued(position), onToken(text, index), onPoint(point, index).
+    // Only attempts that failed before any output are retried, so handlers never see a bullet twice.
+    function stream(params, { signal, onStart, onQueued, onToken, onPoint } = {}) {
+      return withRetries(async () => {
+        const response = await request('/api/generate', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+          body: JSON.stringify(params),
+          signal
+        });
+
+        let started = false;
+        try {
+          for await (const { event, data } of readEvents(response.body)) {
+            if (event === 'start' && onStart) onStart(data);
+            else if (event === 'queued' && onQueued) onQueued(data.position);
+            else if (event === 'token') {
+              started = true;
+              if (onToken) onToken(data.text, data.index);
+            } else if (event === 'point') {
+              started = true;
+              if (onPoint) onPoint(data.point, data.index);
+            } else if (event === 'done') {
+              return data;
+            } else if (event === 'error') {
+              throw apiError(data.error, data.status, data.retryAfter);
+            }
+          }
+          throw apiError('Stream ended before the generation finished', 502);
+        } catch (error) {
+          // Output already went to the handlers; a retry would repeat it
+          if (started) error.partial = true;
+          throw error;
+        }
+      }, signal);
+    }
+
+    // POST /api/tokenize: token count of `text` under a model's tokenizer, with its context window;
+    // the token ids too when `ids` is true
+    function tokenize(text, { model, ids, signal } = {}) {
+      return withRetries(async () => {
+        const response = await request('/api/tokenize', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ text, model, ids }),
+          signal
+        });
+        return response.json();
+      }, signal);
+    }
+
+    return { status, waitUntilReady, generate, stream, tokenize };
+  }
+
+  // Load state of `model` at `precision` in an /api/status response; defaults as in waitUntilReady
+  function modelStatus(current, model, precision) {
+    const entry = current.models[model || current.defaultModel];
+    if (!entry) return current.status;
+    const variant = precision && entry.variants ? entry.variants[precision] : null;
+    return variant ? variant.status : entry.status;
+  }
+
+  return { createClient, modelStatus, RETRYABLE_STATUSES };
+});
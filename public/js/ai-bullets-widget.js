@@ -0,0 +1,239 @@
+// ai-bullets-widget.js
+// <ai-bullets> Web Component for embedding bullet generation in other pages:
+//
+//   <script src="https://bullets.example.com/js/ai-bullets-widget.js"></script>
+//   <ai-bullets topic="renewable energy" count="3"></ai-bullets>
+//
+// Attributes: topic, count, model, precision, template, language, min-quality, bullet-length and length-unit
+// (words or tokens), stop (a stop sequence), banned-words (comma-separated), constrained (one bullet per line),
+// server (defaults to the origin the script was loaded from), api-key, autostart (generate on connect),
+// no-stream (one request, no live tokens).
+// Theme with CSS custom properties (--ai-bullets-font, -color, -background, -accent, -accent-text,
+// -border, -radius, -muted) or ::part(container | topic | generate | status | preview | list | point | insert).
+// Events, all bubbling out of the shadow root:
+//   ai-bullets-inserted  { point, index, topic }  a bullet was added to the list
+//   ai-bullets-done      { result }               the set is complete (GenerateResult)
+//   ai-bullets-select    { topic, points, result } the user clicked "Insert"
+//   ai-bullets-error     { error }
+(function () {
+  if (typeof window === 'undefined' || !window.customElements || customElements.get('ai-bullets')) return;
+
+  const scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+
+  // The client ships next to this file; pages that already loaded it skip the request
+  let clientReady = null;
+  function loadClient() {
+    if (window.AiBulletsClient) return Promise.resolve(window.AiBulletsClient);
+    if (!clientReady) {
+      clientReady = new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = new URL('ai-bullets-client.js', scriptUrl).href;
+        script.onload = () => resolve(window.AiBulletsClient);
+        script.onerror = () => reject(new Error(`Could not load ${script.src}`));
+        document.head.appendChild(script);
+      });
+    }
+    return clientReady;
+  }
+
+  const STYLE = `
+    :host {
+      display: block;
+      font-family: var(--ai-bullets-font, system-ui, sans-serif);
+      color: var(--ai-bullets-color, #222);
+    }
+    [part="container"] {
+      background: var(--ai-bullets-background, #fff);
+      border: 1px solid var(--ai-bullets-border, #ddd);
+      border-radius: var(--ai-bullets-radius, 8px);
+      padding: 12px;
+    }
+    form { display: flex; gap: 8px; }
+    input {
+      flex: 1;
+      font: inherit;
+      padding: 6px 8px;
+      border: 1px solid var(--ai-bullets-border, #ddd);
+      border-radius: var(--ai-bullets-radius, 8px);
+    }
+    button {
+      font: inherit;
+      padding: 6px 12px;
+      border: none;
+      border-radius: var(--ai-bullets-radius, 8px);
+      background: var(--ai-bullets-accent, #4f46e5);
+      color: var(--ai-bullets-accent-text, #fff);
+      cursor: pointer;
+    }
+    button:disabled { opacity: 0.6; cursor: default; }
+    [part="status"] { font-size: 0.85em; color: var(--ai-bullets-muted, #777); min-height: 1.2em; margin: 8px 0 0; }
+    [part="list"] { margin: 8px 0; padding-left: 1.4em; }
+    [part="preview"] { font-size: 0.85em; color: var(--ai-bullets-muted, #777); white-space: pre-wrap; margin: 4px 0 0; }
+    [part="list"]:empty, [part="preview"]:empty, [part="insert"][hidden] { display: none; }
+  `;
+
+  class AiBullets extends HTMLElement {
+    static get observedAttributes() {
+      return ['topic'];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+      this.shadowRoot.innerHTML = `
+        <style>${STYLE}</style>
+        <div part="container">
+          <form>
+            <input part="topic" name="topic" placeholder="Topic" required maxlength="100">
+            <button part="generate" type="submit">Generate</button>
+          </form>
+          <p part="status" role="status"></p>
+          <p part="preview"></p>
+          <ul part="list"></ul>
+          <button part="insert" type="button" hidden>Insert</button>
+        </div>
+      `;
+      this.elements = {
+        form: this.shadowRoot.querySelector('form'),
+        topic: this.shadowRoot.querySelector('[part="topic"]'),
+        generate: this.shadowRoot.querySelector('[part="generate"]'),
+        status: this.shadowRoot.querySelector('[part="status"]'),
+        preview: this.shadowRoot.querySelector('[part="preview"]'),
+        list: this.shadowRoot.querySelector('[part="list"]'),
+        insert: this.shadowRoot.querySelector('[part="insert"]')
+      };
+      this.result = null;
+      this.controller = null;
+
+      this.elements.form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        this.generate();
+      });
+      this.elements.insert.addEventListener('click', () => {
+        if (!this.result) return;
+        this.emit('ai-bullets-select', { topic: this.result.topic, points: this.points, result: this.result });
+      });
+    }
+
+    connectedCallback() {
+      this.elements.topic.value = this.getAttribute('topic') || '';
+      if (this.hasAttribute('autostart') && this.elements.topic.value.trim()) this.generate();
+    }
+
+    disconnectedCallback() {
+      if (this.controller) this.controller.abort();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (name === 'topic') this.elements.topic.value = newValue || '';
+    }
+
+    // Bullets of the last finished generation
+    get points() {
+      return this.result ? [...this.result.points] : [];
+    }
+
+    emit(type, detail) {
+      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    setStatus(message) {
+      this.elements.status.textContent = message;
+    }
+
+    // Generate params from the attributes; blank ones are left to the server defaults
+    params(topic) {
+      const params = { prompt: topic, count: Number(this.getAttribute('count')) || 3 };
+      for (const [attribute, param] of [['model', 'model'], ['precision', 'precision'], ['template', 'template'], ['language', 'language'], ['min-quality', 'minQuality'], ['bullet-length', 'bulletLength'], ['length-unit', 'lengthUnit'], ['stop', 'stop'], ['banned-words', 'bannedWords']]) {
+        const value = this.getAttribute(attribute);
+        if (value) params[param] = value;
+      }
+      if (this.hasAttribute('constrained')) params.constrained = true;
+      return params;
+    }
+
+    renderPoint(point, index) {
+      const item = this.elements.list.children[index] || this.elements.list.appendChild(document.createElement('li'));
+      item.setAttribute('part', 'point');
+      item.textContent = point;
+    }
+
+    // Starts a generation for the current topic; a running one is cancelled first.
+    // Resolves to the result, or null when it failed or was superseded.
+    async generate() {
+      const topic = this.elements.topic.value.trim();
+      if (!topic) return null;
+      if (this.controller) this.controller.abort();
+      const controller = new AbortController();
+      this.controller = controller;
+
+      this.result = null;
+      this.elements.list.textContent = '';
+      this.elements.preview.textContent = '';
+      this.elements.insert.hidden = true;
+      this.elements.generate.disabled = true;
+
+      try {
+        const { createClient, modelStatus } = await loadClient();
+        const client = createClient({
+          baseUrl: this.getAttribute('server') || new URL(scriptUrl).origin,
+          apiKey: this.getAttribute('api-key') || undefined
+        });
+        const { signal } = controller;
+
+        // A model that isn't loaded yet loads with the generate request; only a load under way is waited out
+        const model = this.getAttribute('model') || undefined;
+        const precision = this.getAttribute('precision') || undefined;
+        if (modelStatus(await client.status({ signal }), model, precision) === 'loading') {
+          this.setStatus('Model is loading...');
+          await client.waitUntilReady({ model, precision, signal });
+        }
+        this.setStatus('Generating...');
+
+        let result;
+        if (this.hasAttribute('no-stream')) {
+          result = await client.generate(this.params(topic), { signal });
+          result.points.forEach((point, index) => {
+            this.renderPoint(point, index);
+            this.emit('ai-bullets-inserted', { point, index, topic });
+          });
+        } else {
+          result = await client.stream(this.params(topic), {
+            signal,
+            onQueued: position => this.setStatus(`Queued (position ${position})...`),
+            onToken: (text) => {
+              this.elements.preview.textContent += text;
+            },
+            onPoint: (point, index) => {
+              this.renderPoint(point, index);
+              this.emit('ai-bullets-inserted', { point, index, topic });
+            }
+          });
+          // The final set is authoritative: fallbacks can replace streamed bullets
+          this.elements.list.textContent = '';
+          result.points.forEach((point, index) => this.renderPoint(point, index));
+        }
+
+        if (controller !== this.controller) return null;
+        this.elements.preview.textContent = '';
+        this.result = result;
+        this.elements.insert.hidden = result.points.length === 0;
+        this.setStatus(result.cached ? 'From cache' : `Generated in ${(result.totalTime / 1000).toFixed(1)}s`);
+        this.emit('ai-bullets-done', { result });
+        return result;
+      } catch (error) {
+        if (controller.signal.aborted) return null;
+        this.setStatus(`Error: ${error.message}`);
+        this.emit('ai-bullets-error', { error });
+        return null;
+      } finally {
+        if (controller === this.controller) {
+          this.controller = null;
+          this.elements.generate.disabled = false;
+        }
+      }
+    }
+  }
+
+  customElements.define('ai-bullets', AiBullets);
+})();
@@ -0,0 +1,85 @@
+// bullet-formats.js
+// Ready-to-embed output formats for generated bullets, shared by server.js and the UI
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BulletFormats = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const OUTPUT_FORMATS = {
+    markdown: { label: 'Markdown', contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { label: 'HTML', contentType: 'text/html; charset=utf-8', extension: 'html' },
+    text: { label: 'Plain text', contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    json: { label: 'JSON', contentType: 'application/json; charset=utf-8', extension: 'json' }
+  };
+
+  // Model output can carry line breaks mid-bullet; every format wants one line per point
+  function normalizePoint(point) {
+    return String(point).replace(/\s+/g, ' ').trim();
+  }
+
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Backslash-escape characters Markdown would otherwise render as formatting or links
+  function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+  }
+
+  // JSON document with per-point metadata; `details` comes from the generate response when available
+  function toJsonDocument(result, points) {
+    const details = result.details || [];
+    return {
+      topic: result.topic,
+      model: result.model || null,
+      precision: result.precision || null,
+      template: result.template || null,
+      requestedCount: result.requestedCount,
+      generatedCount: points.length,
+      generationTime: result.generationTime,
+      cached: !!result.cached,
+      usage: result.usage || null,
+      points: points.map((text, index) => {
+        const detail = details[index] || {};
+        return {
+          index,
+          text,
+          source: detail.source || null,
+          tokens: detail.tokens ?? null,
+          generationTime: detail.generationTime ?? null,
+          score: detail.score ?? null
+        };
+      })
+    };
+  }
+
+  // result: a generate response ({ topic, points, details, ... }); returns the formatted document as a string
+  function formatPoints(result, format) {
+    const points = result.points.map(normalizePoint);
+    switch (format) {
+      case 'markdown':
+        return `${points.map(point => `- ${escapeMarkdown(point)}`).join('\n')}\n`;
+      case 'html':
+        return `<ul>\n${points.map(point => `  <li>${escapeHtml(point)}</li>`).join('\n')}\n</ul>\n`;
+      case 'text':
+        return `${points.map(point => `• ${point}`).join('\n')}\n`;
+      case 'json':
+        return JSON.stringify(toJsonDocument(result, points), null, 2);
+      default:
+        throw new Error(`Unknown format: ${format}`);
+    }
+  }
+
+  return {
+    OUTPUT_FORMATS,
+    escapeHtml,
+    formatPoints
+  };
+});
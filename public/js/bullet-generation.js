@@ -0,0 +1,186 @@
+// bullet-generation.js
+// The two-pass generation strategy shared by the server (src/generation.js) and the in-browser worker:
+// a structured list prompt first, then single prompts for the bullets it didn't produce
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./bullet-utils'));
+  } else {
+    root.BulletGeneration = factory(root.BulletUtils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (BulletUtils) {
+  const {
+    getLanguage,
+    parseAndExtractPoints,
+    extractNumberedPoints,
+    cleanUpPoint
+  } = BulletUtils;
+
+  // New tokens per bullet when a request sets no target length
+  const DEFAULT_BULLET_TOKENS = 25;
+  // Structured pass budget when a request sets no target length; bullets it doesn't reach come from the
+  // shorter single prompts
+  const MAX_STRUCTURED_TOKENS = 120;
+  // "N. " and the line break around each bullet of a numbered list
+  const NUMBERING_TOKENS = 3;
+
+  // Sampling of each pass, as generate() options
+  const STRUCTURED_SAMPLING = { temperature: 0.85, do_sample: true, top_p: 0.95, top_k: 50, repetition_penalty: 1.2 };
+  const SINGLE_SAMPLING = { temperature: 0.9, do_sample: true, top_p: 0.95, top_k: 50, repetition_penalty: 1.15 };
+
+  // Turns the growing completion text into incremental chunks for streaming
+  function createTextStreamer(onText) {
+    let emittedLength = 0;
+    return (text) => {
+      if (text.length > emittedLength) {
+        onText(text.slice(emittedLength), text);
+        emittedLength = text.length;
+      }
+    };
+  }
+
+  // Turns per-step beam updates into incremental text chunks for streaming
+  function createTokenStreamer(generator, prompt, onText) {
+    const { tokenizer } = generator;
+    const promptLength = tokenizer.decode(tokenizer.encode(prompt), { skip_special_tokens: true }).length;
+    const stream = createTextStreamer(onText);
+    return beams => stream(tokenizer.decode(beams[0].output_token_ids, { skip_special_tokens: true }).slice(promptLength));
+  }
+
+  // End and padding token ids from the model's config, or from the tokenizer's special tokens when the config
+  // doesn't name them, so every local model (multilingual ones included) stops on its own end token
+  function specialTokenIds(generator) {
+    const config = generator.model ? generator.model.config : {};
+    const { tokenizer } = generator;
+    const eosTokenId = config.eos_token_id ?? tokenizer.model.tokens_to_ids.get(tokenizer.getToken('eos_token'));
+    return { pad_token_id: config.pad_token_id ?? tokenizer.pad_token_id ?? [].concat(eosTokenId)[0], eos_token_id: eosTokenId };
+  }
+
+  // Generates bullets for `topic`; throws whatever decoding throws, so callers choose their own fallback.
+  // options: promptTemplates (compiled, see compilePromptTemplates), language, targetCount (candidates to
+  // generate, default requestedCount), onToken(chunk, source, promptIndex), onPoint(point, index), and hooks
+  // that default to plain pipeline calls, one prompt at a time:
+  //   decodeStructured(prompt, onText) and decodeSingles(prompts, onToken(chunk, index)) resolve to the new text
+  //   prepareText(text) tidies raw output before it is parsed
+  //   extractListed(text, count) reads the bullets of completed list lines; extractPoints(text, count) every bullet
+  //   singlePoint(text) is the bullet of one single prompt's output, or null
+  //   accept(point) drops a bullet when false; notePoints(points, source) sees bullets as they turn up, with
+  //   source numbered, sentence or single
+  //   choosePoints(candidates) picks the final bullets; with it, onPoint only gets the chosen ones
+  //   log(message) reports progress (console.log)
+  async function generateOptimizedSet(generator, topic, requestedCount, options = {}) {
+    const startTime = Date.now();
+    const {
+      promptTemplates,
+      language,
+      targetCount = requestedCount,
+      onToken,
+      onPoint,
+      prepareText = text => text,
+      extractListed = (text, count) => extractNumberedPoints(text, topic, count, language),
+      extractPoints = (text, count) => parseAndExtractPoints(text, topic, count, language),
+      singlePoint = text => cleanUpPoint(text, topic, language),
+      accept = () => true,
+      notePoints = () => {},
+      choosePoints = null,
+      log = console.log
+    } = options;
+    const {
+      decodeStructured = async (prompt, onText) => {
+        const result = await generator(prompt, {
+          max_new_tokens: Math.min(MAX_STRUCTURED_TOKENS, targetCount * (DEFAULT_BULLET_TOKENS + NUMBERING_TOKENS)),
+          ...STRUCTURED_SAMPLING,
+          ...specialTokenIds(generator),
+          return_full_text: false,
+          callback_function: onText ? createTokenStreamer(generator, prompt, onText) : undefined
+        });
+        return result[0].generated_text;
+      },
+      decodeSingles = async (prompts, onSingleToken) => {
+        const texts = [];
+        for (const [index, prompt] of prompts.entries()) {
+          const result = await generator(prompt, {
+            max_new_tokens: DEFAULT_BULLET_TOKENS,
+            ...SINGLE_SAMPLING,
+            ...specialTokenIds(generator),
+            return_full_text: false,
+            callback_function: onSingleToken ? createTokenStreamer(generator, prompt, chunk => onSingleToken(chunk, index)) : undefined
+          });
+          texts.push(result[0].generated_text);
+        }
+        return texts;
+      }
+    } = options;
+    const { minLength } = getLanguage(language);
+
+    let emittedCount = 0;
+    const emitPoints = (points) => {
+      while (emittedCount < points.length) {
+        onPoint(points[emittedCount], emittedCount);
+        emittedCount++;
+      }
+    };
+    // Candidates may still be dropped by choosePoints, so they are only emitted once chosen
+    const emitCandidates = (points) => {
+      if (onPoint && !choosePoints) emitPoints(points);
+    };
+    const finish = async (candidates) => {
+      if (!choosePoints) return candidates.slice(0, requestedCount);
+      const points = await choosePoints(candidates);
+      if (onPoint) emitPoints(points);
+      return points;
+    };
+
+    // Strategy 1: Single structured prompt (fastest)
+    const structuredPrompt = promptTemplates.structured(topic, targetCount);
+    // Numbered bullets on completed lines are final, so they can be emitted mid-generation
+    const onStructuredText = (onToken || onPoint) && ((chunk, text) => {
+      if (onToken) onToken(chunk, 'structured');
+      const lastNewline = text.lastIndexOf('\n');
+      if (lastNewline !== -1) {
+        const completed = extractListed(prepareText(text.slice(0, lastNewline)), targetCount);
+        notePoints(completed, 'numbered');
+        emitCandidates(completed.filter(p => p.length > minLength && accept(p)));
+      }
+    });
+
+    const structuredText = prepareText(await decodeStructured(structuredPrompt, onStructuredText || undefined));
+    notePoints(extractListed(structuredText, targetCount), 'numbered');
+    const points = extractPoints(structuredText, targetCount).filter(accept);
+    notePoints(points, 'sentence'); // Whatever the numbered pass didn't find came from sentence splitting
+    emitCandidates(points.slice(0, targetCount));
+
+    // If we got enough points, return them
+    if (points.length >= targetCount) {
+      log(`✅ Structured generation successful: ${Date.now() - startTime}ms`);
+      return finish(points.slice(0, targetCount));
+    }
+
+    // Strategy 2: Fill remaining with targeted single generations
+    const singlePrompts = [];
+    for (let i = points.length; i < targetCount; i++) {
+      singlePrompts.push(promptTemplates.single(topic, i));
+    }
+    const singleTexts = await decodeSingles(singlePrompts, onToken && ((chunk, promptIndex) => onToken(chunk, 'single', promptIndex)));
+    for (const text of singleTexts) {
+      const point = singlePoint(prepareText(text));
+      if (point && point.length > minLength && accept(point)) {
+        notePoints([point], 'single');
+        points.push(point);
+        emitCandidates(points);
+      }
+    }
+
+    log(`✅ Hybrid generation completed: ${Date.now() - startTime}ms`);
+    return finish(points.slice(0, targetCount));
+  }
+
+  return {
+    DEFAULT_BULLET_TOKENS,
+    MAX_STRUCTURED_TOKENS,
+    NUMBERING_TOKENS,
+    createTextStreamer,
+    createTokenStreamer,
+    specialTokenIds,
+    generateOptimizedSet
+  };
+});
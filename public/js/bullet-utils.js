@@ -0,0 +1,475 @@
+// bullet-utils.js
+// Prompt templates and bullet parsing shared by server.js and the in-browser worker
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BulletUtils = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Built-in prompts; {topic} and {count} are filled in at generation time
+  const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Key benefits',
+    description: 'Benefits, facts and advantages of the topic',
+    structured: [
+      'Key benefits of {topic}:\n1.',
+      'Important facts about {topic}:\n1.',
+      'Main advantages of {topic}:\n1.',
+      'Essential points about {topic}:\n1.'
+    ],
+    single: [
+      '{topic} helps by',
+      '{topic} is valuable because it',
+      'The benefit of {topic} is that it',
+      '{topic} works by',
+      '{topic} provides',
+      '{topic} enables',
+      '{topic} improves'
+    ]
+  };
+
+  const TEMPLATE_PLACEHOLDERS = ['topic', 'count'];
+
+  // Post-processing rules and translated built-in prompts per output language.
+  // stopPrefixes are connectives the model tends to open a bullet with; a leading pronoun is swapped
+  // for the topic. Languages written without spaces join the topic straight onto the text.
+  const LANGUAGES = {
+    en: {
+      name: 'English',
+      template: DEFAULT_TEMPLATE,
+      stopPrefixes: ['is that', 'that', 'because', 'by', 'through', 'and', 'but', 'or', 'so', 'also'],
+      pronouns: ['it', 'this', 'they'],
+      fallback: [
+        'provides significant benefits.',
+        'has proven effectiveness.',
+        'offers practical solutions.',
+        'represents important advancement.',
+        'contributes to better outcomes.'
+      ]
+    },
+    es: {
+      name: 'Español',
+      template: {
+        structured: [
+          'Beneficios clave de {topic}:\n1.',
+          'Datos importantes sobre {topic}:\n1.',
+          'Principales ventajas de {topic}:\n1.',
+          'Puntos esenciales sobre {topic}:\n1.'
+        ],
+        single: [
+          '{topic} ayuda a',
+          '{topic} es valioso porque',
+          'La ventaja de {topic} es que',
+          '{topic} funciona',
+          '{topic} ofrece',
+          '{topic} permite',
+          '{topic} mejora'
+        ]
+      },
+      stopPrefixes: ['es que', 'que', 'porque', 'mediante', 'por', 'y', 'pero', 'o', 'así que', 'también'],
+      pronouns: ['esto', 'eso', 'ello', 'ellos', 'ellas'],
+      sentenceBoundary: /[.!?¡¿]+/,
+      fallback: [
+        'ofrece beneficios significativos.',
+        'tiene una eficacia demostrada.',
+        'ofrece soluciones prácticas.',
+        'representa un avance importante.',
+        'contribuye a mejores resultados.'
+      ]
+    },
+    fr: {
+      name: 'Français',
+      template: {
+        structured: [
+          'Principaux avantages de {topic} :\n1.',
+          'Faits importants sur {topic} :\n1.',
+          'Atouts majeurs de {topic} :\n1.',
+          'Points essentiels sur {topic} :\n1.'
+        ],
+        single: [
+          '{topic} aide à',
+          '{topic} est utile car',
+          "L'avantage de {topic} est que",
+          '{topic} fonctionne en',
+          '{topic} offre',
+          '{topic} permet de',
+          '{topic} améliore'
+        ]
+      },
+      stopPrefixes: ["c'est que", 'est que', 'que', 'parce que', 'car', 'grâce à', 'par', 'et', 'mais', 'ou', 'donc', 'aussi'],
+      pronouns: ['cela', 'ceci', 'il', 'elle', 'ils', 'elles'],
+      fallback: [
+        'offre des avantages significatifs.',
+        'a une efficacité prouvée.',
+        'propose des solutions pratiques.',
+        'représente une avancée importante.',
+        'contribue à de meilleurs résultats.'
+      ]
+    },
+    de: {
+      name: 'Deutsch',
+      template: {
+        structured: [
+          'Die wichtigsten Vorteile von {topic}:\n1.',
+          'Wichtige Fakten über {topic}:\n1.',
+          'Hauptvorteile von {topic}:\n1.',
+          'Wesentliche Punkte zu {topic}:\n1.'
+        ],
+        single: [
+          '{topic} hilft, indem es',
+          '{topic} ist wertvoll, weil es',
+          'Der Vorteil von {topic} ist, dass es',
+          '{topic} funktioniert, indem es',
+          '{topic} bietet',
+          '{topic} ermöglicht',
+          '{topic} verbessert'
+        ]
+      },
+      stopPrefixes: ['ist, dass', 'dass', 'weil', 'indem', 'durch', 'und', 'aber', 'oder', 'also', 'auch'],
+      pronouns: ['es', 'dies'], // Not "das", which is also the article ("Das Auto ...")
+      fallback: [
+        'bietet erhebliche Vorteile.',
+        'hat sich als wirksam erwiesen.',
+        'bietet praktische Lösungen.',
+        'stellt einen wichtigen Fortschritt dar.',
+        'trägt zu besseren Ergebnissen bei.'
+      ]
+    },
+    pt: {
+      name: 'Português',
+      template: {
+        structured: [
+          'Principais benefícios de {topic}:\n1.',
+          'Fatos importantes sobre {topic}:\n1.',
+          'Principais vantagens de {topic}:\n1.',
+          'Pontos essenciais sobre {topic}:\n1.'
+        ],
+        single: [
+          '{topic} ajuda a',
+          '{topic} é valioso porque',
+          'A vantagem de {topic} é que',
+          '{topic} funciona',
+          '{topic} oferece',
+          '{topic} permite',
+          '{topic} melhora'
+        ]
+      },
+      stopPrefixes: ['é que', 'que', 'porque', 'através de', 'por', 'e', 'mas', 'ou', 'então', 'também'],
+      pronouns: ['isso', 'isto', 'ele', 'ela', 'eles', 'elas'],
+      fallback: [
+        'oferece benefícios significativos.',
+        'tem eficácia comprovada.',
+        'oferece soluções práticas.',
+        'representa um avanço importante.',
+        'contribui para melhores resultados.'
+      ]
+    },
+    it: {
+      name: 'Italiano',
+      template: {
+        structured: [
+          'Vantaggi principali di {topic}:\n1.',
+          'Fatti importanti su {topic}:\n1.',
+          'Principali benefici di {topic}:\n1.',
+          'Punti essenziali su {topic}:\n1.'
+        ],
+        single: [
+          '{topic} aiuta a',
+          '{topic} è utile perché',
+          'Il vantaggio di {topic} è che',
+          '{topic} funziona',
+          '{topic} offre',
+          '{topic} permette di',
+          '{topic} migliora'
+        ]
+      },
+      stopPrefixes: ['è che', 'che', 'perché', 'tramite', 'attraverso', 'e', 'ma', 'o', 'quindi', 'anche'],
+      pronouns: ['questo', 'ciò', 'esso', 'essa', 'essi'],
+      fallback: [
+        'offre vantaggi significativi.',
+        "ha un'efficacia comprovata.",
+        'offre soluzioni pratiche.',
+        'rappresenta un progresso importante.',
+        'contribuisce a risultati migliori.'
+      ]
+    },
+    zh: {
+      name: '中文',
+      template: {
+        structured: [
+          '{topic}的主要优点：\n1.',
+          '关于{topic}的重要事实：\n1.',
+          '{topic}的主要优势：\n1.',
+          '关于{topic}的要点：\n1.'
+        ],
+        single: [
+          '{topic}的作用是',
+          '{topic}之所以有价值，是因为',
+          '{topic}的好处是',
+          '{topic}的工作原理是',
+          '{topic}提供',
+          '{topic}能够',
+          '{topic}改善了'
+        ]
+      },
+      stopPrefixes: ['是因为', '因为', '通过', '而且', '但是', '所以', '并且', '也'],
+      pronouns: ['它们', '它'],
+      spaced: false,
+      sentenceBoundary: /[。！？.!?]+/,
+      terminator: '。',
+      minLength: 4,
+      fallback: ['带来显著的好处。', '已被证明行之有效。', '提供实用的解决方案。', '代表着重要的进步。', '有助于取得更好的成果。']
+    },
+    ja: {
+      name: '日本語',
+      template: {
+        structured: [
+          '{topic}の主なメリット：\n1.',
+          '{topic}に関する重要な事実：\n1.',
+          '{topic}の主な利点：\n1.',
+          '{topic}の要点：\n1.'
+        ],
+        single: [
+          '{topic}は',
+          '{topic}が役立つのは',
+          '{topic}の利点は',
+          '{topic}の仕組みは',
+          '{topic}によって',
+          '{topic}を使うと',
+          '{topic}のおかげで'
+        ]
+      },
+      stopPrefixes: ['なぜなら', 'そして', 'しかし', 'また', 'つまり'],
+      pronouns: ['それ', 'これ'],
+      spaced: false,
+      sentenceBoundary: /[。！？.!?]+/,
+      terminator: '。',
+      minLength: 4,
+      fallback: ['は大きなメリットをもたらします。', 'は効果が実証されています。', 'は実用的な解決策を提供します。', 'は重要な進歩を表しています。', 'はより良い成果に貢献します。']
+    }
+  };
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  function isValidLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+  }
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Rules for a language id, with the English defaults filled in; unknown ids get English
+  const languageRules = {};
+  function getLanguage(language = DEFAULT_LANGUAGE) {
+    const id = isValidLanguage(language) ? language : DEFAULT_LANGUAGE;
+    if (!languageRules[id]) {
+      const rules = { spaced: true, sentenceBoundary: /[.!?]+/, terminator: '.', minLength: 10, ...LANGUAGES[id] };
+      const gap = rules.spaced ? '\\s+' : '\\s*';
+      const alternatives = words => words.map(escapeRegExp).join('|');
+      languageRules[id] = {
+        ...rules,
+        id,
+        stopPrefixPattern: new RegExp(`^(${alternatives(rules.stopPrefixes)})${gap}`, 'iu'),
+        // A pronoun only counts as a whole word in spaced languages ("it" in "items" doesn't)
+        pronounPattern: new RegExp(`^(${alternatives(rules.pronouns)})${rules.spaced ? '\\s+' : ''}`, 'iu'),
+        endPattern: new RegExp(`${rules.sentenceBoundary.source}$`, 'u'),
+        joiner: rules.spaced ? ' ' : ''
+      };
+    }
+    return languageRules[id];
+  }
+
+  function fillTemplate(text, values) {
+    return text.replace(/\{(topic|count)\}/g, (match, name) => String(values[name]));
+  }
+
+  // Builds structured/single prompt functions from a template definition.
+  // The built-in template is swapped for its translation; custom templates are used as written.
+  // Templates without single-prompt starters reuse the language's default ones to fill gaps.
+  // random picks the structured prompt variant; seeded requests pass their own generator.
+  // structuredVariants lists every prompt structured may return, for sizing what fits around them.
+  function compilePromptTemplates(template, language = DEFAULT_LANGUAGE, random = Math.random) {
+    const localized = getLanguage(language).template;
+    const source = template.id === DEFAULT_TEMPLATE.id ? localized : template;
+    const single = source.single && source.single.length > 0
+      ? source.single
+      : localized.single;
+
+    return {
+      structured: (topic, count) => {
+        const templates = source.structured;
+        return fillTemplate(templates[Math.floor(random() * templates.length)], { topic, count });
+      },
+
+      structuredVariants: (topic, count) => {
+        return source.structured.map(text => fillTemplate(text, { topic, count }));
+      },
+
+      single: (topic, index) => {
+        return fillTemplate(single[index % single.length], { topic, count: index + 1 });
+      }
+    };
+  }
+
+  // Optimized prompt templates with better structure
+  const PROMPT_TEMPLATES = compilePromptTemplates(DEFAULT_TEMPLATE);
+
+  // Longest bullet cleanUpPoint keeps when the caller doesn't pass its own length check
+  const MAX_POINT_LENGTH = 200;
+
+  function fitPointLength(text) {
+    return text.length > MAX_POINT_LENGTH ? null : text;
+  }
+
+  // Enhanced parsing with better extraction
+  // fitPoint(text, rules) enforces the bullet length (see cleanUpPoint) and is passed through
+  function parseAndExtractPoints(text, topic, expectedCount, language = DEFAULT_LANGUAGE, fitPoint = fitPointLength) {
+    const rules = getLanguage(language);
+    // Clean up the input text
+    text = text.replace(/\n+/g, '\n').trim();
+  
+    // Strategy 1: Extract numbered points
+    const points = extractNumberedPoints(text, topic, expectedCount, language, fitPoint);
+
+    // Strategy 2: Split by sentence if not enough points
+    if (points.length < expectedCount) {
+      const sentences = text.split(rules.sentenceBoundary).filter(s => s.trim().length > rules.minLength + 5);
+      for (const sentence of sentences) {
+        if (points.length >= expectedCount) break;
+        const cleanPoint = cleanUpPoint(sentence.trim(), topic, language, fitPoint);
+        if (cleanPoint && !points.some(p => p.includes(cleanPoint.substring(0, 20)))) {
+          points.push(cleanPoint);
+        }
+      }
+    }
+
+    return points.filter(p => p && p.length > rules.minLength);
+  }
+
+  // Numbered items: "1." and the "1、" used in Chinese and Japanese lists. An item runs to the line end or
+  // the next list number; digits inside it ("5G", "24/7") are kept
+  function extractNumberedPoints(text, topic, expectedCount, language = DEFAULT_LANGUAGE, fitPoint = fitPointLength) {
+    const points = [];
+    const numberedMatches = text.match(/\d+[.、]\s*(?:[^\n\d]|\d(?!\d*[.、]\s))+/gu);
+    if (numberedMatches) {
+      for (const match of numberedMatches) {
+        const point = match.replace(/^\d+[.、]\s*/, '').trim();
+        const cleanPoint = cleanUpPoint(point, topic, language, fitPoint);
+        if (cleanPoint) {
+          points.push(cleanPoint);
+          if (points.length >= expectedCount) break;
+        }
+      }
+    }
+    return points;
+  }
+
+  // One bullet per line, as constrained decoding writes them: "1. First\n2. Second"
+  function parseListItems(text, topic, expectedCount, language = DEFAULT_LANGUAGE, fitPoint = fitPointLength) {
+    const points = [];
+    for (const line of text.split('\n')) {
+      const cleanPoint = cleanUpPoint(line.replace(/^\s*\d+[.、]\s*/u, '').trim(), topic, language, fitPoint);
+      if (cleanPoint) {
+        points.push(cleanPoint);
+        if (points.length >= expectedCount) break;
+      }
+    }
+    return points;
+  }
+
+  // Enhanced point cleanup
+  // fitPoint(text, rules) returns the bullet held to its length limit (shortened, or null to drop it) before
+  // it gets its ending; by default bullets over MAX_POINT_LENGTH characters are dropped
+  function cleanUpPoint(text, topic, language = DEFAULT_LANGUAGE, fitPoint = fitPointLength) {
+    const rules = getLanguage(language);
+    if (!text || text.length < Math.min(5, rules.minLength)) return null;
+  
+    // Remove common prefixes and artifacts
+    text = text.replace(rules.stopPrefixPattern, '');
+    text = text.replace(/^\s*(?:[•\-\*]|\d+[.)、])\s*/u, '');
+    text = text.replace(rules.pronounPattern, `${topic}${rules.joiner}`);
+    text = text.trim();
+  
+    if (text.length < rules.minLength) return null;
+  
+    // Ensure proper capitalization; a no-op for scripts without case
+    text = text.charAt(0).toLocaleUpperCase(rules.id) + text.slice(1);
+
+    text = fitPoint(text, rules);
+    if (!text || text.length < rules.minLength) return null;
+  
+    // Ensure proper ending
+    if (!rules.endPattern.test(text)) {
+      text += rules.terminator;
+    }
+  
+    // Validate content quality
+    if (text.includes('undefined') || text.includes('null')) {
+      return null;
+    }
+  
+    return text;
+  }
+
+  // Ultra-fast parsing with minimal regex operations
+  function fastParsePoints(text, topic, expectedCount) {
+    const points = [];
+  
+    // Quick numbered extraction
+    const lines = text.split('\n');
+    for (const line of lines) {
+      if (points.length >= expectedCount) break;
+    
+      const match = line.match(/^\s*\d+\.\s*(.+)/);
+      if (match) {
+        let point = match[1].trim();
+        if (point.length > 8) {
+          // Minimal cleanup
+          point = point.replace(/[.!?]*$/, '.');
+          point = point.charAt(0).toUpperCase() + point.slice(1);
+          points.push(`${topic} ${point}`);
+        }
+      }
+    }
+  
+    // Fill remaining with sentence splits if needed
+    if (points.length < expectedCount) {
+      const sentences = text.split(/[.!?]+/).slice(0, expectedCount - points.length);
+      for (const sentence of sentences) {
+        if (points.length >= expectedCount) break;
+        const clean = sentence.trim();
+        if (clean.length > 10 && !clean.match(/^\d/)) {
+          points.push(`${topic} ${clean.charAt(0).toUpperCase()}${clean.slice(1)}.`);
+        }
+      }
+    }
+  
+    return points.slice(0, expectedCount);
+  }
+
+  // Minimal fallback for extreme cases
+  function generateMinimalFallback(topic, count, language = DEFAULT_LANGUAGE) {
+    const { fallback, joiner } = getLanguage(language);
+    return fallback.slice(0, count).map(t => `${topic}${joiner}${t}`);
+  }
+
+  return {
+    DEFAULT_TEMPLATE,
+    TEMPLATE_PLACEHOLDERS,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isValidLanguage,
+    getLanguage,
+    PROMPT_TEMPLATES,
+    compilePromptTemplates,
+    fillTemplate,
+    parseAndExtractPoints,
+    extractNumberedPoints,
+    parseListItems,
+    cleanUpPoint,
+    fastParsePoints,
+    generateMinimalFallback
+  };
+});
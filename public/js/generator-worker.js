@@ -0,0 +1,112 @@
+// generator-worker.js
+// Runs DistilGPT2 fully in the browser with the bundled transformers.js + ONNX Runtime WASM
+import { pipeline, env } from '../libs/transformers.min.js';
+import './bullet-utils.js';
+import './bullet-generation.js';
+
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_LANGUAGE,
+  compilePromptTemplates,
+  generateMinimalFallback
+} = self.BulletUtils;
+const { generateOptimizedSet } = self.BulletGeneration;
+
+// Same-origin model and runtime files only, so the page also works as a static site. Paths are relative to
+// this script, so the site can live under any base path.
+env.localModelPath = new URL('../models/', import.meta.url).href;
+env.allowLocalModels = true;
+env.allowRemoteModels = false;
+// The ort-wasm*.wasm binaries of the runtime transformers.min.js bundles (ONNX Runtime Web 1.14). server.js
+// serves them under /libs from the installed @xenova/transformers package, whose pinned version matches the
+// bundle; a static deployment copies node_modules/@xenova/transformers/dist/*.wasm into libs/.
+env.backends.onnx.wasm.wasmPaths = new URL('../libs/', import.meta.url).href;
+// Multi-threaded WASM needs SharedArrayBuffer, which requires a cross-origin isolated page
+env.backends.onnx.wasm.numThreads = self.crossOriginIsolated
+  ? Math.min(4, navigator.hardwareConcurrency || 1)
+  : 1;
+env.backends.onnx.wasm.simd = true;
+env.backends.onnx.wasm.proxy = false;
+
+let generator = null;
+let loadingPromise = null;
+
+function loadModel() {
+  if (generator) return Promise.resolve(generator);
+  if (loadingPromise) return loadingPromise;
+
+  self.postMessage({ type: 'status', status: 'loading' });
+  loadingPromise = pipeline('text-generation', 'distilgpt2', {
+    // The quantized decoder keeps the download small enough for the browser
+    quantized: true,
+    progress_callback: (progress) => self.postMessage({ type: 'progress', progress })
+  }).then((loaded) => {
+    generator = loaded;
+    self.postMessage({ type: 'status', status: 'ready' });
+    return generator;
+  }).catch((error) => {
+    loadingPromise = null;
+    self.postMessage({ type: 'status', status: 'error', message: error.message });
+    throw error;
+  });
+
+  return loadingPromise;
+}
+
+// The server's strategy (see bullet-generation.js) with plain pipeline calls, one prompt at a time
+async function generateInBrowser(topic, requestedCount, options) {
+  try {
+    return await generateOptimizedSet(generator, topic, requestedCount, options);
+  } catch (error) {
+    console.warn('In-browser generation failed, using minimal fallback:', error);
+    return generateMinimalFallback(topic, requestedCount, options.language);
+  }
+}
+
+self.addEventListener('message', async (event) => {
+  const { type, id, topic, count, template, language = DEFAULT_LANGUAGE } = event.data;
+
+  if (type === 'load') {
+    loadModel().catch(() => {});
+    return;
+  }
+
+  if (type !== 'generate') return;
+
+  const requestStart = Date.now();
+  const timings = {};
+  try {
+    const modelStart = Date.now();
+    await loadModel();
+    timings.modelLoad = Date.now() - modelStart;
+
+    const requestedCount = Math.min(Math.max(parseInt(count) || 3, 1), 5);
+    const generationStart = Date.now();
+    const points = await generateInBrowser(topic.trim(), requestedCount, {
+      promptTemplates: compilePromptTemplates(template || DEFAULT_TEMPLATE, language),
+      language,
+      onToken: (text, source) => self.postMessage({ type: 'token', id, text, source }),
+      onPoint: (point, index) => self.postMessage({ type: 'point', id, index, point })
+    });
+    const generationTime = Date.now() - generationStart;
+    timings.generation = generationTime;
+
+    self.postMessage({
+      type: 'done',
+      id,
+      result: {
+        success: true,
+        topic: topic.trim(),
+        requestedCount,
+        generatedCount: points.length,
+        points,
+        generationTime,
+        totalTime: Date.now() - requestStart,
+        cached: false,
+        timings
+      }
+    });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: error.message });
+  }
+});
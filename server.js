@@ -2,491 +2,1643 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { pipeline, env } = require('@xenova/transformers');
+const crypto = require('crypto');
+const { loadConfig, checkConfig, reloadConfig, publicConfig, watchConfigFile } = require('./src/config');
+
+// Settings come first: the modules below read theirs from the environment when they load (see src/config.js)
+let settings;
+try {
+  settings = loadConfig(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const { OUTPUT_FORMATS, formatPoints } = require('./public/js/bullet-formats');
+const { LANGUAGES, DEFAULT_LANGUAGE, isValidLanguage } = require('./public/js/bullet-utils');
+const {
+  DEFAULT_MODEL,
+  PRECISIONS,
+  configureRuntime,
+  isValidPrecision,
+  getDefaultPrecision,
+  setDefaultPrecision,
+  scanModels,
+  hasModel,
+  listModels,
+  getModelInfo,
+  getModelStatuses,
+  loadModel,
+  withModel,
+  loadTokenizer,
+  getContextWindow
+} = require('./src/model-registry');
+const { BENCHMARK_PROMPTS, MAX_BENCHMARK_TOKENS, runBenchmark } = require('./src/benchmark');
+const { parseSamplingParams, samplingKey } = require('./src/sampling');
+const { LENGTH_UNITS, runGenerationJob } = require('./src/generation');
+const { parseConstraintParams, constraintsKey } = require('./src/constraints');
+const { createMemoryBackend, createFileBackend, createGenerationCache, topicKey } = require('./src/generation-cache');
+const { createCounter, createCollector, createHistogram, renderMetrics } = require('./src/metrics');
+const { createInferenceQueue } = require('./src/inference-queue');
+const { createWorkerPool } = require('./src/worker-pool');
+const { JOB_INPUT_FORMATS, MAX_INPUT_ERRORS, parseJobInput, toCsv, toJsonl, createJobManager } = require('./src/bulk-jobs');
+const {
+  validateTemplate,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  reloadTemplates,
+  checkTemplatesFile
+} = require('./src/template-store');
+const {
+  isValidUserId,
+  validateHistoryEntry,
+  listHistory,
+  getHistoryEntry,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry
+} = require('./src/history-store');
+const {
+  DEFAULT_RATE_LIMIT,
+  listApiKeys,
+  getApiKey,
+  validateApiKeyInput,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+  recordUsage,
+  getUsage,
+  flushUsage,
+  checkRateLimit,
+  checkQuota
+} = require('./src/api-keys');
+const { createAuth } = require('./src/auth');
+const {
+  moderationPolicy,
+  reloadModeration,
+  checkModerationFile,
+  regenerateAttempts,
+  isBlocklisted,
+  redact,
+  setClassifierRunner,
+  checkText,
+  moderateTopic,
+  moderatePoints,
+  createStreamRedactor
+} = require('./src/moderation');
 
 const app = express();
-const PORT = process.env.PORT || 3005;
+const PORT = settings.port;
+
+// Inference runs in INFERENCE_WORKERS worker threads (0 = on the main thread). Each thread's ONNX runtime
+// gets ONNX_THREADS threads, by default an even share of the CPU cores.
+const INFERENCE_WORKERS = settings.inferenceWorkers;
+const ONNX_THREADS = settings.onnxThreads;
 
-// Enhanced transformers environment configuration
-env.localModelPath = './models/';
-env.allowLocalModels = true;
-env.allowRemoteModels = false;
-env.useBrowserCache = false;
-env.backends.onnx.wasm.numThreads = Math.min(8, require('os').cpus().length); // Use available CPU cores
-env.backends.onnx.wasm.simd = true;
-env.backends.onnx.wasm.proxy = false; // Disable proxy for better performance
+configureRuntime({ numThreads: ONNX_THREADS });
+const inferencePool = INFERENCE_WORKERS > 0
+  ? createWorkerPool({ size: INFERENCE_WORKERS, runtime: { numThreads: ONNX_THREADS } })
+  : null;
+// The moderation classifier runs next to the models, off the main thread
+if (inferencePool) setClassifierRunner((model, text) => inferencePool.classify(model, text));
+
+// CORS_ORIGINS: comma-separated origins allowed to call the API from a browser, or * for any
+const CORS_ORIGINS = settings.corsOrigins;
+// API keys are required when REQUIRE_API_KEY=true, or by default once any key exists.
+// ADMIN_API_KEY unlocks the admin routes (see requireAdmin) and is exempt from limits.
+const REQUIRE_API_KEY = settings.requireApiKey;
+const ADMIN_API_KEY = settings.adminApiKey;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
 app.use(express.static('public')); // Serve static HTML/CSS/JS files
+// In-browser mode loads the bundled runtime and model files from the same origin
+app.use('/libs', express.static('libs'));
+// transformers.min.js loads its WASM runtime binaries from /libs too; they ship with the pinned npm package
+app.use('/libs', express.static(path.join(__dirname, 'node_modules', '@xenova', 'transformers', 'dist'), { index: false }));
+app.use('/models', express.static('models'));
+
+const { apiKeyRequired, authenticate, requireAdmin, limitGenerations } = createAuth({
+  requireApiKey: REQUIRE_API_KEY,
+  adminApiKey: ADMIN_API_KEY
+});
+app.use('/api', authenticate);
 
-// Global model variable with enhanced caching
-let generator = null;
-let modelLoading = false;
-let tokenizer = null;
+// Bodies are parsed after authentication, so callers without access can't make the server buffer them
+app.use('/api/cache', requireAdmin);
+app.use('/api/cache/import', express.json({ limit: '20mb' })); // Cache imports can be large
+app.use('/api/generate', express.json({ limit: '1mb' })); // Room for a reference document (context)
+app.use('/api/tokenize', express.json({ limit: '100kb' })); // Documents are tokenized to check what fits
+app.use(express.json());
 
-// Enhanced model loading with better configuration
-async function loadModel() {
-  // Add debugging
-  console.log(`🔍 Model check: generator exists=${!!generator}, modelLoading=${modelLoading}`);
-  
-  // Instant return if model is already loaded
-  if (generator) {
-    console.log('✅ Model already loaded, returning immediately');
-    return generator;
-  }
-  
-  // If currently loading, wait efficiently
-  if (modelLoading) {
-    console.log('⏳ Model loading in progress, waiting...');
-    while (modelLoading) {
-      await new Promise(resolve => setTimeout(resolve, 10));
+// Counts a finished generation against a key; cache hits cost no tokens
+function recordKeyUsage(keyId, { cached, usage }) {
+  if (!keyId) return;
+  recordUsage(keyId, cached ? { cached: 1 } : { generations: 1, tokens: usage.completionTokens });
+}
+
+// Token counts reported with every generate response; nothing was run for cache hits and all-pinned sets
+function tokenUsage(usage) {
+  const promptTokens = usage ? usage.promptTokens : 0;
+  const completionTokens = usage ? usage.completionTokens : 0;
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+// Generation cache: CACHE_BACKEND=file (default, survives restarts) or memory. Size limits and the
+// default TTL (CACHE_TTL_SECONDS, 0 = no expiry) follow config reloads.
+const MAX_CACHE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const cacheLimits = { maxEntries: settings.cacheMaxEntries, maxBytes: settings.cacheMaxBytes };
+const generationCache = createGenerationCache({
+  backend: settings.cacheBackend === 'memory'
+    ? createMemoryBackend(cacheLimits)
+    : createFileBackend({ file: settings.cacheFile, ...cacheLimits }),
+  defaultTtl: settings.cacheTtlSeconds * 1000
+});
+
+// Key covers everything that changes the output: model variant, topic, count, output language, reference
+// document (by hash), target bullet length, decoding constraints (by hash), sampling settings and the prompt
+// template (versioned, so editing a template doesn't serve stale bullets)
+// Curated sets (see /api/generate/regenerate) are stored next to the generation they came from, one key per version
+function getCacheKey(topic, count, { model = DEFAULT_MODEL, precision = getDefaultPrecision(model), sampling = {}, template = null, language = DEFAULT_LANGUAGE, context = null, length = null, constraints = null, quality = null, version = null } = {}) {
+  const settings = samplingKey(sampling);
+  const templateKey = template && template.id !== 'default' ? `#${template.id}.v${template.version || 1}` : '';
+  const languageKey = language !== DEFAULT_LANGUAGE ? `[${language}]` : '';
+  const contextKey = context ? `+ctx.${crypto.createHash('sha256').update(context).digest('hex').slice(0, 16)}` : '';
+  const lengthKey = length ? `+len.${length.value}${length.unit}` : '';
+  const decoding = constraintsKey(constraints || undefined);
+  const decodingKey = decoding ? `+dec.${crypto.createHash('sha256').update(decoding).digest('hex').slice(0, 16)}` : '';
+  const qualityKey = quality ? `~q${quality.minScore}` : '';
+  const versionKey = version ? `@v${version}` : '';
+  return `${model}@${precision}:${topicKey(topic)}_${count}${languageKey}${contextKey}${lengthKey}${decodingKey}${templateKey}${qualityKey}${settings ? `|${settings}` : ''}${versionKey}`;
+}
+
+// Content-addressed, so saving the same curated set twice yields the same version
+function getSetVersion(points) {
+  return crypto.createHash('sha1').update(JSON.stringify(points)).digest('hex').slice(0, 10);
+}
+
+function unknownVersionError(version) {
+  return Object.assign(new Error(`Unknown set version: ${version}`), { status: 404 });
+}
+
+// Inference queue: QUEUE_CONCURRENCY generations share the model at once, QUEUE_MAX_DEPTH more may wait.
+// Request limits read from `settings` where they're used (maxPointCount, maxContextLength, quality and
+// decoding defaults, ...) follow config reloads.
+const QUEUE_CONCURRENCY = settings.queueConcurrency;
+const MAX_BATCH_SIZE = settings.maxBatchSize; // gap-filling prompts decoded together
+const MAX_CURATED_POINT_LENGTH = 300; // Edited bullets sent back to /api/generate/regenerate
+// Reference documents for grounded generation; only what fits the model's context window is used
+const CONTEXT_CONTENT_TYPES = ['text/plain', 'text/markdown'];
+// /api/tokenize input; a few times any model's context window, so clients can still see how far over a document is
+const MAX_TOKENIZE_LENGTH = 20000;
+// Target bullet length (bulletLength, in lengthUnit words or tokens); longer bullets are cut back to it
+const MAX_BULLET_LENGTH = 100;
+const MAX_REQUEST_TIMEOUT_SECONDS = 300;
+// LANGUAGE_MODELS picks the model for requests in a language that don't name one, e.g. a multilingual
+// model under models/: "es=Xenova/mGPT,fr=Xenova/mGPT" or "*=Xenova/mGPT" for every language but English
+const LANGUAGE_MODELS = parseLanguageModels(settings.languageModels);
+
+function parseLanguageModels(value) {
+  const mapping = {};
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [language, model] = part.split('=').map(p => p && p.trim());
+    if (!model || (language !== '*' && !isValidLanguage(language))) {
+      throw new Error(`Invalid LANGUAGE_MODELS entry "${part}" (expected <language>=<model> with language one of: ${Object.keys(LANGUAGES).join(', ')} or *)`);
     }
-    return generator;
+    mapping[language] = model;
   }
+  return mapping;
+}
 
-  modelLoading = true;
-  console.log('Loading DistilGPT2 model with optimizations...');
-  
-  try {
-    // Load model with aggressive performance optimizations
-    generator = await pipeline('text-generation', 'distilgpt2', {
-      quantized: false,
-      device: 'cpu',
-      dtype: 'fp32',
-      // Explicitly use the non-quantized model file
-      model_file_name: 'decoder_model_merged',
-      use_external_data_format: false,
-      provider: 'cpu',
-      // Additional optimizations
-      session_options: {
-        executionProviders: ['cpu'],
-        graphOptimizationLevel: 'all',
-        executionMode: 'sequential',
-        enableProfiling: false
-      }
-    });
+function languageModel(language) {
+  if (LANGUAGE_MODELS[language]) return LANGUAGE_MODELS[language];
+  return language !== DEFAULT_LANGUAGE && LANGUAGE_MODELS['*'] ? LANGUAGE_MODELS['*'] : DEFAULT_MODEL;
+}
 
-    // Pre-warm with minimal overhead
-    console.log('Pre-warming model...');
-    const warmupStart = Date.now();
-    await generator("Test", {
-      max_new_tokens: 1,
-      do_sample: false,
-      return_full_text: false,
-      use_cache: true
-    });
-    console.log(`Model warmed up in ${Date.now() - warmupStart}ms`);
-    console.log('✅ Model loaded and optimized successfully');
-    modelLoading = false;
-    return generator;
+const inferenceQueue = createInferenceQueue({
+  concurrency: QUEUE_CONCURRENCY,
+  maxDepth: settings.queueMaxDepth,
+  timeout: settings.requestTimeoutSeconds * 1000
+});
 
-  } catch (error) {
-    console.error('❌ Model loading failed:', error);
-    modelLoading = false;
-    generator = null; // Ensure clean state on failure
-    throw error;
+function storeGeneration(cacheKey, entry, ttl) {
+  // Results are moderated before they get here; this keeps anything blocklisted out even if one slipped by
+  if (entry.points.some(isBlocklisted)) {
+    console.warn(`🛡️ Not caching ${cacheKey}: it contains blocked content`);
+    return;
+  }
+  // The minimal fallback stands in for a model error; the next request should try the model again
+  if ((entry.meta.details || []).some(detail => detail.source === 'fallback')) {
+    console.warn(`⚠️ Not caching ${cacheKey}: it came from the fallback`);
+    return;
   }
+  generationCache.set(cacheKey, entry, ttl ? { ttl } : undefined);
+}
+
+// Cache lookup that drops entries the current blocklist no longer accepts (rules can change after caching)
+function getCachedGeneration(cacheKey) {
+  const cached = generationCache.get(cacheKey);
+  if (!cached || !cached.points.some(isBlocklisted)) return cached;
+  generationCache.delete(cacheKey);
+  console.log(`🛡️ Dropped cached set with blocked content: ${cacheKey}`);
+  return null;
 }
 
-// Enhanced caching with LRU and compression
-const generationCache = new Map();
-const MAX_CACHE_SIZE = 200; // Increased cache size
-const cacheHits = new Map(); // Track cache usage
+// Prometheus metrics, scraped from GET /api/metrics
+const generateRequests = createCounter('generate_requests_total', 'Generate requests by endpoint and outcome (generated, cached, invalid, error)');
+const requestDuration = createHistogram('request_duration_seconds', 'End-to-end generate request latency');
+const phaseDuration = createHistogram('request_phase_duration_seconds', 'Generate request latency per phase (validation, modelLoad, cache, generation, cacheStore)');
+const tokensGenerated = createCounter('tokens_generated_total', 'Completion tokens produced by the model');
+const promptTokensProcessed = createCounter('prompt_tokens_total', 'Prompt tokens fed to the model');
+const fallbackGenerations = createCounter('fallback_generations_total', 'Generations answered by the minimal fallback after a model error');
+const qualityCandidates = createCounter('quality_candidates_total', 'Candidate bullets scored for quality, by whether they were kept or rejected');
+const moderationFlags = createCounter('moderation_flagged_total', 'Generated bullets flagged by the content filter, by moderation policy');
+
+const cacheStat = (name) => () => [{ value: generationCache.stats()[name] }];
+createCollector('cache_hits_total', 'Generation cache lookups that found a live entry', 'counter', cacheStat('hits'));
+createCollector('cache_misses_total', 'Generation cache lookups that found nothing or an expired entry', 'counter', cacheStat('misses'));
+createCollector('cache_evictions_total', 'Entries evicted by the cache size limits', 'counter', cacheStat('evictions'));
+createCollector('cache_entries', 'Entries currently in the generation cache', 'gauge', cacheStat('entries'));
+createCollector('cache_bytes', 'Approximate size of the generation cache', 'gauge', cacheStat('bytes'));
+createCollector('queue_jobs_active', 'Generations currently running', 'gauge', () => [{ value: inferenceQueue.stats().active }]);
+createCollector('queue_jobs_waiting', 'Generations waiting in the inference queue', 'gauge', () => [{ value: inferenceQueue.stats().waiting }]);
+createCollector('queue_rejected_total', 'Generations turned away because the queue was full', 'counter', () => [{ value: inferenceQueue.stats().rejected }]);
+createCollector('model_load_duration_seconds', 'Load and warm-up time of each loaded model variant', 'gauge', () =>
+  Object.entries(currentModelStatuses()).flatMap(([model, { variants }]) =>
+    Object.entries(variants)
+      .filter(([, variant]) => variant.loadTime !== null)
+      .map(([precision, variant]) => ({ labels: { model, precision }, value: variant.loadTime / 1000 }))
+  )
+);
 
-function getCacheKey(topic, count) {
-  return `${topic.toLowerCase().trim().replace(/\s+/g, '_')}_${count}`;
+// Outcome label for a failed generate request: queue_full, timeout, cancelled or error
+function failureOutcome(error) {
+  if (error.status === 404) return 'invalid';
+  if (error.code === 'CONTENT_BLOCKED') return 'blocked';
+  return ['QUEUE_FULL', 'TIMEOUT', 'CANCELLED'].includes(error.code) ? error.code.toLowerCase() : 'error';
 }
 
-function cleanCache() {
-  if (generationCache.size >= MAX_CACHE_SIZE) {
-    // LRU eviction - remove least recently used
-    let oldestKey = null;
-    let oldestTime = Date.now();
-    
-    for (const [key, data] of generationCache.entries()) {
-      if (data.lastUsed < oldestTime) {
-        oldestTime = data.lastUsed;
-        oldestKey = key;
-      }
-    }
-    
-    if (oldestKey) {
-      generationCache.delete(oldestKey);
-      cacheHits.delete(oldestKey);
+// Records one finished generate request; `usage` comes from generateOptimizedSet (absent on cache hits)
+function recordGenerateMetrics(endpoint, { model, precision, cached, timings, totalTime, usage }) {
+  generateRequests.inc({ endpoint, outcome: cached ? 'cached' : 'generated' });
+  requestDuration.observe({ endpoint, cached }, totalTime / 1000);
+  for (const [phase, ms] of Object.entries(timings)) {
+    phaseDuration.observe({ phase }, ms / 1000);
+  }
+  if (usage) {
+    tokensGenerated.inc({ model, precision }, usage.completionTokens);
+    promptTokensProcessed.inc({ model, precision }, usage.promptTokens);
+    if (usage.fallback) fallbackGenerations.inc({ model, precision });
+    if (usage.quality) {
+      qualityCandidates.inc({ model, result: 'kept' }, usage.quality.candidates - usage.quality.rejected);
+      qualityCandidates.inc({ model, result: 'rejected' }, usage.quality.rejected);
     }
   }
 }
 
-// Optimized prompt templates with better structure
-const PROMPT_TEMPLATES = {
-  structured: (topic, count) => {
-    const templates = [
-      `Key benefits of ${topic}:\n1.`,
-      `Important facts about ${topic}:\n1.`,
-      `Main advantages of ${topic}:\n1.`,
-      `Essential points about ${topic}:\n1.`
-    ];
-    return templates[Math.floor(Math.random() * templates.length)];
-  },
-  
-  single: (topic, index) => {
-    const starters = [
-      `${topic} helps by`,
-      `${topic} is valuable because it`,
-      `The benefit of ${topic} is that it`,
-      `${topic} works by`,
-      `${topic} provides`,
-      `${topic} enables`,
-      `${topic} improves`
-    ];
-    return starters[index % starters.length];
-  }
+// Routes (unchanged)
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+const STATUS_MESSAGES = {
+  not_loaded: 'Model not loaded',
+  loading: 'Model is loading...',
+  ready: 'Model is ready',
+  error: 'Model failed to load'
 };
 
-// Batch generation for better performance
-async function batchGenerate(prompts, options = {}) {
-  const results = [];
-  const batchSize = 1; // Process one at a time but optimize each call
-  
-  for (let i = 0; i < prompts.length; i += batchSize) {
-    const batch = prompts.slice(i, i + batchSize);
-    const batchPromises = batch.map(prompt => 
-      generator(prompt, {
-        max_new_tokens: options.maxTokens || 30,
-        temperature: options.temperature || 0.8,
-        do_sample: true,
-        top_p: 0.95,
-        top_k: 50,
-        repetition_penalty: 1.15,
-        return_full_text: false,
-        pad_token_id: 50256,
-        eos_token_id: 50256,
-        // Performance optimizations
-        use_cache: true,
-        output_scores: false,
-        output_attentions: false,
-        output_hidden_states: false
-      })
-    );
-    
-    const batchResults = await Promise.all(batchPromises);
-    results.push(...batchResults);
+app.get('/api/status', async (req, res) => {
+  try {
+    // Top-level status tracks the default model; every registered model is listed under `models`
+    const models = currentModelStatuses();
+    const status = models[DEFAULT_MODEL] ? models[DEFAULT_MODEL].status : 'not_loaded';
+    res.json({
+      status,
+      message: STATUS_MESSAGES[status],
+      defaultModel: DEFAULT_MODEL,
+      models,
+      cacheSize: generationCache.size,
+      cacheHitRate: calculateCacheHitRate(),
+      queue: inferenceQueue.stats(),
+      workers: inferencePool ? inferencePool.stats() : null
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
   }
-  
-  return results;
-}
+});
 
-// Optimized single generation strategy
-async function generateOptimizedSet(topic, requestedCount) {
-  const startTime = Date.now();
-  
+// Prometheus scrape endpoint
+app.get('/api/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+app.get('/api/models', (req, res) => {
   try {
-    // Strategy 1: Single structured prompt (fastest)
-    const structuredPrompt = PROMPT_TEMPLATES.structured(topic, requestedCount);
-    
-    const result = await generator(structuredPrompt, {
-      max_new_tokens: Math.min(120, requestedCount * 25), // Optimized token count
-      temperature: 0.85,
-      do_sample: true,
-      top_p: 0.95,
-      top_k: 50,
-      repetition_penalty: 1.2,
-      return_full_text: false,
-      pad_token_id: 50256,
-      eos_token_id: 50256,
-      use_cache: true,
-      output_scores: false,
-      output_attentions: false,
-      output_hidden_states: false
+    res.json({ defaultModel: DEFAULT_MODEL, models: scanModels() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Output languages and the model each one uses when a request doesn't pick one
+app.get('/api/languages', (req, res) => {
+  res.json({
+    defaultLanguage: DEFAULT_LANGUAGE,
+    languages: Object.entries(LANGUAGES).map(([id, { name }]) => ({ id, name, model: languageModel(id) }))
+  });
+});
+
+// Token ids of `text` under a model's tokenizer (body: { text, model }), with the model's context window,
+// so clients can check how much of a prompt or reference document fits before generating
+// Counted against the rate limit like a generation; token ids are only returned with ids: true
+app.post('/api/tokenize', limitGenerations, async (req, res) => {
+  const { text, model = DEFAULT_MODEL, ids: includeIds = false } = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'text must be a string' });
+  }
+  if (text.length > MAX_TOKENIZE_LENGTH) {
+    return res.status(400).json({ error: `text must be at most ${MAX_TOKENIZE_LENGTH} characters` });
+  }
+  if (typeof includeIds !== 'boolean') {
+    return res.status(400).json({ error: 'ids must be true or false' });
+  }
+  if (!hasModel(model)) {
+    return res.status(400).json({ error: `Unknown model: ${model}` });
+  }
+
+  try {
+    const tokenizer = await loadTokenizer(model);
+    const ids = Array.from(tokenizer.encode(text), Number);
+    res.json({
+      model,
+      ...(includeIds ? { ids } : {}),
+      count: ids.length,
+      characters: text.length,
+      contextWindow: getContextWindow(model)
     });
+  } catch (error) {
+    console.error(`❌ Tokenizing failed for ${model}:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    let points = parseAndExtractPoints(result[0].generated_text, topic, requestedCount);
-    
-    // If we got enough points, return them
-    if (points.length >= requestedCount) {
-      console.log(`✅ Structured generation successful: ${Date.now() - startTime}ms`);
-      return points.slice(0, requestedCount);
-    }
-
-    // Strategy 2: Fill remaining with targeted single generations
-    const needed = requestedCount - points.length;
-    if (needed > 0 && needed <= 3) { // Only fill small gaps efficiently
-      const singlePrompts = [];
-      for (let i = 0; i < needed; i++) {
-        singlePrompts.push(PROMPT_TEMPLATES.single(topic, points.length + i));
-      }
+app.get('/api/models/:id(*)', (req, res) => {
+  const model = getModelInfo(req.params.id);
+  if (!model) {
+    return res.status(404).json({ error: `Unknown model: ${req.params.id}` });
+  }
+  res.json(model);
+});
 
-      const singleResults = await batchGenerate(singlePrompts, {
-        maxTokens: 25,
-        temperature: 0.9
-      });
+// Change which precision a model uses when requests don't ask for one
+app.put('/api/models/:id(*)', requireAdmin, (req, res) => {
+  const modelId = req.params.id;
+  const { defaultPrecision } = req.body;
+  if (!hasModel(modelId)) {
+    return res.status(404).json({ error: `Unknown model: ${modelId}` });
+  }
+  if (!isValidPrecision(defaultPrecision)) {
+    return res.status(400).json({ error: `defaultPrecision must be one of: ${Object.keys(PRECISIONS).join(', ')}` });
+  }
+  setDefaultPrecision(modelId, defaultPrecision);
+  res.json(getModelInfo(modelId));
+});
 
-      for (const singleResult of singleResults) {
-        const cleanPoint = cleanUpPoint(singleResult[0].generated_text, topic);
-        if (cleanPoint && cleanPoint.length > 10) {
-          points.push(cleanPoint);
-        }
-      }
+// Effective settings (see src/config.js), secrets left out
+app.get('/api/config', (req, res) => {
+  res.json(publicConfig());
+});
+
+// Re-reads the config file and applies what can change without a restart: cache limits and TTL, queue depth
+// and timeout, and the request limits read from `settings`. Template and moderation files are read again too,
+// so a reload also picks up hand edits there. All three files are checked first: when any is invalid nothing
+// changes. Resolves to { changed, restartRequired, errors, templates, moderation }.
+async function applyConfigReload() {
+  const errors = [...checkConfig(), ...checkTemplatesFile(), ...checkModerationFile()];
+  if (errors.length > 0) {
+    console.error(`❌ Configuration not reloaded:\n  ${errors.join('\n  ')}`);
+    return { changed: [], restartRequired: [], errors };
+  }
+  const result = reloadConfig();
+  if (result.errors.length > 0) return result;
+  const evicted = generationCache.configure({
+    maxEntries: settings.cacheMaxEntries,
+    maxBytes: settings.cacheMaxBytes,
+    defaultTtl: settings.cacheTtlSeconds * 1000
+  });
+  if (evicted > 0) console.log(`🧹 Evicted ${evicted} cache entries to fit the new limits`);
+  inferenceQueue.setLimits({ maxDepth: settings.queueMaxDepth, timeout: settings.requestTimeoutSeconds * 1000 });
+  const templates = await reloadTemplates();
+  const moderation = reloadModeration();
+  return { ...result, templates, moderation };
+}
+
+// Without ADMIN_API_KEY, send the server SIGHUP instead
+app.post('/api/config/reload', requireAdmin, async (req, res) => {
+  try {
+    const result = await applyConfigReload();
+    if (result.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid configuration, nothing was changed', code: 'INVALID_CONFIG', errors: result.errors });
     }
+    res.json({ ...result, config: publicConfig() });
+  } catch (error) {
+    console.error('❌ Configuration reload failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cache administration
+app.get('/api/cache', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const entries = generationCache.list({ topic: req.query.topic });
+  res.json({
+    stats: generationCache.stats(),
+    total: entries.length,
+    entries: entries.slice(-limit).reverse() // Most recently used first
+  });
+});
+
+app.get('/api/cache/entry', (req, res) => {
+  const entry = typeof req.query.key === 'string' ? generationCache.inspect(req.query.key) : null;
+  if (!entry) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+  res.json(entry);
+});
 
-    console.log(`✅ Hybrid generation completed: ${Date.now() - startTime}ms`);
-    return points.slice(0, requestedCount);
+// Purge by topic (?topic=...) or everything (?all=true)
+app.delete('/api/cache', (req, res) => {
+  if (req.query.topic) {
+    const purged = generationCache.purgeTopic(req.query.topic);
+    console.log(`🧹 Purged ${purged} cache entries for topic "${req.query.topic}"`);
+    return res.json({ purged });
+  }
+  if (req.query.all === 'true') {
+    const purged = generationCache.clear();
+    console.log(`🧹 Cleared generation cache (${purged} entries)`);
+    return res.json({ purged });
+  }
+  res.status(400).json({ error: 'Specify ?topic=<topic> or ?all=true' });
+});
 
+app.get('/api/cache/export', (req, res) => {
+  res.attachment(`generation-cache-${Date.now()}.json`);
+  res.json(generationCache.export());
+});
+
+app.post('/api/cache/import', (req, res) => {
+  try {
+    // Entries with blocklisted bullets are left out, like generations that fail moderation
+    const entries = req.body && Array.isArray(req.body.entries) ? req.body.entries : null;
+    const allowed = entries && entries.filter(entry => !(entry && Array.isArray(entry.points) && entry.points.some(isBlocklisted)));
+    const result = generationCache.import(entries ? { ...req.body, entries: allowed } : req.body);
+    result.blocked = entries ? entries.length - allowed.length : 0;
+    console.log(`📥 Imported ${result.imported} cache entries (${result.skipped} skipped, ${result.blocked} blocked)`);
+    res.json({ ...result, stats: generationCache.stats() });
   } catch (error) {
-    console.warn('Fast generation failed, using minimal fallback:', error);
-    return generateMinimalFallback(topic, requestedCount);
+    res.status(400).json({ error: error.message });
   }
-}
+});
 
-// Enhanced parsing with better extraction
-function parseAndExtractPoints(text, topic, expectedCount) {
-  let points = [];
-  
-  // Clean up the input text
-  text = text.replace(/\n+/g, '\n').trim();
-  
-  // Strategy 1: Extract numbered points
-  const numberedMatches = text.match(/\d+\.\s*([^\n\d]+)/g);
-  if (numberedMatches) {
-    for (const match of numberedMatches) {
-      const point = match.replace(/^\d+\.\s*/, '').trim();
-      const cleanPoint = cleanUpPoint(point, topic);
-      if (cleanPoint) {
-        points.push(cleanPoint);
-        if (points.length >= expectedCount) break;
-      }
+// Prompt template library
+app.get('/api/templates', (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = getTemplate(req.params.id);
+  if (!template) {
+    return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
+  }
+  res.json(template);
+});
+
+app.post('/api/templates', requireAdmin, async (req, res) => {
+  const errors = validateTemplate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  try {
+    const template = await createTemplate(req.body);
+    console.log(`📝 Created template: ${template.id}`);
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/templates/:id', requireAdmin, async (req, res) => {
+  const errors = validateTemplate(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  try {
+    const template = await updateTemplate(req.params.id, req.body);
+    if (!template) {
+      return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
     }
+    console.log(`📝 Updated template: ${template.id} (v${template.version})`);
+    res.json(template);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
 
-  // Strategy 2: Split by sentence if not enough points
-  if (points.length < expectedCount) {
-    const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 15);
-    for (const sentence of sentences) {
-      if (points.length >= expectedCount) break;
-      const cleanPoint = cleanUpPoint(sentence.trim(), topic);
-      if (cleanPoint && !points.some(p => p.includes(cleanPoint.substring(0, 20)))) {
-        points.push(cleanPoint);
-      }
+app.delete('/api/templates/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!await deleteTemplate(req.params.id)) {
+      return res.status(404).json({ error: `Unknown template: ${req.params.id}` });
     }
+    console.log(`🗑️ Deleted template: ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
+});
 
-  return points.filter(p => p && p.length > 10);
-}
+// Saved generations, kept per user. The UI sends a per-browser id in X-User-Id.
+app.use('/api/history', (req, res, next) => {
+  const userId = req.get('X-User-Id');
+  if (!isValidUserId(userId)) {
+    return res.status(400).json({ error: 'X-User-Id header must be 8-64 letters, digits, "-" or "_"' });
+  }
+  req.historyUser = userId;
+  next();
+});
 
-// Enhanced point cleanup
-function cleanUpPoint(text, topic) {
-  if (!text || text.length < 5) return null;
-  
-  // Remove common prefixes and artifacts
-  text = text.replace(/^(is that|that|because|by|through|and|but|or|so|also)\s+/i, '');
-  text = text.replace(/^\s*[•\-\*\d+\.]\s*/, '');
-  text = text.replace(/^(it\s+|this\s+|they\s+)/i, `${topic} `);
-  text = text.trim();
-  
-  if (text.length < 10) return null;
-  
-  // Ensure proper capitalization
-  text = text.charAt(0).toUpperCase() + text.slice(1);
-  
-  // Ensure proper ending
-  if (!text.match(/[.!?]$/)) {
-    text += '.';
+// ?search=<text>&favourites=true&limit=<n>
+app.get('/api/history', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const entries = listHistory(req.historyUser, {
+    search: typeof req.query.search === 'string' ? req.query.search : '',
+    favourites: req.query.favourites === 'true',
+    limit
+  });
+  res.json({ entries });
+});
+
+app.get('/api/history/:id', (req, res) => {
+  const entry = getHistoryEntry(req.historyUser, req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown history entry: ${req.params.id}` });
   }
-  
-  // Validate content quality
-  if (text.includes('undefined') || text.includes('null') || text.length > 200) {
-    return null;
+  res.json(entry);
+});
+
+app.post('/api/history', async (req, res) => {
+  const errors = validateHistoryEntry(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
   }
-  
-  return text;
-}
+  try {
+    res.status(201).json(await addHistoryEntry(req.historyUser, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-// Ultra-fast parsing with minimal regex operations
-function fastParsePoints(text, topic, expectedCount) {
-  const points = [];
-  
-  // Quick numbered extraction
-  const lines = text.split('\n');
-  for (const line of lines) {
-    if (points.length >= expectedCount) break;
-    
-    const match = line.match(/^\s*\d+\.\s*(.+)/);
-    if (match) {
-      let point = match[1].trim();
-      if (point.length > 8) {
-        // Minimal cleanup
-        point = point.replace(/[.!?]*$/, '.');
-        point = point.charAt(0).toUpperCase() + point.slice(1);
-        points.push(`${topic} ${point}`);
-      }
+// Body: { favourite: true|false }
+app.patch('/api/history/:id', async (req, res) => {
+  if (typeof req.body.favourite !== 'boolean') {
+    return res.status(400).json({ error: 'favourite must be true or false' });
+  }
+  try {
+    const entry = await updateHistoryEntry(req.historyUser, req.params.id, { favourite: req.body.favourite });
+    if (!entry) {
+      return res.status(404).json({ error: `Unknown history entry: ${req.params.id}` });
     }
+    res.json(entry);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-  
-  // Fill remaining with sentence splits if needed
-  if (points.length < expectedCount) {
-    const sentences = text.split(/[.!?]+/).slice(0, expectedCount - points.length);
-    for (const sentence of sentences) {
-      if (points.length >= expectedCount) break;
-      const clean = sentence.trim();
-      if (clean.length > 10 && !clean.match(/^\d/)) {
-        points.push(`${topic} ${clean.charAt(0).toUpperCase()}${clean.slice(1)}.`);
-      }
+});
+
+app.delete('/api/history/:id', async (req, res) => {
+  try {
+    if (!await deleteHistoryEntry(req.historyUser, req.params.id)) {
+      return res.status(404).json({ error: `Unknown history entry: ${req.params.id}` });
     }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-  
-  return points.slice(0, expectedCount);
-}
-
-// Minimal fallback for extreme cases
-function generateMinimalFallback(topic, count) {
-  const templates = [
-    "provides significant benefits.",
-    "has proven effectiveness.",
-    "offers practical solutions.",
-    "represents important advancement.",
-    "contributes to better outcomes."
-  ];
-  
-  return templates.slice(0, count).map(t => `${topic} ${t}`);
+});
+
+function usageDays(query) {
+  return Math.min(Math.max(parseInt(query.days) || 30, 1), 90);
 }
 
-// Routes (unchanged)
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// Daily usage of the caller's own key: ?days=<n> (default 30, newest first)
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(400).json({ error: 'Usage is recorded per API key; send one to see its usage' });
+  }
+  res.json({ key: getApiKey(req.apiKey.id), usage: getUsage(req.apiKey.id, { days: usageDays(req.query) }) });
 });
 
-app.get('/api/status', async (req, res) => {
+// Key management; ADMIN_API_KEY only
+app.use('/api/keys', requireAdmin);
+
+app.get('/api/keys', (req, res) => {
+  res.json({ keys: listApiKeys() });
+});
+
+app.get('/api/keys/:id', (req, res) => {
+  const apiKey = getApiKey(req.params.id);
+  if (!apiKey) {
+    return res.status(404).json({ error: `Unknown API key: ${req.params.id}` });
+  }
+  res.json({ ...apiKey, usage: getUsage(apiKey.id, { days: usageDays(req.query) }) });
+});
+
+// Body: { name, rateLimit?, dailyTokenQuota? }; limits left out use the server defaults, null means unlimited.
+// The response is the only time the key itself is shown.
+app.post('/api/keys', async (req, res) => {
+  const errors = validateApiKeyInput(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
   try {
-    if (!generator && !modelLoading) {
-      res.json({ status: 'not_loaded', message: 'Model not loaded' });
-    } else if (modelLoading) {
-      res.json({ status: 'loading', message: 'Model is loading...' });
-    } else {
-      res.json({ 
-        status: 'ready', 
-        message: 'Model is ready',
-        cacheSize: generationCache.size,
-        cacheHitRate: calculateCacheHitRate()
-      });
+    const { key, apiKey } = await createApiKey(req.body);
+    console.log(`🔑 Created API key ${apiKey.id} (${apiKey.name})`);
+    res.status(201).json({ ...apiKey, key });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: any of { name, rateLimit, dailyTokenQuota, disabled }
+app.patch('/api/keys/:id', async (req, res) => {
+  const errors = validateApiKeyInput(req.body, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; ') });
+  }
+  try {
+    const apiKey = await updateApiKey(req.params.id, req.body);
+    if (!apiKey) {
+      return res.status(404).json({ error: `Unknown API key: ${req.params.id}` });
     }
+    res.json(apiKey);
   } catch (error) {
-    res.status(500).json({ status: 'error', message: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/keys/:id', async (req, res) => {
+  try {
+    if (!await deleteApiKey(req.params.id)) {
+      return res.status(404).json({ error: `Unknown API key: ${req.params.id}` });
+    }
+    console.log(`🔑 Deleted API key ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Loads each precision variant and compares speed, memory and output against the first one.
+// Runs in a pool worker when there is a pool; memory figures cover the whole process either way.
+app.post('/api/benchmark', limitGenerations, async (req, res) => {
+  const {
+    model = DEFAULT_MODEL,
+    precisions = Object.keys(PRECISIONS),
+    prompts = BENCHMARK_PROMPTS,
+    maxNewTokens = 40,
+    reload = false
+  } = req.body;
+
+  if (!hasModel(model)) {
+    return res.status(400).json({ error: `Unknown model: ${model}` });
+  }
+  if (!Array.isArray(precisions) || precisions.length === 0 || !precisions.every(isValidPrecision)) {
+    return res.status(400).json({ error: `precisions must be a non-empty array of: ${Object.keys(PRECISIONS).join(', ')}` });
+  }
+  if (!Array.isArray(prompts) || prompts.length === 0 || prompts.length > 20 ||
+      !prompts.every(p => typeof p === 'string' && p.trim().length > 0)) {
+    return res.status(400).json({ error: 'prompts must be an array of 1-20 non-empty strings' });
+  }
+  const tokens = parseInt(maxNewTokens);
+  if (!Number.isInteger(tokens) || tokens < 1 || tokens > MAX_BENCHMARK_TOKENS) {
+    return res.status(400).json({ error: `maxNewTokens must be between 1 and ${MAX_BENCHMARK_TOKENS}` });
+  }
+
+  try {
+    const options = {
+      model,
+      precisions: [...new Set(precisions)],
+      prompts,
+      maxNewTokens: tokens,
+      reload: !!reload
+    };
+    const report = inferencePool ? await inferencePool.benchmark(options) : await runBenchmark(options);
+    console.log(`🏁 Benchmark of ${model} finished in ${report.totalTime}ms`);
+    res.json(report);
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
 function calculateCacheHitRate() {
-  let totalHits = 0;
-  let totalRequests = 0;
-  for (const hits of cacheHits.values()) {
-    totalHits += hits;
-    totalRequests += hits;
+  const { hits, misses } = generationCache.stats();
+  const totalRequests = hits + misses;
+  return totalRequests > 0 ? (hits / totalRequests * 100).toFixed(1) : 0;
+}
+
+// Shared validation for the JSON and streaming generate endpoints; returns { error } or the parsed request
+function parseGenerateRequest(params) {
+  const { prompt, count = 3, language = DEFAULT_LANGUAGE } = params;
+  if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return { error: 'Valid prompt is required' };
   }
-  return totalRequests > 0 ? (totalHits / totalRequests * 100).toFixed(1) : 0;
+  if (!isValidLanguage(language)) {
+    return { error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')}` };
+  }
+  const { model = languageModel(language) } = params;
+  if (!hasModel(model)) {
+    return { error: `Unknown model: ${model}` };
+  }
+  const { precision = getDefaultPrecision(model) } = params;
+  if (!isValidPrecision(precision)) {
+    return { error: `precision must be one of: ${Object.keys(PRECISIONS).join(', ')}` };
+  }
+  const { sampling, errors: samplingErrors } = parseSamplingParams(params);
+  if (samplingErrors.length > 0) {
+    return { error: samplingErrors.join('; ') };
+  }
+  const template = getTemplate(params.template || 'default');
+  if (!template) {
+    return { error: `Unknown template: ${params.template}` };
+  }
+
+  // Optional per-entry cache lifetime in seconds
+  let cacheTtl = null;
+  if (params.cacheTtl !== undefined && params.cacheTtl !== '') {
+    const ttl = Number(params.cacheTtl);
+    if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_CACHE_TTL_SECONDS) {
+      return { error: `cacheTtl must be an integer between 1 and ${MAX_CACHE_TTL_SECONDS} seconds` };
+    }
+    cacheTtl = ttl * 1000;
+  }
+
+  const format = params.format || null;
+  if (format && !OUTPUT_FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}` };
+  }
+
+  // Quality scoring is opt-in: QUALITY_SCORING turns it on for every request, otherwise a request asks for it
+  // by giving minQuality. Scored bullets are held back until the end, so they don't stream one by one.
+  let quality = null;
+  const hasMinQuality = params.minQuality !== undefined && params.minQuality !== '';
+  if (settings.qualityScoring || hasMinQuality) {
+    quality = { minScore: settings.minQuality, overGenerate: settings.qualityOvergenerate };
+    if (hasMinQuality) {
+      const minScore = Number(params.minQuality);
+      if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+        return { error: 'minQuality must be a number between 0 and 1' };
+      }
+      quality.minScore = minScore;
+    }
+  }
+
+  // Optional reference document the bullets should summarize
+  let context = null;
+  if (params.context !== undefined && params.context !== null && params.context !== '') {
+    if (typeof params.context !== 'string') {
+      return { error: 'context must be a string' };
+    }
+    if (params.context.length > settings.maxContextLength) {
+      return { error: `context must be at most ${settings.maxContextLength} characters` };
+    }
+    context = params.context.trim() || null;
+  }
+
+  // Optional target bullet length, in words (default) or model tokens
+  let length = null;
+  if (params.bulletLength !== undefined && params.bulletLength !== null && params.bulletLength !== '') {
+    const value = Number(params.bulletLength);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_BULLET_LENGTH) {
+      return { error: `bulletLength must be an integer between 1 and ${MAX_BULLET_LENGTH}` };
+    }
+    const unit = params.lengthUnit || 'words';
+    if (!LENGTH_UNITS.includes(unit)) {
+      return { error: `lengthUnit must be one of: ${LENGTH_UNITS.join(', ')}` };
+    }
+    length = { value, unit };
+  } else if (params.lengthUnit !== undefined && params.lengthUnit !== '') {
+    return { error: 'lengthUnit needs a bulletLength' };
+  }
+
+  // Optional stop sequences, banned words and constrained list decoding. The server-wide default doesn't
+  // apply under beam search; only a request asking for both is rejected.
+  const beamSearch = (sampling.numBeams || 1) > 1;
+  const { constraints, errors: constraintErrors } = parseConstraintParams(params, {
+    constrained: settings.constrainedDecoding && !beamSearch,
+    bannedWords: settings.bannedWords
+  });
+  if (constraintErrors.length > 0) {
+    return { error: constraintErrors.join('; ') };
+  }
+  if (constraints.constrained && beamSearch) {
+    return { error: "constrained decoding doesn't support beam search (numBeams > 1)" };
+  }
+
+  // A curated set saved by /api/generate/regenerate
+  const version = params.version || null;
+  if (version && !/^[0-9a-f]{10}$/.test(version)) {
+    return { error: 'version must be a set version returned by /api/generate/regenerate' };
+  }
+
+  // Optional limit in seconds on queue wait plus generation
+  let timeout = settings.requestTimeoutSeconds * 1000;
+  if (params.timeout !== undefined && params.timeout !== '') {
+    const seconds = Number(params.timeout);
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_REQUEST_TIMEOUT_SECONDS) {
+      return { error: `timeout must be an integer between 1 and ${MAX_REQUEST_TIMEOUT_SECONDS} seconds` };
+    }
+    timeout = seconds * 1000;
+  }
+
+  return {
+    topic: prompt.trim(),
+    requestedCount: Math.min(Math.max(parseInt(count) || 3, 1), settings.maxPointCount),
+    model,
+    precision,
+    sampling,
+    template,
+    language,
+    context,
+    length,
+    constraints,
+    quality,
+    cacheTtl,
+    timeout,
+    format,
+    version
+  };
+}
+
+// points: [{ text, pinned }] from the client, in display order; returns { error } or { curated }
+function parseCuratedPoints(points) {
+  if (!Array.isArray(points) || points.length === 0 || points.length > settings.maxPointCount) {
+    return { error: `points must be an array of 1-${settings.maxPointCount} bullets` };
+  }
+  for (const point of points) {
+    if (!point || typeof point.text !== 'string' || point.text.trim().length === 0 || point.text.length > MAX_CURATED_POINT_LENGTH) {
+      return { error: `Each point needs a non-empty text of at most ${MAX_CURATED_POINT_LENGTH} characters` };
+    }
+    if (point.pinned !== undefined && typeof point.pinned !== 'boolean') {
+      return { error: 'pinned must be true or false' };
+    }
+  }
+  return { curated: points.map(({ text, pinned }) => ({ text: text.trim(), pinned: !!pinned })) };
+}
+
+// Sends a generate result as the JSON response, or as a ready-to-embed document when `format` is set
+function sendGenerateResult(res, result, format) {
+  if (!format) return res.json(result);
+  res.type(OUTPUT_FORMATS[format].contentType).send(formatPoints(result, format));
+}
+
+// Loads a model variant wherever generations run: every pool worker, or the main thread without a pool
+async function ensureModelLoaded(model, precision) {
+  if (inferencePool) {
+    await inferencePool.loadModel(model, precision);
+  } else {
+    await loadModel(model, precision);
+  }
+}
+
+// Model load state from wherever generations run, in getModelStatuses() shape
+function currentModelStatuses() {
+  return inferencePool ? inferencePool.getModelStatuses() : getModelStatuses();
 }
 
-app.post('/api/generate', async (req, res) => {
+// Runs one generation on the main thread; resolves to { points, usage } like a pool job
+async function generateInProcess(job, hooks) {
+  return withModel(job.model, job.precision, generator => runGenerationJob(generator, job, hooks));
+}
+
+// Runs a generation through the inference queue. `signal` cancels the request (client gone),
+// onQueued(position) reports a wait, and onToken/onPoint are passed through for streaming.
+async function runQueuedGeneration(request, { signal, onQueued, ...hooks } = {}) {
+  const { model, precision, topic, requestedCount, curated, sampling, template, language, context, length, constraints, quality, timeout } = request;
+  const job = { model, precision, topic, requestedCount, curated, sampling, template, language, context, length, constraints, quality, maxBatchSize: MAX_BATCH_SIZE };
+  const { result, position, waitTime, runTime } = await inferenceQueue.run(({ signal: jobSignal }) =>
+    inferencePool
+      ? inferencePool.run(job, { signal: jobSignal, ...hooks })
+      : generateInProcess(job, { signal: jobSignal, ...hooks }),
+    { signal, timeout, onQueued });
+  return { points: result.points, usage: result.usage, generationTime: runTime, queue: { position, waitTime } };
+}
+
+// runQueuedGeneration followed by output moderation (see src/moderation.js). Under the regenerate policy
+// flagged bullets are unpinned and generated again through the curated path; bullets still flagged after
+// the last attempt are dropped. Resolves to runQueuedGeneration's result plus the moderation report.
+async function runModeratedGeneration(request, hooks = {}) {
+  const generated = await runQueuedGeneration(request, hooks);
+  const { usage } = generated;
+  let { points, flagged, report } = await moderatePoints(generated.points);
+
+  for (let attempt = 0; flagged.length > 0 && attempt < regenerateAttempts(); attempt++) {
+    console.log(`🛡️ Regenerating ${flagged.length} flagged point(s) for: "${request.topic}"`);
+    const curated = points.map((text, index) => ({ text, pinned: !flagged.includes(index) }));
+    const retry = await runQueuedGeneration({ ...request, curated }, { signal: hooks.signal });
+    const review = await moderatePoints(flagged.map(index => retry.points[index]));
+    for (const index of flagged) {
+      points[index] = retry.points[index];
+      usage.points[index] = retry.usage.points[index];
+    }
+    usage.promptTokens += retry.usage.promptTokens;
+    usage.completionTokens += retry.usage.completionTokens;
+    generated.generationTime += retry.generationTime;
+    report.flagged += review.report.flagged;
+    report.regenerated += flagged.length;
+    flagged = review.flagged.map(position => flagged[position]);
+  }
+
+  // Bullets still flagged, and those the redact policy couldn't mask, leave the set
+  report.dropped += flagged.length;
+  const keep = (_, index) => points[index] !== null && !flagged.includes(index);
+  if (report.flagged > 0) moderationFlags.inc({ policy: report.policy }, report.flagged);
+  return {
+    ...generated,
+    points: points.filter(keep),
+    usage: { ...usage, points: usage.points.filter(keep) },
+    moderation: report
+  };
+}
+
+// Generate params from a JSON body, or from the query string when the body is an uploaded
+// .txt/.md reference document (text/plain or text/markdown), which becomes `context`
+function generateParams(req) {
+  if (typeof req.body !== 'string') return req.body;
+  const { apiKey, ...params } = req.query;
+  return { ...params, context: req.body };
+}
+
+const contextUpload = express.text({ type: CONTEXT_CONTENT_TYPES, limit: '1mb' });
+
+app.post('/api/generate', limitGenerations, contextUpload, async (req, res) => {
+  // Clients asking for an event stream get the incremental variant
+  if (req.accepts(['application/json', 'text/event-stream']) === 'text/event-stream') {
+    return streamGeneration(req, res, generateParams(req));
+  }
+
   const requestStart = Date.now();
   const timings = {};
+
+  // Closing the connection before the response is sent cancels the queued or running generation
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) disconnect.abort();
+  });
   
   try {
-    const { prompt, count = 3 } = req.body;
-    if (!prompt || prompt.trim().length === 0) {
-      return res.status(400).json({ error: 'Valid prompt is required' });
+    const request = parseGenerateRequest(generateParams(req));
+    if (request.error) {
+      generateRequests.inc({ endpoint: 'generate', outcome: 'invalid' });
+      return res.status(400).json({ error: request.error });
     }
-
+    const { topic, requestedCount, model, precision, sampling, template, language, context, length, constraints, quality, cacheTtl, format, version } = request;
+    await moderateTopic(topic);
     timings.validation = Date.now() - requestStart;
 
     // Ensure model is loaded
     const modelStart = Date.now();
-    await loadModel();
+    await ensureModelLoaded(model, precision);
     timings.modelLoad = Date.now() - modelStart;
     
-    const requestedCount = Math.min(Math.max(parseInt(count), 1), 5);
-    const cacheKey = getCacheKey(prompt.trim(), requestedCount);
+    const cacheKey = getCacheKey(topic, requestedCount, { model, precision, sampling, template, language, context, length, constraints, quality, version });
     
     // Check cache with LRU update
     const cacheStart = Date.now();
-    if (generationCache.has(cacheKey)) {
-      const cached = generationCache.get(cacheKey);
-      cached.lastUsed = Date.now();
-      generationCache.set(cacheKey, cached);
-      
-      cacheHits.set(cacheKey, (cacheHits.get(cacheKey) || 0) + 1);
+    const cached = getCachedGeneration(cacheKey);
+    if (cached) {
       timings.cache = Date.now() - cacheStart;
+      const totalTime = Date.now() - requestStart;
+      recordGenerateMetrics('generate', { model, precision, cached: true, timings, totalTime });
+      recordKeyUsage(req.apiKey && req.apiKey.id, { cached: true });
       
-      console.log(`💾 Cache hit (${Date.now() - requestStart}ms):`, cacheKey);
-      return res.json({
+      console.log(`💾 Cache hit (${totalTime}ms):`, cacheKey);
+      return sendGenerateResult(res, {
         success: true,
-        topic: prompt.trim(),
+        topic,
+        model,
+        precision,
+        sampling,
+        template: template.id,
+        language,
+        length,
+        constraints,
         requestedCount,
         generatedCount: cached.points.length,
         points: cached.points,
+        details: cached.meta.details || null,
+        quality: cached.meta.quality || null,
+        context: cached.meta.context || null,
+        moderation: cached.meta.moderation || null,
+        version: cached.meta.version || null,
+        usage: cached.meta.usage || null,
         generationTime: cached.generationTime,
-        totalTime: Date.now() - requestStart,
+        totalTime,
         cached: true,
+        queue: null,
         timings
-      });
+      }, format);
     }
     timings.cache = Date.now() - cacheStart;
+    if (version) throw unknownVersionError(version);
 
-    console.log(`🔄 Generating ${requestedCount} points for: "${prompt}"`);
-    const generationStart = Date.now();
-    
-    const points = await generateOptimizedSet(prompt.trim(), requestedCount);
-    const generationTime = Date.now() - generationStart;
+    console.log(`🔄 Generating ${requestedCount} points for: "${topic}"`);
+    const { points, usage, generationTime, queue, moderation } = await runModeratedGeneration(request, {
+      signal: disconnect.signal
+    });
+    timings.queueWait = queue.waitTime;
     timings.generation = generationTime;
 
     // Cache with metadata
     const cacheStoreStart = Date.now();
-    cleanCache();
-    generationCache.set(cacheKey, { 
-      points, 
-      generationTime, 
-      lastUsed: Date.now(),
-      created: Date.now()
-    });
+    storeGeneration(cacheKey, {
+      topic,
+      points,
+      generationTime,
+      meta: { model, precision, template: template.id, language, count: requestedCount, details: usage.points, quality: usage.quality || null, context: usage.context || null, moderation, usage: tokenUsage(usage) }
+    }, cacheTtl);
     timings.cacheStore = Date.now() - cacheStoreStart;
 
     const responseStart = Date.now();
     const totalTime = Date.now() - requestStart;
     timings.responsePrep = Date.now() - responseStart;
+    recordGenerateMetrics('generate', { model, precision, cached: false, timings, totalTime, usage });
+    recordKeyUsage(req.apiKey && req.apiKey.id, { cached: false, usage });
     
     console.log(`✅ Generated ${points.length}/${requestedCount} points | Gen: ${generationTime}ms | Total: ${totalTime}ms`);
     console.log(`📊 Timings: validation=${timings.validation}ms, model=${timings.modelLoad}ms, cache=${timings.cache}ms, gen=${timings.generation}ms, store=${timings.cacheStore}ms`);
 
-    res.json({
+    sendGenerateResult(res, {
       success: true,
-      topic: prompt.trim(),
+      topic,
+      model,
+      precision,
+      sampling,
+      template: template.id,
+      language,
+      length,
+      constraints,
       requestedCount,
       generatedCount: points.length,
       points: points,
+      details: usage.points,
+      quality: usage.quality || null,
+      context: usage.context || null,
+      moderation,
+      usage: tokenUsage(usage),
       generationTime: generationTime,
       totalTime: totalTime,
       cached: false,
+      queue,
       timings
-    });
+    }, format);
 
   } catch (error) {
     const totalTime = Date.now() - requestStart;
+    generateRequests.inc({ endpoint: 'generate', outcome: failureOutcome(error) });
+    if (error.code === 'CANCELLED') {
+      console.log(`🚫 Generation cancelled, client disconnected (${totalTime}ms)`);
+      return;
+    }
     console.error(`❌ Generation failed (${totalTime}ms):`, error.message);
-    res.status(500).json({ 
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({ 
       success: false, 
       error: error.message,
+      moderation: error.moderation,
       totalTime: totalTime,
       timings
     });
   }
 });
 
+// Regenerates only the unpinned bullets of a set. Body: the /api/generate params (count is taken from
+// `points`) plus points: [{ text, pinned }], where edited bullets should be sent pinned. Pinned bullets
+// are fed back as context; the result is cached as a new version, fetchable with /api/generate?version=.
+// With every bullet pinned nothing is generated and the edits are just saved.
+app.post('/api/generate/regenerate', limitGenerations, async (req, res) => {
+  const requestStart = Date.now();
+  const timings = {};
+
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) disconnect.abort();
+  });
+
+  try {
+    const { curated, error: pointsError } = parseCuratedPoints(req.body.points);
+    const request = pointsError ? { error: pointsError } : parseGenerateRequest({ ...req.body, count: curated.length });
+    if (request.error) {
+      generateRequests.inc({ endpoint: 'regenerate', outcome: 'invalid' });
+      return res.status(400).json({ error: request.error });
+    }
+    request.curated = curated;
+    const { topic, requestedCount, model, precision, sampling, template, language, context, length, constraints, quality, cacheTtl, format } = request;
+    await moderateTopic(topic);
+    // Pinned bullets are the client's own text and are kept as sent, so they are checked like the topic
+    for (const [index, point] of curated.entries()) {
+      if (point.pinned && (await checkText(point.text)).flagged) {
+        throw Object.assign(new Error(`Point ${index + 1} was blocked by the content filter`), {
+          status: 400,
+          code: 'CONTENT_BLOCKED',
+          moderation: { policy: moderationPolicy(), target: 'points' }
+        });
+      }
+    }
+    timings.validation = Date.now() - requestStart;
+
+    const modelStart = Date.now();
+    await ensureModelLoaded(model, precision);
+    timings.modelLoad = Date.now() - modelStart;
+
+    const regenerating = curated.filter(point => !point.pinned).length;
+    console.log(`🔁 Regenerating ${regenerating}/${requestedCount} points for: "${topic}"`);
+    let points = curated.map(point => point.text);
+    let usage = null;
+    let generationTime = 0;
+    let queue = null;
+    let moderation = null;
+    if (regenerating > 0) {
+      ({ points, usage, generationTime, queue, moderation } = await runModeratedGeneration(request, { signal: disconnect.signal }));
+      timings.queueWait = queue.waitTime;
+      timings.generation = generationTime;
+    }
+    const details = usage ? usage.points : curated.map(() => ({ source: 'pinned' }));
+    // Taken from the details rather than `curated`: moderation may have dropped regenerated bullets
+    const pinned = details.map(detail => detail.source === 'pinned');
+
+    const version = getSetVersion(points.map((text, index) => ({ text, pinned: pinned[index] })));
+    const cacheStoreStart = Date.now();
+    storeGeneration(getCacheKey(topic, requestedCount, { model, precision, sampling, template, language, context, length, constraints, quality, version }), {
+      topic,
+      points,
+      generationTime,
+      meta: { model, precision, template: template.id, language, count: requestedCount, details, quality: usage && usage.quality || null, context: usage && usage.context || null, moderation, version, pinned, usage: tokenUsage(usage) }
+    }, cacheTtl);
+    timings.cacheStore = Date.now() - cacheStoreStart;
+
+    const totalTime = Date.now() - requestStart;
+    recordGenerateMetrics('regenerate', { model, precision, cached: false, timings, totalTime, usage });
+    if (usage) recordKeyUsage(req.apiKey && req.apiKey.id, { cached: false, usage });
+    console.log(`✅ Saved set version ${version} (${regenerating} regenerated) | Total: ${totalTime}ms`);
+
+    sendGenerateResult(res, {
+      success: true,
+      topic,
+      model,
+      precision,
+      sampling,
+      template: template.id,
+      language,
+      length,
+      constraints,
+      requestedCount,
+      generatedCount: points.length,
+      points,
+      pinned,
+      details,
+      quality: usage && usage.quality || null,
+      context: usage && usage.context || null,
+      moderation,
+      usage: tokenUsage(usage),
+      version,
+      generationTime,
+      totalTime,
+      cached: false,
+      queue,
+      timings
+    }, format);
+  } catch (error) {
+    const totalTime = Date.now() - requestStart;
+    generateRequests.inc({ endpoint: 'regenerate', outcome: failureOutcome(error) });
+    if (error.code === 'CANCELLED') {
+      console.log(`🚫 Regeneration cancelled, client disconnected (${totalTime}ms)`);
+      return;
+    }
+    console.error(`❌ Regeneration failed (${totalTime}ms):`, error.message);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      moderation: error.moderation,
+      totalTime,
+      timings
+    });
+  }
+});
+
+// Bulk jobs: uploaded topic lists generated in the background, one row at a time through the inference queue
+const JOB_CONTENT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl'
+};
+
+// Generate params for one row: the job's shared settings with the row's own topic, count, template and language
+function jobRowParams(row, params) {
+  return {
+    ...params,
+    prompt: row.topic,
+    count: row.count ?? params.count,
+    template: row.template ?? params.template,
+    language: row.language ?? params.language
+  };
+}
+
+// Like /api/generate without the response: cached sets are reused and new ones are cached.
+// Rows of a job created with an API key count against that key's quota, and every row counts against its
+// creator's rate limit (`client`, as in limitGenerations) like a request of its own.
+async function runJobRow(row, params, { signal, owner, client }) {
+  const requestStart = Date.now();
+  const request = parseGenerateRequest(jobRowParams(row, params));
+  if (request.error) throw Object.assign(new Error(request.error), { status: 400 });
+  const apiKey = owner ? getApiKey(owner) : null;
+  if (owner) {
+    if (!apiKey || apiKey.disabled) {
+      throw Object.assign(new Error('The API key that created this job was disabled or deleted'), { status: 401 });
+    }
+    const quota = checkQuota(apiKey);
+    if (!quota.allowed) {
+      throw Object.assign(new Error(`Daily token quota exceeded: ${quota.used} of ${quota.quota} tokens used`), { status: 429 });
+    }
+  }
+  if (client) {
+    const rate = checkRateLimit(client, apiKey ? apiKey.rateLimit : DEFAULT_RATE_LIMIT);
+    if (!rate.allowed) {
+      throw Object.assign(new Error(`Rate limit exceeded: ${rate.limit} generate requests per minute`), {
+        status: 429,
+        code: 'RATE_LIMITED',
+        retryAfter: Math.max(1, Math.ceil((rate.resetAt.getTime() - Date.now()) / 1000))
+      });
+    }
+  }
+  const { topic, requestedCount, model, precision, sampling, template, language, context, length, constraints, quality, cacheTtl } = request;
+  const timings = {};
+  await moderateTopic(topic);
+
+  await ensureModelLoaded(model, precision);
+  const cacheKey = getCacheKey(topic, requestedCount, { model, precision, sampling, template, language, context, length, constraints, quality });
+  const cached = getCachedGeneration(cacheKey);
+  if (cached) {
+    recordGenerateMetrics('job', { model, precision, cached: true, timings, totalTime: Date.now() - requestStart });
+    recordKeyUsage(owner, { cached: true });
+    return { points: cached.points, cached: true, usage: cached.meta.usage || null };
+  }
+
+  const { points, usage, generationTime, queue, moderation } = await runModeratedGeneration(request, { signal });
+  timings.queueWait = queue.waitTime;
+  timings.generation = generationTime;
+  storeGeneration(cacheKey, {
+    topic,
+    points,
+    generationTime,
+    meta: { model, precision, template: template.id, language, count: requestedCount, details: usage.points, quality: usage.quality || null, context: usage.context || null, moderation, usage: tokenUsage(usage) }
+  }, cacheTtl);
+  recordGenerateMetrics('job', { model, precision, cached: false, timings, totalTime: Date.now() - requestStart, usage });
+  recordKeyUsage(owner, { cached: false, usage });
+  return { points, cached: false, usage: tokenUsage(usage) };
+}
+
+const jobManager = createJobManager({ dir: settings.jobsDir, runRow: runJobRow });
+
+// Jobs belong to the key that created them (null for anonymous ones); the admin key sees every job
+function canAccessJob(req, job) {
+  return req.isAdmin || (job.owner || null) === (req.apiKey ? req.apiKey.id : null);
+}
+
+function jobProgress(job) {
+  const failedRows = job.rows
+    .map((row, index) => ({ index, topic: row.topic, error: row.error }))
+    .filter(row => row.error);
+  const { rows, client, ...summary } = job;
+  return {
+    ...summary,
+    progress: job.total > 0 ? (job.completed + job.failed) / job.total : 1,
+    failedRows
+  };
+}
+
+// Body: CSV (text/csv, header row with topic and optional count/template/language columns) or JSONL
+// (application/x-ndjson, one { topic, count, template } object per line); ?format= overrides the content type.
+// Other query params (model, precision, count, template, sampling, minQuality) apply to every row.
+app.post('/api/jobs', limitGenerations, express.text({ type: [...Object.keys(JOB_CONTENT_TYPES), 'text/plain'], limit: '5mb' }), (req, res) => {
+  const { format: requestedFormat, apiKey, ...params } = req.query;
+  const format = requestedFormat || JOB_CONTENT_TYPES[req.is(Object.keys(JOB_CONTENT_TYPES)) || ''];
+  if (!JOB_INPUT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Upload CSV (text/csv) or JSONL (application/x-ndjson), or set ?format= to one of: ${JOB_INPUT_FORMATS.join(', ')}` });
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({ error: 'Request body must contain the topics to generate' });
+  }
+
+  const { rows, errors } = parseJobInput(req.body, format);
+  if (rows.length > settings.maxJobRows) {
+    errors.push(`A job can have at most ${settings.maxJobRows} rows (got ${rows.length})`);
+  }
+  rows.forEach((row, index) => {
+    if (!row.topic) return; // Already reported
+    const request = parseGenerateRequest(jobRowParams(row, params));
+    if (request.error) errors.push(`row ${index + 1}: ${request.error}`);
+  });
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push('No topics found');
+  }
+  if (errors.length > 0) {
+    const more = errors.length > MAX_INPUT_ERRORS ? [`...and ${errors.length - MAX_INPUT_ERRORS} more`] : [];
+    return res.status(400).json({ error: [...errors.slice(0, MAX_INPUT_ERRORS), ...more].join('; ') });
+  }
+
+  const job = jobManager.createJob(rows, params, {
+    owner: req.apiKey ? req.apiKey.id : null,
+    client: req.isAdmin ? null : req.apiKey ? req.apiKey.id : `ip:${req.ip}`
+  });
+  console.log(`📦 Created job ${job.id} with ${job.total} rows`);
+  res.status(202).location(`/api/jobs/${job.id}`).json(job);
+});
+
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobManager.listJobs().filter(job => canAccessJob(req, job)) });
+});
+
+// Other keys' jobs look like unknown ones
+app.use('/api/jobs/:id', (req, res, next) => {
+  const job = jobManager.getJob(req.params.id);
+  if (job && !canAccessJob(req, job)) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  }
+  next();
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  }
+  res.json(jobProgress(job));
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobManager.cancelJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  }
+  console.log(`🚫 Cancelling job ${job.id}`);
+  res.json(job);
+});
+
+// ?format=csv|jsonl (default csv); rows not generated yet are included with their status
+app.get('/api/jobs/:id/results', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+  }
+  const format = req.query.format || 'csv';
+  if (!JOB_INPUT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${JOB_INPUT_FORMATS.join(', ')}` });
+  }
+  res.attachment(`job-${job.id}.${format}`);
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8').send(toCsv(job));
+  } else {
+    res.type('application/x-ndjson; charset=utf-8').send(toJsonl(job));
+  }
+});
+
+app.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    if (!await jobManager.deleteJob(req.params.id)) {
+      return res.status(404).json({ error: `Unknown job: ${req.params.id}` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Streaming generation over Server-Sent Events
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function streamGeneration(req, res, params) {
+  const requestStart = Date.now();
+  const timings = {};
+
+  const request = parseGenerateRequest(params);
+  if (request.error) {
+    generateRequests.inc({ endpoint: 'stream', outcome: 'invalid' });
+    return res.status(400).json({ error: request.error });
+  }
+  const { topic, requestedCount, model, precision, sampling, template, language, context, length, constraints, quality, cacheTtl, format, version } = request;
+  timings.validation = Date.now() - requestStart;
+  const cacheKey = getCacheKey(topic, requestedCount, { model, precision, sampling, template, language, context, length, constraints, quality, version });
+
+  // A full queue gets a plain 503 while the status can still say so; cache hits don't need the queue.
+  // Once the stream is open, a queue that fills up meanwhile is reported as an error event.
+  if (!generationCache.inspect(cacheKey)) {
+    try {
+      inferenceQueue.admit();
+    } catch (error) {
+      generateRequests.inc({ endpoint: 'stream', outcome: failureOutcome(error) });
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.status).json({ success: false, error: error.message, retryAfter: error.retryAfter });
+    }
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // A disconnect stops writing and cancels the queued or running generation
+  let clientGone = false;
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    clientGone = true;
+    disconnect.abort();
+  });
+  const emit = (event, data) => {
+    if (!clientGone) sendEvent(res, event, data);
+  };
+
+  try {
+    const modelStart = Date.now();
+    await ensureModelLoaded(model, precision);
+    timings.modelLoad = Date.now() - modelStart;
+
+    await moderateTopic(topic);
+    emit('start', { topic, requestedCount, model, precision, sampling, template: template.id, language, length, constraints });
+
+    const cacheStart = Date.now();
+    const cached = getCachedGeneration(cacheKey);
+    timings.cache = Date.now() - cacheStart;
+
+    let points;
+    let details;
+    let qualityReport;
+    let contextReport;
+    let moderation;
+    let generationTime;
+    let usage;
+    let queue = null;
+    if (cached) {
+      console.log(`💾 Cache hit (stream, ${Date.now() - requestStart}ms):`, cacheKey);
+      points = cached.points;
+      details = cached.meta.details || null;
+      qualityReport = cached.meta.quality || null;
+      contextReport = cached.meta.context || null;
+      moderation = cached.meta.moderation || null;
+      generationTime = cached.generationTime;
+      points.forEach((point, index) => emit('point', { index, point }));
+    } else if (version) {
+      throw unknownVersionError(version);
+    } else {
+      console.log(`🔄 Streaming ${requestedCount} points for: "${topic}"`);
+      // Live output goes through the content filter too: token previews get blocklisted words masked,
+      // and a bullet is only sent once it passed (the done event carries the final, moderated set)
+      const redactTokens = createStreamRedactor();
+      const tokenStreams = new Map(); // redactor slot -> { source, index }
+      let pointReview = Promise.resolve();
+      ({ points, usage, generationTime, queue, moderation } = await runModeratedGeneration(request, {
+        signal: disconnect.signal,
+        onQueued: position => emit('queued', { position }),
+        onToken: (text, source, index) => {
+          const slot = `${source}:${index}`;
+          tokenStreams.set(slot, { source, index });
+          const safeText = redactTokens.push(slot, text);
+          if (safeText) emit('token', { text: safeText, source, index });
+        },
+        onPoint: (point, index) => {
+          pointReview = pointReview.then(async () => {
+            const check = await checkText(point);
+            if (!check.flagged) {
+              emit('point', { index, point });
+            } else if (moderationPolicy() === 'redact' && check.hits.length > 0) {
+              emit('point', { index, point: redact(point, check.hits) });
+            }
+          });
+        }
+      }));
+      await pointReview;
+      // Every stream has ended: release the text each one still held back
+      for (const [slot, { source, index }] of tokenStreams) {
+        const rest = redactTokens.flush(slot);
+        if (rest) emit('token', { text: rest, source, index });
+      }
+      details = usage.points;
+      qualityReport = usage.quality || null;
+      contextReport = usage.context || null;
+      timings.queueWait = queue.waitTime;
+      timings.generation = generationTime;
+
+      const cacheStoreStart = Date.now();
+      storeGeneration(cacheKey, {
+        topic,
+        points,
+        generationTime,
+        meta: { model, precision, template: template.id, language, count: requestedCount, details, quality: qualityReport, context: contextReport, moderation, usage: tokenUsage(usage) }
+      }, cacheTtl);
+      timings.cacheStore = Date.now() - cacheStoreStart;
+    }
+
+    const totalTime = Date.now() - requestStart;
+    recordGenerateMetrics('stream', { model, precision, cached: !!cached, timings, totalTime, usage });
+    recordKeyUsage(req.apiKey && req.apiKey.id, { cached: !!cached, usage });
+    console.log(`✅ Streamed ${points.length}/${requestedCount} points | Total: ${totalTime}ms`);
+
+    // Final points are authoritative in case a fallback replaced streamed bullets
+    const result = {
+      success: true,
+      topic,
+      model,
+      precision,
+      sampling,
+      template: template.id,
+      language,
+      length,
+      constraints,
+      requestedCount,
+      generatedCount: points.length,
+      points,
+      details,
+      quality: qualityReport,
+      context: contextReport,
+      moderation,
+      usage: cached ? cached.meta.usage || null : tokenUsage(usage),
+      version: cached ? cached.meta.version || null : null,
+      generationTime,
+      totalTime,
+      cached: !!cached,
+      queue,
+      timings
+    };
+    if (format) result.output = { format, content: formatPoints(result, format) };
+    emit('done', result);
+  } catch (error) {
+    const totalTime = Date.now() - requestStart;
+    generateRequests.inc({ endpoint: 'stream', outcome: failureOutcome(error) });
+    if (error.code === 'CANCELLED') {
+      console.log(`🚫 Streaming generation cancelled, client disconnected (${totalTime}ms)`);
+      return;
+    }
+    console.error(`❌ Streaming generation failed (${totalTime}ms):`, error.message);
+    emit('error', {
+      success: false,
+      error: error.message,
+      status: error.status || 500,
+      moderation: error.moderation,
+      retryAfter: error.retryAfter,
+      totalTime,
+      timings
+    });
+  } finally {
+    res.end();
+  }
+}
+
+app.get('/api/generate/stream', limitGenerations, (req, res) => {
+  streamGeneration(req, res, req.query);
+});
+
 // Optimized startup
 let serverReady = false;
 
 async function initializeServer() {
+  console.log('🚀 Starting server initialization...');
   try {
-    console.log('🚀 Starting server initialization...');
-    await loadModel();
+    // Jobs interrupted by the last shutdown pick up where they stopped; their rows load models themselves,
+    // so they don't wait for the default model (and fail row by row if it can't load)
+    jobManager.restore();
+  } catch (error) {
+    console.error('❌ Could not restore bulk jobs:', error);
+  }
+  try {
+    moderationPolicy(); // Loads and logs the moderation rules
+    const models = scanModels();
+    console.log(`📦 Found ${models.length} local model(s): ${models.map(m => m.id).join(', ') || 'none'}`);
+    for (const [language, model] of Object.entries(LANGUAGE_MODELS)) {
+      if (!hasModel(model)) console.warn(`⚠️ LANGUAGE_MODELS maps ${language} to ${model}, which is not in models/`);
+    }
+    await ensureModelLoaded(DEFAULT_MODEL, getDefaultPrecision(DEFAULT_MODEL));
     serverReady = true;
     console.log('✅ Server fully initialized and ready');
   } catch (error) {
@@ -501,13 +1653,29 @@ app.listen(PORT, () => {
   console.log(`🌟 Server running on http://localhost:${PORT}`);
   console.log('📊 Performance monitoring enabled');
   console.log('💾 Enhanced caching system active');
+  console.log(apiKeyRequired() ? '🔑 API keys required' : '🔓 API keys not required (REQUIRE_API_KEY or add a key to enable)');
 });
 
 // Graceful shutdown with cleanup
-process.on('SIGINT', () => {
+function shutdown() {
   console.log('\n🛑 Shutting down gracefully...');
   console.log(`📈 Final cache stats: ${generationCache.size} entries, ${calculateCacheHitRate()}% hit rate`);
-  process.exit(0);
-});
+  generationCache.flush(); // Persist the cache so the next start is warm
+  flushUsage().finally(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+// Config reloads without a request: SIGHUP, and edits of the config file unless CONFIG_WATCH=false
+function reloadInBackground(trigger) {
+  console.log(`⚙️ Reloading configuration (${trigger})...`);
+  applyConfigReload().catch(error => console.error('❌ Configuration reload failed:', error.message));
+}
+
+process.on('SIGHUP', () => reloadInBackground('SIGHUP'));
+if (settings.watchConfig) {
+  watchConfigFile(file => reloadInBackground(`${path.basename(file)} changed`));
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,301 @@
+// api-keys.js
+// API keys with per-key rate limits and daily token quotas, plus a per-key usage log.
+// Keys live in API_KEYS_FILE, which can be edited by hand or through the admin endpoints;
+// usage is kept separately in API_USAGE_FILE so the key file stays readable.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+const API_USAGE_FILE = process.env.API_USAGE_FILE || path.join(__dirname, '..', 'data', 'api-usage.json');
+const DEFAULT_RATE_LIMIT = Number(process.env.API_RATE_LIMIT || 60); // generate requests per minute
+const DEFAULT_DAILY_TOKEN_QUOTA = Number(process.env.API_DAILY_TOKEN_QUOTA || 100000); // completion tokens per UTC day
+const USAGE_RETENTION_DAYS = 90;
+const USAGE_SAVE_DELAY = 2000; // ms; usage changes on every request, so saves are batched
+const MAX_KEY_NAME_LENGTH = 100;
+const RATE_WINDOW = 60 * 1000;
+
+// Key file format: { keys: [{ id, name, keyHash | key, rateLimit, dailyTokenQuota, disabled, createdAt }] }.
+// Hand-written entries may give the key itself as `key`; keys created through the API are only
+// stored hashed. rateLimit / dailyTokenQuota fall back to the defaults when absent; null means unlimited.
+let keys = null; // id -> entry, loaded lazily
+let usage = null; // key id -> { 'YYYY-MM-DD': counters }
+let writeQueue = Promise.resolve();
+let usageWriteQueue = Promise.resolve();
+let usageSaveTimer = null;
+const rateWindows = new Map(); // client id -> { start, count }
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadKeys() {
+  if (keys) return keys;
+
+  keys = new Map();
+  if (fs.existsSync(API_KEYS_FILE)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).keys || [];
+      for (const entry of stored) {
+        if (!entry.id || (!entry.key && !entry.keyHash)) {
+          console.error(`❌ Skipping API key without an id and key in ${API_KEYS_FILE}`);
+          continue;
+        }
+        keys.set(entry.id, entry);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read ${API_KEYS_FILE}, starting with no API keys:`, error.message);
+    }
+  }
+  console.log(`🔑 Loaded ${keys.size} API key(s)`);
+  return keys;
+}
+
+function loadUsage() {
+  if (usage) return usage;
+
+  usage = new Map();
+  if (fs.existsSync(API_USAGE_FILE)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(API_USAGE_FILE, 'utf8')).usage || {};
+      for (const [keyId, days] of Object.entries(stored)) usage.set(keyId, days);
+    } catch (error) {
+      console.error(`❌ Could not read ${API_USAGE_FILE}, starting with empty usage:`, error.message);
+    }
+  }
+  return usage;
+}
+
+// Same write-through-temp-file queue as the template store
+function writeJson(file, queue, data) {
+  return queue.then(async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempFile, file);
+  });
+}
+
+// The failure goes to the caller; the queue carries on so later saves still run
+function persistKeys() {
+  const write = writeJson(API_KEYS_FILE, writeQueue, { keys: Array.from(loadKeys().values()) });
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+// Writes usage now; pending batched saves are folded into this one
+function flushUsage() {
+  clearTimeout(usageSaveTimer);
+  usageSaveTimer = null;
+  usageWriteQueue = writeJson(API_USAGE_FILE, usageWriteQueue, { usage: Object.fromEntries(loadUsage()) })
+    .catch((error) => console.error('❌ Could not save API usage:', error.message));
+  return usageWriteQueue;
+}
+
+function scheduleUsageSave() {
+  if (usageSaveTimer) return;
+  usageSaveTimer = setTimeout(flushUsage, USAGE_SAVE_DELAY);
+  usageSaveTimer.unref();
+}
+
+function hasApiKeys() {
+  return loadKeys().size > 0;
+}
+
+// Resolved limits of a key; null means unlimited
+function keyLimits(entry) {
+  return {
+    rateLimit: entry.rateLimit === undefined ? DEFAULT_RATE_LIMIT : entry.rateLimit,
+    dailyTokenQuota: entry.dailyTokenQuota === undefined ? DEFAULT_DAILY_TOKEN_QUOTA : entry.dailyTokenQuota
+  };
+}
+
+// What the API shows for a key: never the key or its hash
+function describeKey(entry) {
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    ...keyLimits(entry),
+    disabled: !!entry.disabled,
+    createdAt: entry.createdAt || null,
+    today: usageForDay(entry.id, today())
+  };
+}
+
+// The key entry a presented key belongs to, or null for unknown and disabled keys
+function findApiKey(key) {
+  if (typeof key !== 'string' || key.length === 0) return null;
+  const hash = hashKey(key);
+  for (const entry of loadKeys().values()) {
+    const entryHash = entry.keyHash || hashKey(entry.key);
+    if (entryHash.length === hash.length && crypto.timingSafeEqual(Buffer.from(entryHash, 'hex'), Buffer.from(hash, 'hex'))) {
+      return entry.disabled ? null : entry;
+    }
+  }
+  return null;
+}
+
+function listApiKeys() {
+  return Array.from(loadKeys().values()).map(describeKey);
+}
+
+function getApiKey(id) {
+  const entry = loadKeys().get(id);
+  return entry ? describeKey(entry) : null;
+}
+
+function isLimit(value) {
+  return value === null || (Number.isInteger(value) && value >= 0);
+}
+
+// Returns a list of problems with a create/update body; empty when it can be applied
+function validateApiKeyInput(input, { partial = false } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return ['Body must be a JSON object'];
+  if ((!partial || input.name !== undefined) &&
+      (typeof input.name !== 'string' || input.name.trim().length === 0 || input.name.length > MAX_KEY_NAME_LENGTH)) {
+    errors.push(`name must be a non-empty string of at most ${MAX_KEY_NAME_LENGTH} characters`);
+  }
+  if (input.rateLimit !== undefined && !isLimit(input.rateLimit)) {
+    errors.push('rateLimit must be a non-negative integer (requests per minute) or null for unlimited');
+  }
+  if (input.dailyTokenQuota !== undefined && !isLimit(input.dailyTokenQuota)) {
+    errors.push('dailyTokenQuota must be a non-negative integer or null for unlimited');
+  }
+  if (input.disabled !== undefined && typeof input.disabled !== 'boolean') {
+    errors.push('disabled must be true or false');
+  }
+  return errors;
+}
+
+// Resolves to { key, apiKey }: the secret is only ever returned here
+async function createApiKey({ name, rateLimit, dailyTokenQuota }) {
+  const key = `atg_${crypto.randomBytes(24).toString('hex')}`;
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: name.trim(),
+    keyHash: hashKey(key),
+    ...(rateLimit !== undefined ? { rateLimit } : {}),
+    ...(dailyTokenQuota !== undefined ? { dailyTokenQuota } : {}),
+    disabled: false,
+    createdAt: new Date().toISOString()
+  };
+  loadKeys().set(entry.id, entry);
+  await persistKeys();
+  return { key, apiKey: describeKey(entry) };
+}
+
+async function updateApiKey(id, { name, rateLimit, dailyTokenQuota, disabled }) {
+  const entry = loadKeys().get(id);
+  if (!entry) return null;
+  if (name !== undefined) entry.name = name.trim();
+  if (rateLimit !== undefined) entry.rateLimit = rateLimit;
+  if (dailyTokenQuota !== undefined) entry.dailyTokenQuota = dailyTokenQuota;
+  if (disabled !== undefined) entry.disabled = disabled;
+  await persistKeys();
+  return describeKey(entry);
+}
+
+// Usage history is kept so past consumption stays queryable
+async function deleteApiKey(id) {
+  if (!loadKeys().delete(id)) return false;
+  await persistKeys();
+  return true;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Start of the next UTC day, when daily quotas reset
+function nextQuotaReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+function usageForDay(keyId, day) {
+  const days = loadUsage().get(keyId) || {};
+  return { requests: 0, generations: 0, cached: 0, tokens: 0, rateLimited: 0, quotaExceeded: 0, ...days[day] };
+}
+
+// Adds to today's counters for a key
+function recordUsage(keyId, counters) {
+  const day = today();
+  const days = loadUsage().get(keyId) || {};
+  const current = usageForDay(keyId, day);
+  for (const [name, value] of Object.entries(counters)) current[name] += value;
+  days[day] = current;
+
+  // Drop days past the retention window
+  const oldest = new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  for (const date of Object.keys(days)) if (date < oldest) delete days[date];
+
+  loadUsage().set(keyId, days);
+  scheduleUsageSave();
+}
+
+// Daily usage for a key, newest first: [{ date, requests, generations, cached, tokens, rateLimited, quotaExceeded }]
+function getUsage(keyId, { days = 30 } = {}) {
+  const stored = loadUsage().get(keyId) || {};
+  return Object.keys(stored)
+    .sort()
+    .reverse()
+    .slice(0, days)
+    .map(date => ({ date, ...usageForDay(keyId, date) }));
+}
+
+// Counts a request against a fixed one-minute window. clientId is a key id, or "ip:<address>" for
+// anonymous callers. Returns { allowed, limit, remaining, resetAt }.
+function checkRateLimit(clientId, limit) {
+  const now = Date.now();
+  if (limit === null) return { allowed: true, limit: null, remaining: null, resetAt: null };
+
+  // Forget expired windows now and then so anonymous clients don't pile up
+  if (rateWindows.size > 10000) {
+    for (const [id, { start }] of rateWindows) if (now - start >= RATE_WINDOW) rateWindows.delete(id);
+  }
+
+  let window = rateWindows.get(clientId);
+  if (!window || now - window.start >= RATE_WINDOW) {
+    window = { start: now, count: 0 };
+    rateWindows.set(clientId, window);
+  }
+  const resetAt = new Date(window.start + RATE_WINDOW);
+  if (window.count >= limit) return { allowed: false, limit, remaining: 0, resetAt };
+  window.count++;
+  return { allowed: true, limit, remaining: limit - window.count, resetAt };
+}
+
+// Whether a key still has tokens left today. Returns { allowed, quota, used, resetAt }.
+function checkQuota(entry) {
+  const { dailyTokenQuota } = keyLimits(entry);
+  const used = usageForDay(entry.id, today()).tokens;
+  return {
+    allowed: dailyTokenQuota === null || used < dailyTokenQuota,
+    quota: dailyTokenQuota,
+    used,
+    resetAt: nextQuotaReset()
+  };
+}
+
+module.exports = {
+  API_KEYS_FILE,
+  API_USAGE_FILE,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_DAILY_TOKEN_QUOTA,
+  hasApiKeys,
+  keyLimits,
+  findApiKey,
+  listApiKeys,
+  getApiKey,
+  validateApiKeyInput,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey,
+  recordUsage,
+  getUsage,
+  flushUsage,
+  checkRateLimit,
+  checkQuota
+};
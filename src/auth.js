@@ -0,0 +1,119 @@
+// auth.js
+// API key authentication, admin routes, and the per-key rate limit and daily token quota
+const crypto = require('crypto');
+const {
+  DEFAULT_RATE_LIMIT,
+  hasApiKeys,
+  keyLimits,
+  findApiKey,
+  recordUsage,
+  checkRateLimit,
+  checkQuota
+} = require('./api-keys');
+
+// Health and metrics stay reachable without a key (load balancers, scrapers, the widget's status polling)
+const PUBLIC_API_PATHS = ['/status', '/metrics'];
+
+// "Authorization: Bearer <key>" or X-API-Key; GET requests may pass ?apiKey= since EventSource can't set headers
+function presentedApiKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) return authorization.replace(/^Bearer\s+/i, '').trim();
+  if (req.get('X-API-Key')) return req.get('X-API-Key');
+  return req.method === 'GET' && typeof req.query.apiKey === 'string' ? req.query.apiKey : null;
+}
+
+// requireApiKey: true, false, or null to require keys once any exist; adminApiKey unlocks the admin routes
+function createAuth({ requireApiKey = null, adminApiKey = null } = {}) {
+  function apiKeyRequired() {
+    return requireApiKey === null ? hasApiKeys() : requireApiKey;
+  }
+
+  function isAdminKey(key) {
+    if (!adminApiKey || !key) return false;
+    const expected = crypto.createHash('sha256').update(adminApiKey).digest();
+    return crypto.timingSafeEqual(expected, crypto.createHash('sha256').update(key).digest());
+  }
+
+  // Sets req.apiKey (the caller's key entry, or null) and req.isAdmin
+  function authenticate(req, res, next) {
+    const key = presentedApiKey(req);
+    req.isAdmin = isAdminKey(key);
+    req.apiKey = null;
+    if (req.isAdmin || PUBLIC_API_PATHS.includes(req.path)) return next();
+
+    if (key) {
+      req.apiKey = findApiKey(key);
+      if (!req.apiKey) {
+        return res.status(401).json({ error: 'Invalid or disabled API key', code: 'INVALID_API_KEY' });
+      }
+    } else if (apiKeyRequired()) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({
+        error: 'API key required: send it as "Authorization: Bearer <key>" or in the X-API-Key header',
+        code: 'API_KEY_REQUIRED'
+      });
+    }
+    next();
+  }
+
+  // Admin routes: cache administration, model settings, template edits, key management and config reload
+  function requireAdmin(req, res, next) {
+    if (!adminApiKey) {
+      return res.status(403).json({ error: 'Admin routes are disabled; set ADMIN_API_KEY to enable them' });
+    }
+    if (!req.isAdmin) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Admin API key required', code: 'ADMIN_KEY_REQUIRED' });
+    }
+    next();
+  }
+
+  // Rate limit and daily token quota for requests that run the model. Keys use their own limits;
+  // anonymous callers (when keys aren't required) share DEFAULT_RATE_LIMIT per IP address.
+  function limitGenerations(req, res, next) {
+    if (req.isAdmin) return next();
+
+    const limit = req.apiKey ? keyLimits(req.apiKey).rateLimit : DEFAULT_RATE_LIMIT;
+    const rate = checkRateLimit(req.apiKey ? req.apiKey.id : `ip:${req.ip}`, limit);
+    if (rate.limit !== null) {
+      res.set({
+        'X-RateLimit-Limit': String(rate.limit),
+        'X-RateLimit-Remaining': String(rate.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(rate.resetAt.getTime() / 1000))
+      });
+    }
+    if (!rate.allowed) {
+      if (req.apiKey) recordUsage(req.apiKey.id, { rateLimited: 1 });
+      const retryAfter = Math.max(1, Math.ceil((rate.resetAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Rate limit exceeded: ${rate.limit} generate requests per minute`,
+        code: 'RATE_LIMITED',
+        limit: rate.limit,
+        retryAfter,
+        resetAt: rate.resetAt.toISOString()
+      });
+    }
+
+    if (req.apiKey) {
+      const quota = checkQuota(req.apiKey);
+      if (!quota.allowed) {
+        recordUsage(req.apiKey.id, { quotaExceeded: 1 });
+        res.set('Retry-After', String(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)));
+        return res.status(429).json({
+          error: `Daily token quota exceeded: ${quota.used} of ${quota.quota} tokens used`,
+          code: 'QUOTA_EXCEEDED',
+          quota: quota.quota,
+          used: quota.used,
+          resetAt: quota.resetAt.toISOString()
+        });
+      }
+      recordUsage(req.apiKey.id, { requests: 1 });
+    }
+    next();
+  }
+
+  return { apiKeyRequired, authenticate, requireAdmin, limitGenerations };
+}
+
+module.exports = { PUBLIC_API_PATHS, presentedApiKey, createAuth };
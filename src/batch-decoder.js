@@ -0,0 +1,143 @@
+// batch-decoder.js
+// Decodes several prompts together as one padded tensor batch.
+// transformers.js 2.x pipelines accept prompt arrays but still run one session call per prompt
+// (and drop the padding mask), so this drives model.forward() directly.
+//
+// That leans on transformers.js internals outside its public API, which is why package.json pins the exact
+// version: the Sampler class from src/utils/generation.js (not in the package exports), the private
+// model._get_generation_config() and model._get_logits_processor(), and model.addPastKeyValues(), which
+// ensureBatchedCache wraps. Check all four still behave the same before upgrading.
+const { Tensor } = require('@xenova/transformers');
+const { Sampler } = require('@xenova/transformers/src/utils/generation.js');
+const { DEFAULT_MAX_BATCH_SIZE } = require('./defaults');
+
+// Models whose cache tensors are [batch, heads, seq, dim]; others (falcon, bloom, gpt_bigcode)
+// fold the batch into the heads dimension and are decoded one prompt at a time
+function supportsBatchedDecoding(generator) {
+  const { config } = generator.model;
+  return !config.is_encoder_decoder && !config.multi_query && !['falcon', 'bloom'].includes(config.model_type);
+}
+
+// The stock first-step (empty) cache is hard-coded to batch size 1; size it from the input instead
+function ensureBatchedCache(model) {
+  if (Object.prototype.hasOwnProperty.call(model, 'addPastKeyValues')) return;
+  const addPastKeyValues = model.addPastKeyValues;
+  model.addPastKeyValues = function (feeds, pastKeyValues) {
+    addPastKeyValues.call(this, feeds, pastKeyValues);
+    const batchSize = feeds.input_ids.dims[0];
+    if (pastKeyValues || batchSize === 1) return;
+    for (const name of Object.keys(feeds).filter(name => name.startsWith('past_key_values.'))) {
+      feeds[name] = new Tensor('float32', [], [batchSize, ...feeds[name].dims.slice(1)]);
+    }
+  };
+}
+
+// Sampler.randomSelect with a caller-supplied random source instead of Math.random
+function withRandom(sampler, random) {
+  sampler.randomSelect = (probabilities) => {
+    const total = probabilities.reduce((sum, p) => sum + p, 0);
+    let r = random() * total;
+    for (let i = 0; i < probabilities.length; i++) {
+      r -= probabilities[i];
+      if (r <= 0) return i;
+    }
+    return 0;
+  };
+  return sampler;
+}
+
+// Appends one column of ones to a [batch, length] attention mask
+function extendMask(mask) {
+  const [batchSize, length] = mask.dims;
+  const data = new BigInt64Array(batchSize * (length + 1)).fill(1n);
+  for (let i = 0; i < batchSize; i++) {
+    data.set(mask.data.subarray(i * length, (i + 1) * length), i * (length + 1));
+  }
+  return new Tensor('int64', data, [batchSize, length + 1]);
+}
+
+// prompts: strings decoded together (greedy or multinomial sampling; no beam search).
+// options: generate() options (max_new_tokens, do_sample, temperature, top_k, repetition_penalty,
+// eos_token_id, pad_token_id, ...) plus onStep(outputs) with the token ids generated so far per prompt
+// and an abort signal; random replaces Math.random when sampling (a seeded generator). constraints: per prompt, null or a constraint from constraints.js whose logits
+// processor runs after the model's own and which can end the prompt early.
+// Resolves to the completion text of each prompt.
+async function decodeBatch(generator, prompts, { onStep, signal, random, constraints = [], ...options } = {}) {
+  const { model, tokenizer } = generator;
+  ensureBatchedCache(model);
+
+  const config = model._get_generation_config(options);
+  const eosTokenIds = [].concat(config.eos_token_id ?? []);
+  const padTokenId = config.pad_token_id ?? eosTokenIds[0];
+
+  // Prompts are padded on the left so every row ends at the newest token; the pipeline shares the
+  // tokenizer, so its own setting is put back
+  const paddingSide = tokenizer.padding_side;
+  let encoded;
+  try {
+    tokenizer.padding_side = 'left';
+    encoded = tokenizer(prompts, {
+      add_special_tokens: false,
+      padding: true,
+      truncation: true
+    });
+  } finally {
+    tokenizer.padding_side = paddingSide;
+  }
+  const { input_ids, attention_mask } = encoded;
+  const [batchSize, promptLength] = input_ids.dims;
+  const logitsProcessor = model._get_logits_processor(config, promptLength);
+  const sampler = random ? withRandom(Sampler.getSampler(config), random) : Sampler.getSampler(config);
+
+  // Unpadded prompt + output ids per row, as the logits processors expect
+  const sequences = prompts.map((_, i) => {
+    const ids = [];
+    for (let j = 0; j < promptLength; j++) {
+      if (attention_mask.data[i * promptLength + j] === 1n) ids.push(Number(input_ids.data[i * promptLength + j]));
+    }
+    return ids;
+  });
+  const outputs = prompts.map(() => []);
+  const done = prompts.map(() => false);
+
+  let modelInputs = { input_ids, attention_mask, past_key_values: null };
+  for (let step = 0; step < config.max_new_tokens && done.includes(false); step++) {
+    if (signal) signal.throwIfAborted();
+    const { logits, past_key_values } = await model.forward(modelInputs);
+    const [, sequenceLength, vocabSize] = logits.dims;
+
+    const nextTokens = new BigInt64Array(batchSize).fill(BigInt(padTokenId));
+    for (let i = 0; i < batchSize; i++) {
+      if (done[i]) continue;
+      const offset = (i * sequenceLength + sequenceLength - 1) * vocabSize;
+      const rowLogits = new Tensor('float32', logits.data.slice(offset, offset + vocabSize), [1, vocabSize]);
+      logitsProcessor(sequences[i], rowLogits);
+      if (constraints[i]) constraints[i].process(outputs[i], rowLogits);
+      const [[tokenId]] = sampler(rowLogits);
+
+      nextTokens[i] = BigInt(tokenId);
+      sequences[i].push(tokenId);
+      if (eosTokenIds.includes(tokenId)) {
+        done[i] = true;
+      } else {
+        outputs[i].push(tokenId);
+        if (constraints[i] && constraints[i].isDone(outputs[i])) done[i] = true;
+      }
+    }
+    if (onStep) onStep(outputs);
+
+    modelInputs = {
+      input_ids: new Tensor('int64', nextTokens, [batchSize, 1]),
+      attention_mask: extendMask(modelInputs.attention_mask),
+      past_key_values
+    };
+  }
+
+  return outputs.map(ids => tokenizer.decode(ids, { skip_special_tokens: true }));
+}
+
+module.exports = {
+  DEFAULT_MAX_BATCH_SIZE,
+  supportsBatchedDecoding,
+  decodeBatch
+};
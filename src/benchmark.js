@@ -0,0 +1,154 @@
+// benchmark.js
+// Compares precision variants of a model: load time, throughput, memory and output divergence
+const {
+  PRECISIONS,
+  getModelInfo,
+  acquireModel,
+  releaseModel,
+  isModelLoaded,
+  unloadModel
+} = require('./model-registry');
+const { specialTokenIds } = require('./generation');
+
+// Fixed prompt set so runs are comparable across variants and machines
+const BENCHMARK_PROMPTS = [
+  'Key benefits of renewable energy:\n1.',
+  'Important facts about live graphics:\n1.',
+  'Main advantages of remote work:\n1.',
+  'Essential points about HTML graphics:\n1.'
+];
+
+const MAX_BENCHMARK_TOKENS = 100;
+
+function memorySnapshot() {
+  const { rss, heapUsed, external } = process.memoryUsage();
+  return { rss, heapUsed, external };
+}
+
+function memoryDelta(before, after) {
+  return {
+    rss: after.rss - before.rss,
+    heapUsed: after.heapUsed - before.heapUsed,
+    external: after.external - before.external
+  };
+}
+
+// Token-level agreement between a variant's output and the baseline output for the same prompt
+function compareTokens(baseline, candidate) {
+  const length = Math.max(baseline.length, candidate.length);
+  if (length === 0) return { agreement: 1, firstDivergence: null };
+
+  let matching = 0;
+  let firstDivergence = null;
+  for (let i = 0; i < length; i++) {
+    if (baseline[i] === candidate[i]) {
+      matching++;
+    } else if (firstDivergence === null) {
+      firstDivergence = i;
+    }
+  }
+  return { agreement: matching / length, firstDivergence };
+}
+
+async function benchmarkVariant(modelId, precision, prompts, maxNewTokens, reload) {
+  const { file, fileSize } = getModelInfo(modelId).precisions[precision];
+  const result = { precision, file, fileSize };
+
+  // Load time and memory are only meaningful for a fresh load
+  if (reload) await unloadModel(modelId, precision);
+  const alreadyLoaded = isModelLoaded(modelId, precision);
+
+  const memoryBefore = memorySnapshot();
+  const loadStart = Date.now();
+  let generator;
+  try {
+    generator = await acquireModel(modelId, precision);
+  } catch (error) {
+    return { ...result, error: error.message };
+  }
+  result.alreadyLoaded = alreadyLoaded;
+  result.loadTime = alreadyLoaded ? null : Date.now() - loadStart;
+  result.memory = {
+    after: memorySnapshot(),
+    delta: alreadyLoaded ? null : memoryDelta(memoryBefore, memorySnapshot())
+  };
+
+  // Greedy decoding keeps outputs deterministic so variants can be compared token by token
+  const outputs = [];
+  let totalTokens = 0;
+  let totalTime = 0;
+  try {
+    for (const prompt of prompts) {
+      const start = Date.now();
+      const output = await generator(prompt, {
+        max_new_tokens: maxNewTokens,
+        do_sample: false,
+        return_full_text: false,
+        ...specialTokenIds(generator),
+        use_cache: true
+      });
+      const elapsed = Date.now() - start;
+      const text = output[0].generated_text;
+      const tokenIds = generator.tokenizer.encode(text);
+
+      totalTokens += tokenIds.length;
+      totalTime += elapsed;
+      outputs.push({ prompt, text, tokenIds, tokens: tokenIds.length, time: elapsed });
+    }
+  } finally {
+    releaseModel(generator);
+  }
+
+  result.tokensGenerated = totalTokens;
+  result.generationTime = totalTime;
+  result.tokensPerSecond = totalTime > 0 ? Number((totalTokens / (totalTime / 1000)).toFixed(2)) : null;
+  result.outputs = outputs;
+  return result;
+}
+
+async function runBenchmark({ model, precisions = Object.keys(PRECISIONS), prompts = BENCHMARK_PROMPTS, maxNewTokens = 40, reload = false }) {
+  const startedAt = new Date().toISOString();
+  const start = Date.now();
+  const variants = [];
+
+  for (const precision of precisions) {
+    console.log(`🏁 Benchmarking ${model} (${precision}) on ${prompts.length} prompts...`);
+    variants.push(await benchmarkVariant(model, precision, prompts, maxNewTokens, reload));
+  }
+
+  // The first successful variant (fp32 by default) is the reference for divergence
+  const baseline = variants.find(v => !v.error);
+  for (const variant of variants) {
+    if (variant.error || !baseline) continue;
+
+    const comparisons = variant.outputs.map((output, i) =>
+      compareTokens(baseline.outputs[i].tokenIds, output.tokenIds)
+    );
+    variant.divergence = {
+      baseline: baseline.precision,
+      exactMatches: comparisons.filter(c => c.firstDivergence === null).length,
+      meanTokenAgreement: Number((comparisons.reduce((sum, c) => sum + c.agreement, 0) / comparisons.length).toFixed(4)),
+      firstDivergence: comparisons.map(c => c.firstDivergence)
+    };
+  }
+
+  for (const variant of variants) {
+    if (!variant.outputs) continue;
+    variant.outputs = variant.outputs.map(({ tokenIds, ...output }) => output);
+  }
+
+  return {
+    model,
+    startedAt,
+    totalTime: Date.now() - start,
+    prompts: prompts.length,
+    maxNewTokens,
+    variants
+  };
+}
+
+module.exports = {
+  BENCHMARK_PROMPTS,
+  MAX_BENCHMARK_TOKENS,
+  runBenchmark
+};
@@ -0,0 +1,351 @@
+// bulk-jobs.js
+// Background bulk generation: CSV/JSONL topic lists run one row at a time, with state persisted per job
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOB_INPUT_FORMATS = ['csv', 'jsonl'];
+const MAX_INPUT_ERRORS = 10; // Reported per upload; the rest are summarised
+const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+const ROW_STATUSES = ['pending', 'done', 'error'];
+// Errors that mean "not now": the row waits and is tried again
+const RETRY_CODES = ['QUEUE_FULL', 'RATE_LIMITED'];
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, doubled quotes and newlines
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+// Row fields are kept as given; `count`, `template` and `language` are validated with the rest of the generate params
+function toRow(input) {
+  const row = { topic: String(input.topic ?? input.prompt ?? '').trim() };
+  if (input.count !== undefined && input.count !== '') row.count = input.count;
+  if (input.template !== undefined && input.template !== '') row.template = String(input.template).trim();
+  if (input.language !== undefined && input.language !== '') row.language = String(input.language).trim();
+  return row;
+}
+
+// CSV needs a header row with a `topic` (or `prompt`) column; `count`, `template` and `language` are optional.
+// JSONL takes one object per line with the same fields. Returns { rows, errors } with 1-based line numbers.
+function parseJobInput(text, format) {
+  const rows = [];
+  const errors = [];
+
+  if (format === 'csv') {
+    const [header = [], ...records] = parseCsv(text);
+    const columns = header.map(name => name.trim().toLowerCase());
+    if (!columns.includes('topic') && !columns.includes('prompt')) {
+      return { rows, errors: ['CSV needs a header row with a "topic" column'] };
+    }
+    records.forEach((fields) => {
+      rows.push(toRow(Object.fromEntries(columns.map((name, i) => [name, fields[i]]))));
+    });
+  } else {
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        const input = JSON.parse(line);
+        if (!input || typeof input !== 'object' || Array.isArray(input)) throw new Error('expected an object');
+        rows.push({ ...toRow(input), line: index + 1 });
+      } catch (error) {
+        errors.push(`line ${index + 1}: invalid JSON (${error.message})`);
+      }
+    });
+  }
+
+  rows.forEach((row, index) => {
+    if (!row.topic) errors.push(`${row.line ? `line ${row.line}` : `row ${index + 1}`}: topic is required`);
+    delete row.line;
+  });
+  return { rows, errors };
+}
+
+// Spreadsheets run a cell starting with =, +, - or @ (or a tab or carriage return before one) as a formula;
+// a leading apostrophe keeps generated text from doing so
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One line per row: topic, count, template, language, status, error, token counts, then one column per bullet
+function toCsv(job) {
+  const pointColumns = Math.max(0, ...job.rows.map(row => (row.points || []).length));
+  const header = ['topic', 'count', 'template', 'language', 'status', 'error', 'prompt_tokens', 'completion_tokens'];
+  for (let i = 1; i <= pointColumns; i++) header.push(`point_${i}`);
+  const lines = job.rows.map(row => [
+    row.topic,
+    row.count,
+    row.template,
+    row.language,
+    row.status,
+    row.error,
+    row.usage && row.usage.promptTokens,
+    row.usage && row.usage.completionTokens,
+    ...Array.from({ length: pointColumns }, (_, i) => (row.points || [])[i])
+  ].map(csvField).join(','));
+  return `${[header.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+function toJsonl(job) {
+  return job.rows
+    .map(({ topic, count, template, language, status, points, error, cached, usage }) =>
+      JSON.stringify({ topic, count, template, language, status, points: points || null, error: error || null, cached: !!cached, usage: usage || null }))
+    .join('\n') + '\n';
+}
+
+function summarize(job) {
+  const { rows, client, ...summary } = job;
+  return summary;
+}
+
+// Whether a saved job file holds a job restore() can take back; damaged or hand-edited ones are skipped
+function isValidJob(job, fileName) {
+  return !!job && typeof job === 'object' &&
+    typeof job.id === 'string' && fileName === `${job.id}.json` &&
+    JOB_STATUSES.includes(job.status) &&
+    typeof job.createdAt === 'string' &&
+    !!job.params && typeof job.params === 'object' &&
+    Array.isArray(job.rows) &&
+    job.rows.every(row => !!row && typeof row === 'object' && typeof row.topic === 'string' && ROW_STATUSES.includes(row.status));
+}
+
+// dir: where job files are kept. runRow(row, params, { signal, owner, client }) generates one row and resolves
+// to { points, cached, usage }; jobs run one at a time, rows in order. A row hitting a full inference queue
+// or its creator's rate limit waits and retries instead of failing. Progress is saved after every row, so a job that was running
+// when the server stopped resumes from its first pending row on restore().
+function createJobManager({ dir, runRow }) {
+  const jobs = new Map();
+  const pending = []; // job ids waiting to run
+  let current = null; // { job, controller }
+  const writes = new Map(); // job id -> { chain, queued }
+
+  const jobFile = id => path.join(dir, `${id}.json`);
+
+  // Writes are serialised per job and coalesced: saves requested while one is waiting share it,
+  // and it writes the job as it is by then
+  function persist(job) {
+    const state = writes.get(job.id) || { chain: Promise.resolve(), queued: false };
+    writes.set(job.id, state);
+    if (state.queued) return state.chain;
+
+    state.queued = true;
+    state.chain = state.chain.then(async () => {
+      state.queued = false;
+      const data = JSON.stringify(job);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const tempFile = `${jobFile(job.id)}.tmp`;
+      await fs.promises.writeFile(tempFile, data);
+      await fs.promises.rename(tempFile, jobFile(job.id));
+    }).catch((error) => {
+      console.error(`❌ Could not save job ${job.id}:`, error.message);
+    });
+    return state.chain;
+  }
+
+  function countRows(job) {
+    job.completed = job.rows.filter(row => row.status === 'done').length;
+    job.failed = job.rows.filter(row => row.status === 'error').length;
+  }
+
+  // Resolves after `ms`, or straight away once `signal` aborts
+  function wait(ms, signal) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+
+  async function generateRow(job, row, signal) {
+    for (;;) {
+      try {
+        const { points, cached, usage } = await runRow(row, job.params, { signal, owner: job.owner, client: job.client });
+        Object.assign(row, { status: 'done', points, cached, usage });
+        return;
+      } catch (error) {
+        if (signal.aborted) return; // Stays pending
+        if (!RETRY_CODES.includes(error.code)) {
+          Object.assign(row, { status: 'error', error: error.message });
+          return;
+        }
+        // Leave room for interactive requests, then try the same row again
+        await wait((error.retryAfter || 1) * 1000, signal);
+      }
+    }
+  }
+
+  async function runJob(job) {
+    const controller = new AbortController();
+    current = { job, controller };
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    persist(job);
+    console.log(`📦 Running job ${job.id} (${job.total - job.completed - job.failed} of ${job.total} rows left)`);
+
+    for (const row of job.rows) {
+      if (controller.signal.aborted) break;
+      if (row.status !== 'pending') continue;
+      await generateRow(job, row, controller.signal);
+      countRows(job);
+      persist(job);
+    }
+
+    job.status = controller.signal.aborted ? 'cancelled' : 'completed';
+    job.finishedAt = new Date().toISOString();
+    current = null;
+    await persist(job);
+    console.log(`📦 Job ${job.id} ${job.status}: ${job.completed} done, ${job.failed} failed`);
+  }
+
+  function next() {
+    if (current || pending.length === 0) return;
+    const job = jobs.get(pending.shift());
+    if (!job || job.status !== 'queued') return next();
+    runJob(job).catch((error) => {
+      console.error(`❌ Job ${job.id} stopped:`, error);
+      Object.assign(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+      current = null;
+      persist(job);
+    }).finally(next);
+  }
+
+  // rows: from parseJobInput; params: generate settings shared by every row (model, precision, sampling, ...);
+  // owner: who the job's usage is billed to; client: whose rate limit the rows count against (null for none).
+  // Both are passed through to runRow.
+  function createJob(rows, params = {}, { owner = null, client = null } = {}) {
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'queued',
+      params,
+      owner,
+      client,
+      total: rows.length,
+      completed: 0,
+      failed: 0,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      rows: rows.map(row => ({ ...row, status: 'pending' }))
+    };
+    jobs.set(job.id, job);
+    persist(job);
+    pending.push(job.id);
+    next();
+    return summarize(job);
+  }
+
+  function getJob(id) {
+    return jobs.get(id) || null;
+  }
+
+  function listJobs() {
+    return Array.from(jobs.values()).map(summarize).reverse();
+  }
+
+  // Stops a queued or running job; rows already generated are kept
+  function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === 'queued') {
+      Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      persist(job);
+    } else if (current && current.job === job) {
+      const reason = Object.assign(new Error('Job cancelled'), { status: 499, code: 'CANCELLED' });
+      current.controller.abort(reason);
+    }
+    return summarize(job);
+  }
+
+  // Only finished jobs can be deleted; returns false for unknown ids
+  async function deleteJob(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    if (job.status === 'queued' || job.status === 'running') {
+      throw Object.assign(new Error(`Job ${id} is still ${job.status}; cancel it first`), { status: 409 });
+    }
+    jobs.delete(id);
+    if (writes.has(id)) await writes.get(id).chain;
+    writes.delete(id);
+    await fs.promises.rm(jobFile(id), { force: true });
+    return true;
+  }
+
+  // Reloads saved jobs; ones that were queued or running when the server stopped carry on
+  function restore() {
+    if (!fs.existsSync(dir)) return;
+    const files = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    const saved = [];
+    for (const name of files) {
+      let job;
+      try {
+        job = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch (error) {
+        console.error(`❌ Could not read job file ${name}:`, error.message);
+        continue;
+      }
+      if (!isValidJob(job, name)) {
+        console.error(`❌ Skipping job file ${name}: not a valid job`);
+        continue;
+      }
+      saved.push(job);
+    }
+    saved.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of saved) {
+      jobs.set(job.id, job);
+      if (job.status === 'queued' || job.status === 'running') {
+        job.status = 'queued';
+        pending.push(job.id);
+      }
+    }
+    console.log(`📦 Restored ${saved.length} job(s), ${pending.length} to resume`);
+    next();
+  }
+
+  return { createJob, getJob, listJobs, cancelJob, deleteJob, restore };
+}
+
+module.exports = {
+  JOB_INPUT_FORMATS,
+  MAX_INPUT_ERRORS,
+  parseJobInput,
+  toCsv,
+  toJsonl,
+  createJobManager
+};
@@ -0,0 +1,333 @@
+// config.js
+// Server settings in layers, each overriding the one before: built-in defaults, a config file, environment
+// variables and command-line flags (--cache-max-entries 500). The file is config.json or config.yaml in the
+// project root, or whichever CONFIG_FILE / --config names. Everything is validated on startup; settings
+// marked `reload` can also change while the server runs (see reloadConfig), the rest take a restart.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { DEFAULT_MAX_BATCH_SIZE, DEFAULT_OVERGENERATE } = require('./defaults');
+const { log } = require('./log');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+const SOURCE_NAMES = { file: 'config file', env: 'environment', flag: 'command line' };
+// Weight variants model-registry.js can load (its PRECISIONS), which can't be required before the settings are
+const PRECISION_NAMES = ['fp32', 'int8'];
+
+// name -> { env, type, default, min, max, values, validate, reload, secret, shared, resolve }
+// type is integer, number, boolean, string or list (comma-separated in variables and flags); validate(value)
+// returns a problem with a typed value, if any. A default may be a function of the settings above it. Secret
+// settings are never shown; shared ones are read by their own modules from the environment and default to
+// whatever those modules use (null here), which resolve() looks up for publicConfig. It requires the owning
+// module lazily, since those can't load before the settings are exported.
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3005 },
+  // Inference runs in inferenceWorkers worker threads (0 = on the main thread). Each thread's ONNX runtime
+  // gets onnxThreads threads, by default an even share of the CPU cores.
+  inferenceWorkers: { env: 'INFERENCE_WORKERS', type: 'integer', min: 0, max: 32, default: 1 },
+  onnxThreads: {
+    env: 'ONNX_THREADS',
+    type: 'integer',
+    min: 1,
+    max: 256,
+    default: ({ inferenceWorkers }) => Math.max(1, Math.floor(Math.min(8, os.cpus().length) / Math.max(1, inferenceWorkers)))
+  },
+  // Origins allowed to call the API from a browser, or * for any
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: ['*'] },
+  // null: keys are required once any key exists
+  requireApiKey: { env: 'REQUIRE_API_KEY', type: 'boolean', default: null },
+  adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', default: null, secret: true },
+  watchConfig: { env: 'CONFIG_WATCH', type: 'boolean', default: true },
+
+  cacheBackend: { env: 'CACHE_BACKEND', type: 'string', values: ['file', 'memory'], default: 'file' },
+  cacheFile: { env: 'CACHE_FILE', type: 'string', default: path.join(DATA_DIR, 'generation-cache.json') },
+  cacheMaxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', min: 1, default: 200, reload: true },
+  cacheMaxBytes: { env: 'CACHE_MAX_BYTES', type: 'integer', min: 1024, default: 5 * 1024 * 1024, reload: true },
+  cacheTtlSeconds: { env: 'CACHE_TTL_SECONDS', type: 'integer', min: 0, default: 24 * 60 * 60, reload: true }, // 0 = no expiry
+
+  queueConcurrency: { env: 'QUEUE_CONCURRENCY', type: 'integer', min: 1, default: ({ inferenceWorkers }) => Math.max(1, inferenceWorkers) },
+  queueMaxDepth: { env: 'QUEUE_MAX_DEPTH', type: 'integer', min: 0, default: 20, reload: true },
+  requestTimeoutSeconds: { env: 'REQUEST_TIMEOUT_SECONDS', type: 'integer', min: 1, default: 60, reload: true }, // queue wait + generation
+  maxBatchSize: { env: 'MAX_BATCH_SIZE', type: 'integer', min: 1, max: 64, default: DEFAULT_MAX_BATCH_SIZE },
+
+  maxPointCount: { env: 'MAX_POINT_COUNT', type: 'integer', min: 1, max: 100, default: 10, reload: true },
+  maxContextLength: { env: 'MAX_CONTEXT_LENGTH', type: 'integer', min: 1, default: 100000, reload: true }, // characters
+  qualityScoring: { env: 'QUALITY_SCORING', type: 'boolean', default: false, reload: true }, // requests can opt in with minQuality
+  qualityOvergenerate: { env: 'QUALITY_OVERGENERATE', type: 'number', min: 1, max: 5, default: DEFAULT_OVERGENERATE, reload: true },
+  minQuality: { env: 'MIN_QUALITY', type: 'number', min: 0, max: 1, default: 0, reload: true },
+  constrainedDecoding: { env: 'CONSTRAINED_DECODING', type: 'boolean', default: false, reload: true },
+  bannedWords: { env: 'BANNED_WORDS', type: 'list', default: [], reload: true },
+  // "es=Xenova/mGPT,fr=Xenova/mGPT", or "*=Xenova/mGPT" for every language but English
+  languageModels: { env: 'LANGUAGE_MODELS', type: 'string', default: '' },
+
+  jobsDir: { env: 'JOBS_DIR', type: 'string', default: path.join(DATA_DIR, 'jobs') },
+  maxJobRows: { env: 'MAX_JOB_ROWS', type: 'integer', min: 1, default: 1000, reload: true },
+
+  defaultModel: { env: 'DEFAULT_MODEL', type: 'string', default: null, shared: true, resolve: () => require('./model-registry').DEFAULT_MODEL },
+  // "int8" for every model, or per model: "distilgpt2=int8,gpt2=fp32"
+  modelPrecision: {
+    env: 'MODEL_PRECISION',
+    type: 'string',
+    default: null,
+    shared: true,
+    validate: validatePrecisions,
+    resolve: () => require('./model-registry').DEFAULT_PRECISION
+  },
+  warmupPrompt: { env: 'WARMUP_PROMPT', type: 'string', default: null, shared: true, resolve: () => require('./model-registry').WARMUP_PROMPT },
+  templatesFile: { env: 'TEMPLATES_FILE', type: 'string', default: null, shared: true, resolve: () => require('./template-store').TEMPLATES_FILE },
+  historyFile: { env: 'HISTORY_FILE', type: 'string', default: null, shared: true, resolve: () => require('./history-store').HISTORY_FILE },
+  maxHistoryEntries: {
+    env: 'MAX_HISTORY_ENTRIES',
+    type: 'integer',
+    min: 1,
+    default: null,
+    shared: true,
+    resolve: () => require('./history-store').MAX_ENTRIES_PER_USER
+  },
+  apiKeysFile: { env: 'API_KEYS_FILE', type: 'string', default: null, shared: true, resolve: () => require('./api-keys').API_KEYS_FILE },
+  apiUsageFile: { env: 'API_USAGE_FILE', type: 'string', default: null, shared: true, resolve: () => require('./api-keys').API_USAGE_FILE },
+  apiRateLimit: { env: 'API_RATE_LIMIT', type: 'integer', min: 0, default: null, shared: true, resolve: () => require('./api-keys').DEFAULT_RATE_LIMIT },
+  apiDailyTokenQuota: {
+    env: 'API_DAILY_TOKEN_QUOTA',
+    type: 'integer',
+    min: 0,
+    default: null,
+    shared: true,
+    resolve: () => require('./api-keys').DEFAULT_DAILY_TOKEN_QUOTA
+  },
+  moderationFile: { env: 'MODERATION_FILE', type: 'string', default: null, shared: true, resolve: () => require('./moderation').MODERATION_FILE },
+  // Same policies as moderation.js; without a variable the policy comes from its moderation file
+  moderationPolicy: {
+    env: 'MODERATION_POLICY',
+    type: 'string',
+    values: ['off', 'reject', 'redact', 'regenerate'],
+    default: null,
+    shared: true,
+    reload: true,
+    resolve: () => require('./moderation').moderationPolicy()
+  }
+};
+
+function validatePrecisions(value) {
+  const invalid = value.split(',').map(part => part.trim()).filter(Boolean)
+    .find(part => !PRECISION_NAMES.includes(part.split('=').pop().trim()));
+  return invalid ? `has an invalid entry "${invalid}" (expected ${PRECISION_NAMES.join(' or ')})` : null;
+}
+
+// --cache-max-entries for cacheMaxEntries
+function flagName(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+const FLAG_OPTIONS = Object.fromEntries([
+  ['config', { type: 'string' }],
+  ...Object.keys(SETTINGS).map(name => [flagName(name), { type: 'string' }])
+]);
+
+// Loaded settings: { settings (the live object handed out), sources, flags, baseEnv, configFlag, file, loadedAt, reloadedAt }
+let state = null;
+
+function configError(errors) {
+  return Object.assign(new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`), { code: 'INVALID_CONFIG', errors });
+}
+
+function findConfigFile(explicit) {
+  if (explicit) return path.resolve(explicit);
+  return CONFIG_FILE_NAMES.map(name => path.join(ROOT_DIR, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+  if (!file) return {};
+  const text = fs.readFileSync(file, 'utf8');
+  const stored = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+    throw new Error('expected an object of settings');
+  }
+  return stored;
+}
+
+// Typed value of one setting from a file value (already typed) or a variable/flag string: { value } or { error }
+function parseValue(spec, raw) {
+  let value = raw;
+  if (spec.type === 'integer' || spec.type === 'number') {
+    value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof value !== 'number' || !(spec.type === 'integer' ? Number.isInteger(value) : Number.isFinite(value))) {
+      return { error: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}` };
+    }
+    if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+      return { error: spec.max === undefined ? `must be at least ${spec.min}` : `must be between ${spec.min} and ${spec.max}` };
+    }
+  } else if (spec.type === 'boolean') {
+    if (raw === 'true' || raw === 'false') value = raw === 'true';
+    if (typeof value !== 'boolean') return { error: 'must be true or false' };
+  } else if (spec.type === 'list') {
+    value = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      return { error: 'must be a list of strings' };
+    }
+    value = value.map(item => item.trim()).filter(Boolean);
+  } else {
+    value = typeof raw === 'number' ? String(raw) : raw;
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    if (spec.values && !spec.values.includes(value)) return { error: `must be one of: ${spec.values.join(', ')}` };
+  }
+  const error = spec.validate ? spec.validate(value) : null;
+  return error ? { error } : { value };
+}
+
+// Resolves every setting through the layers; empty variables count as unset, like a missing one
+function resolveSettings(file, env, flags) {
+  const errors = [];
+  let stored = {};
+  try {
+    stored = readConfigFile(file);
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+  }
+  for (const key of Object.keys(stored)) {
+    if (!SETTINGS[key]) errors.push(`${file}: unknown setting "${key}"`);
+  }
+
+  const values = {};
+  const sources = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    const layer = [
+      ['flag', flags[name], `--${flagName(name)}`],
+      ['env', env[spec.env], spec.env],
+      ['file', stored[name], name]
+    ].find(([, raw]) => raw !== undefined && raw !== null && raw !== '');
+
+    const fallback = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+    values[name] = fallback;
+    sources[name] = 'default';
+    if (!layer) continue;
+
+    const [source, raw, label] = layer;
+    const { value, error } = parseValue(spec, raw);
+    if (error) {
+      errors.push(`${label} (${SOURCE_NAMES[source]}) ${error}`);
+      continue;
+    }
+    values[name] = value;
+    sources[name] = source;
+  }
+  return { values, sources, errors };
+}
+
+// Shared settings reach their modules through the environment, so values from the file and flags are
+// written there; a reload that drops one restores the original variable
+function exportShared(values, sources, baseEnv) {
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    if (!spec.shared) continue;
+    if (sources[name] === 'file' || sources[name] === 'flag') {
+      process.env[spec.env] = Array.isArray(values[name]) ? values[name].join(',') : String(values[name]);
+    } else if (baseEnv[spec.env] === undefined) {
+      delete process.env[spec.env];
+    } else {
+      process.env[spec.env] = baseEnv[spec.env];
+    }
+  }
+}
+
+// Reads and validates the settings; throws an INVALID_CONFIG error listing every problem. Must run before
+// the modules reading shared settings are loaded. Returns the settings object, which reloadConfig() updates
+// in place, so read reloadable settings from it when they are used rather than copying them.
+function loadConfig(argv = []) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: FLAG_OPTIONS, strict: true, allowPositionals: false }).values;
+  } catch (error) {
+    throw configError([error.message]);
+  }
+  const { config: configFlag, ...flagValues } = parsed;
+  const flags = {};
+  for (const name of Object.keys(SETTINGS)) flags[name] = flagValues[flagName(name)];
+
+  const baseEnv = { ...process.env };
+  const file = findConfigFile(configFlag || baseEnv.CONFIG_FILE);
+  const { values, sources, errors } = resolveSettings(file, baseEnv, flags);
+  if (errors.length > 0) throw configError(errors);
+
+  exportShared(values, sources, baseEnv);
+  state = { settings: values, sources, flags, baseEnv, configFlag, file, loadedAt: new Date().toISOString(), reloadedAt: null };
+  const fromFile = Object.values(sources).filter(source => source === 'file').length;
+  const shownFile = file && file.startsWith(`${ROOT_DIR}${path.sep}`) ? path.relative(ROOT_DIR, file) : file;
+  log(`⚙️ Configuration: ${file ? `${shownFile} (${fromFile} setting(s))` : 'defaults'}${Object.values(flags).some(Boolean) ? ' with command-line flags' : ''}`);
+  return values;
+}
+
+// Problems reloadConfig() would refuse the config file for, without applying anything; empty when it is valid
+function checkConfig() {
+  if (!state) throw new Error('loadConfig() has not run');
+  const file = findConfigFile(state.configFlag || state.baseEnv.CONFIG_FILE);
+  return resolveSettings(file, state.baseEnv, state.flags).errors;
+}
+
+// Reads the config file again (variables and flags stay as they were at startup) and applies the
+// reloadable settings that changed. Nothing changes when the new file is invalid.
+// Returns { changed, restartRequired, errors } with setting names.
+function reloadConfig() {
+  if (!state) throw new Error('loadConfig() has not run');
+  const file = findConfigFile(state.configFlag || state.baseEnv.CONFIG_FILE);
+  const { values, sources, errors } = resolveSettings(file, state.baseEnv, state.flags);
+  if (errors.length > 0) {
+    console.error(`❌ Configuration not reloaded:\n  ${errors.join('\n  ')}`);
+    return { changed: [], restartRequired: [], errors };
+  }
+
+  const changed = [];
+  const restartRequired = [];
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    if (JSON.stringify(values[name]) === JSON.stringify(state.settings[name])) continue;
+    if (!spec.reload) {
+      restartRequired.push(name);
+      continue;
+    }
+    state.settings[name] = values[name];
+    state.sources[name] = sources[name];
+    changed.push(name);
+  }
+  exportShared(state.settings, state.sources, state.baseEnv);
+  state.file = file;
+  state.reloadedAt = new Date().toISOString();
+
+  log(`⚙️ Configuration reloaded: ${changed.length > 0 ? changed.join(', ') : 'no changes'}`);
+  if (restartRequired.length > 0) console.warn(`⚠️ Restart to apply: ${restartRequired.join(', ')}`);
+  return { changed, restartRequired, errors: [] };
+}
+
+// Effective settings without secrets, with where each came from and whether it can be reloaded
+function publicConfig() {
+  const settings = {};
+  for (const [name, spec] of Object.entries(SETTINGS)) {
+    if (spec.secret) continue;
+    const value = state.settings[name] === null && spec.resolve ? spec.resolve() : state.settings[name];
+    settings[name] = { value, source: state.sources[name], env: spec.env, reload: !!spec.reload };
+  }
+  return { file: state.file, loadedAt: state.loadedAt, reloadedAt: state.reloadedAt, settings };
+}
+
+// Polls the config file (or where config.json would be, until one is created) and calls onChange(file)
+// whenever it changes. Returns a function that stops watching.
+function watchConfigFile(onChange, interval = 2000) {
+  const file = state.file || path.join(ROOT_DIR, CONFIG_FILE_NAMES[0]);
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) onChange(file);
+  };
+  fs.watchFile(file, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+module.exports = {
+  SETTINGS,
+  CONFIG_FILE_NAMES,
+  loadConfig,
+  checkConfig,
+  reloadConfig,
+  publicConfig,
+  watchConfigFile
+};
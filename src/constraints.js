@@ -0,0 +1,206 @@
+// constraints.js
+// Decoding constraints: stop sequences, banned words and constrained list decoding. Parses the request
+// fields, and builds the per-sequence checks the decoders run at every step (see batch-decoder.js).
+const MAX_STOP_SEQUENCES = 4;
+const MAX_STOP_LENGTH = 32;
+const MAX_BANNED_WORDS = 50;
+const MAX_BANNED_WORD_LENGTH = 40;
+
+// A list number written inline, which ends a single bullet: "... 3. Next"
+const INLINE_LIST_NUMBER = /\s\d+[.、]\s/u;
+
+// Newline-containing token ids per tokenizer and vocabulary size, found once by decoding every token
+// (when the model loads, see precomputeNewlineTokens)
+const newlineTokenCache = new WeakMap();
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Parses stop, constrained and bannedWords from a request body or query string. `defaults` holds the
+// server-wide settings ({ constrained, bannedWords }); banned words add up, the request can't lift them.
+// Returns { constraints: { stop, constrained, bannedWords }, errors }.
+function parseConstraintParams(input = {}, defaults = {}) {
+  const errors = [];
+
+  const stop = toList(input.stop);
+  if (stop.length > MAX_STOP_SEQUENCES ||
+      !stop.every(sequence => typeof sequence === 'string' && sequence.length > 0 && sequence.length <= MAX_STOP_LENGTH)) {
+    errors.push(`stop must be a string or up to ${MAX_STOP_SEQUENCES} strings of 1-${MAX_STOP_LENGTH} characters`);
+  }
+
+  let constrained = !!defaults.constrained;
+  if (input.constrained !== undefined && input.constrained !== '') {
+    if (input.constrained === true || input.constrained === 'true') {
+      constrained = true;
+    } else if (input.constrained === false || input.constrained === 'false') {
+      constrained = false;
+    } else {
+      errors.push('constrained must be true or false');
+    }
+  }
+
+  // Comma-separated in query strings and CLI flags
+  const requested = typeof input.bannedWords === 'string' ? input.bannedWords.split(',') : toList(input.bannedWords);
+  if (requested.length > MAX_BANNED_WORDS ||
+      !requested.every(word => typeof word === 'string' && word.trim().length > 0 && word.length <= MAX_BANNED_WORD_LENGTH)) {
+    errors.push(`bannedWords must be up to ${MAX_BANNED_WORDS} words of at most ${MAX_BANNED_WORD_LENGTH} characters`);
+  }
+  const bannedWords = errors.length > 0 ? [] : [...new Set([...(defaults.bannedWords || []), ...requested.map(word => word.trim())])];
+
+  return { constraints: { stop, constrained, bannedWords }, errors };
+}
+
+// Stable string form for cache keys; empty when decoding is unconstrained
+function constraintsKey({ stop = [], constrained = false, bannedWords = [] } = {}) {
+  const parts = [];
+  if (constrained) parts.push('constrained');
+  if (stop.length > 0) parts.push(`stop=${JSON.stringify(stop)}`);
+  if (bannedWords.length > 0) parts.push(`ban=${JSON.stringify([...bannedWords].sort())}`);
+  return parts.join(',');
+}
+
+// bad_words_ids for generate(): each word as it would appear at the start of a line and mid-sentence,
+// in lower and capitalized form, since BPE vocabularies have separate tokens for each
+function bannedWordIds(tokenizer, words) {
+  const sequences = new Map();
+  for (const word of words) {
+    const capitalized = word.charAt(0).toUpperCase() + word.slice(1);
+    for (const variant of [word, ` ${word}`, capitalized, ` ${capitalized}`]) {
+      const ids = Array.from(tokenizer.encode(variant, null, { add_special_tokens: false }), Number);
+      if (ids.length > 0) sequences.set(ids.join(','), ids);
+    }
+  }
+  return Array.from(sequences.values());
+}
+
+// Cuts `text` at the first stop sequence
+function truncateAtStop(text, stop = []) {
+  let end = text.length;
+  for (const sequence of stop) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && index < end) end = index;
+  }
+  return text.slice(0, end);
+}
+
+// The first bullet of free text: up to a line break or an inline list number
+function firstListItem(text) {
+  const lines = text.split('\n');
+  const line = lines.find(candidate => candidate.trim()) || '';
+  const next = INLINE_LIST_NUMBER.exec(line);
+  return next ? line.slice(0, next.index) : line;
+}
+
+function newlineTokenIds(tokenizer, vocabSize) {
+  let byVocab = newlineTokenCache.get(tokenizer);
+  if (!byVocab) {
+    byVocab = new Map();
+    newlineTokenCache.set(tokenizer, byVocab);
+  }
+  if (!byVocab.has(vocabSize)) {
+    const ids = [];
+    for (let id = 0; id < vocabSize; id++) {
+      if (tokenizer.decode([id], { skip_special_tokens: true }).includes('\n')) ids.push(id);
+    }
+    byVocab.set(vocabSize, ids);
+  }
+  return byVocab.get(vocabSize);
+}
+
+// Decodes the vocabulary of a freshly loaded pipeline up front (model-registry.js calls this after warm-up),
+// so the first constrained request doesn't pay for it
+function precomputeNewlineTokens(generator) {
+  const vocabSize = generator.model && generator.model.config.vocab_size;
+  if (Number.isInteger(vocabSize)) newlineTokenIds(generator.tokenizer, vocabSize);
+}
+
+function banTokens(logits, ids) {
+  for (const id of ids) logits.data[id] = -Infinity;
+}
+
+function forceToken(logits, id) {
+  const score = Number.isFinite(logits.data[id]) ? logits.data[id] : 0;
+  logits.data.fill(-Infinity);
+  logits.data[id] = score;
+}
+
+// Per-sequence constraint for one prompt. `constraints` are the request's (see parseConstraintParams);
+// `list` describes the expected output under constrained decoding:
+//   { items, numbered, firstNumber, promptNumbered, minLength, eosTokenIds }
+// items are lines to produce; numbered lists get "N." forced at the start of each line (the first one's
+// number usually ends the prompt already, see promptNumbered). A line can't end, and the output can't end
+// before the last line, until it holds minLength characters of text.
+// Returns { process(outputIds, logits), isDone(outputIds) } or null when there is nothing to enforce.
+// process() is a logits processor over the generated ids only; isDone() says when to stop decoding.
+function createSequenceConstraint(generator, { stop = [], constrained = false } = {}, list = null) {
+  if (stop.length === 0 && !(constrained && list)) return null;
+  const { tokenizer } = generator;
+  const activeList = constrained ? list : null;
+
+  // Ids only ever grow by one token per step, so the last decode is reused while the length matches
+  let decoded = { length: -1, text: '' };
+  const textOf = (outputIds) => {
+    if (decoded.length !== outputIds.length) {
+      decoded = { length: outputIds.length, text: tokenizer.decode(outputIds, { skip_special_tokens: true }) };
+    }
+    return decoded.text;
+  };
+  const markers = new Map(); // list number -> token ids of "N."
+  const markerIds = (number) => {
+    if (!markers.has(number)) markers.set(number, Array.from(tokenizer.encode(`${number}.`, null, { add_special_tokens: false }), Number));
+    return markers.get(number);
+  };
+
+  function process(outputIds, logits) {
+    if (!activeList) return;
+    const text = textOf(outputIds);
+    const lines = text.split('\n');
+    const completed = lines.length - 1;
+    const current = lines[completed];
+
+    // Force the rest of this line's "N." prefix
+    if (activeList.numbered && (completed > 0 || !activeList.promptNumbered)) {
+      const forced = markerIds(activeList.firstNumber + completed);
+      const written = current.trimStart();
+      for (let k = 0; k < forced.length; k++) {
+        if (written === tokenizer.decode(forced.slice(0, k), { skip_special_tokens: true })) {
+          forceToken(logits, forced[k]);
+          return;
+        }
+      }
+    }
+
+    const content = (activeList.numbered ? current.replace(/^\s*\d+[.、]/u, '') : current).trim();
+    if (content.length < activeList.minLength) {
+      banTokens(logits, newlineTokenIds(tokenizer, logits.data.length));
+      banTokens(logits, activeList.eosTokenIds);
+    } else if (completed + 1 < activeList.items) {
+      banTokens(logits, activeList.eosTokenIds);
+    }
+  }
+
+  function isDone(outputIds) {
+    const text = textOf(outputIds);
+    if (stop.some(sequence => text.includes(sequence))) return true;
+    if (!activeList) return false;
+    const completed = text.split('\n').length - 1;
+    if (completed >= activeList.items) return true;
+    return !activeList.numbered && INLINE_LIST_NUMBER.test(text);
+  }
+
+  return { process, isDone };
+}
+
+module.exports = {
+  MAX_STOP_SEQUENCES,
+  MAX_BANNED_WORDS,
+  parseConstraintParams,
+  constraintsKey,
+  bannedWordIds,
+  truncateAtStop,
+  firstListItem,
+  precomputeNewlineTokens,
+  createSequenceConstraint
+};
@@ -0,0 +1,14 @@
+// defaults.js
+// Defaults shared by the modules that use them and by config.js. Kept free of dependencies, so the settings
+// load without pulling in the model runtime.
+
+// Prompts padded into one tensor batch by batchGenerate; bigger batches share session calls but use more memory
+const DEFAULT_MAX_BATCH_SIZE = 4;
+
+// Candidates generated per requested bullet when quality scoring is on
+const DEFAULT_OVERGENERATE = 1.5;
+
+module.exports = {
+  DEFAULT_MAX_BATCH_SIZE,
+  DEFAULT_OVERGENERATE
+};
@@ -0,0 +1,342 @@
+// generation-cache.js
+// Generation cache with pluggable storage backends, per-entry TTL and size limits
+const fs = require('fs');
+const path = require('path');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+function entrySize(entry) {
+  return Buffer.byteLength(JSON.stringify(entry));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// A [key, entry] pair as stored (or exported, with the key inside the entry) that is safe to serve
+function isValidEntry(key, entry) {
+  return typeof key === 'string' &&
+    isPlainObject(entry) &&
+    typeof entry.topic === 'string' &&
+    Array.isArray(entry.points) && entry.points.every(point => typeof point === 'string') &&
+    (entry.meta === undefined || isPlainObject(entry.meta)) &&
+    (entry.expiresAt === undefined || entry.expiresAt === null || Number.isFinite(entry.expiresAt));
+}
+
+// In-memory LRU: Map iteration order doubles as recency order (least recently used first)
+function createMemoryBackend({ maxEntries = 200, maxBytes = 5 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  let totalBytes = 0;
+  let evictions = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    totalBytes -= entry.bytes;
+    entries.delete(key);
+    return true;
+  }
+
+  function evict() {
+    while (entries.size > 0 && (entries.size > maxEntries || totalBytes > maxBytes)) {
+      remove(entries.keys().next().value);
+      evictions++;
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      // Move to the most recently used end
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    peek(key) {
+      return entries.get(key) || null;
+    },
+
+    set(key, entry) {
+      remove(key);
+      entry.bytes = entrySize({ ...entry, bytes: 0 });
+      entries.set(key, entry);
+      totalBytes += entry.bytes;
+      evict();
+    },
+
+    delete: remove,
+
+    clear() {
+      entries.clear();
+      totalBytes = 0;
+    },
+
+    entries() {
+      return Array.from(entries.entries());
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: totalBytes, maxEntries, maxBytes, evictions };
+    },
+
+    // Limits can change while the server runs; lowering one evicts down to it right away.
+    // Returns the number of entries evicted.
+    setLimits({ maxEntries: entryLimit = maxEntries, maxBytes: byteLimit = maxBytes } = {}) {
+      maxEntries = entryLimit;
+      maxBytes = byteLimit;
+      const before = evictions;
+      evict();
+      return evictions - before;
+    }
+  };
+}
+
+// Memory LRU mirrored to a JSON file so cached topics survive restarts. Lookups only reorder the LRU and
+// count hits, so they are saved with the next change or at shutdown rather than on every hit.
+function createFileBackend({ file, persistDelay = 1000, ...limits }) {
+  const memory = createMemoryBackend(limits);
+  let persistTimer = null;
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(file)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      // Re-insert least recently used first so the LRU order is restored; damaged entries are dropped
+      const restored = (Array.isArray(stored.entries) ? stored.entries : [])
+        .filter(item => Array.isArray(item) && isValidEntry(item[0], item[1]))
+        .sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+      for (const [key, entry] of restored) {
+        memory.set(key, { meta: {}, expiresAt: null, ...entry });
+      }
+      console.log(`💾 Restored ${memory.stats().entries} cached generation(s) from ${file}`);
+    } catch (error) {
+      console.error(`❌ Could not read cache file ${file}, starting empty:`, error.message);
+    }
+  }
+
+  function serialize() {
+    return JSON.stringify({ version: EXPORT_FORMAT_VERSION, entries: memory.entries() });
+  }
+
+  function persist() {
+    persistTimer = null;
+    const data = serialize();
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tempFile = `${file}.tmp`;
+      await fs.promises.writeFile(tempFile, data);
+      await fs.promises.rename(tempFile, file);
+    }).catch(error => {
+      console.error('❌ Failed to persist generation cache:', error.message);
+    });
+    return writing;
+  }
+
+  // Batch bursts of writes into one file update
+  function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persist, persistDelay);
+    persistTimer.unref();
+  }
+
+  return {
+    ...memory,
+    name: 'file',
+
+    set(key, entry) {
+      memory.set(key, entry);
+      schedulePersist();
+    },
+
+    delete(key) {
+      const removed = memory.delete(key);
+      if (removed) schedulePersist();
+      return removed;
+    },
+
+    clear() {
+      memory.clear();
+      schedulePersist();
+    },
+
+    setLimits(limits) {
+      const evicted = memory.setLimits(limits);
+      if (evicted > 0) schedulePersist();
+      return evicted;
+    },
+
+    // Synchronous write for shutdown, when async work may never finish
+    flushSync() {
+      if (persistTimer) clearTimeout(persistTimer);
+      persistTimer = null;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, serialize());
+    },
+
+    stats() {
+      return { ...memory.stats(), file };
+    }
+  };
+}
+
+// The topic part of a cache key. NFKC folds the different encodings of the same text (composed vs
+// combining accents, full-width forms) so a Unicode topic always maps to one key; list and purgeTopic
+// match topics the same way.
+function topicKey(topic) {
+  return topic.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// TTL, metadata and admin operations on top of a storage backend
+function createGenerationCache({ backend, defaultTtl = 0 }) {
+  // Lookup outcomes since startup; per-entry `hits` can't count misses
+  const lookups = { hits: 0, misses: 0 };
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  function pruneExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of backend.entries()) {
+      if (isExpired(entry, now)) {
+        backend.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  pruneExpired();
+
+  return {
+    backend: backend.name,
+
+    get(key) {
+      const entry = backend.get(key);
+      if (!entry || isExpired(entry)) {
+        if (entry) backend.delete(key);
+        lookups.misses++;
+        return null;
+      }
+      lookups.hits++;
+      entry.lastUsed = Date.now();
+      entry.hits = (entry.hits || 0) + 1;
+      return entry;
+    },
+
+    // ttl in ms; 0 keeps the entry until it is evicted
+    set(key, { topic, points, generationTime, meta = {} }, { ttl = defaultTtl } = {}) {
+      const now = Date.now();
+      const entry = {
+        topic,
+        points,
+        generationTime,
+        meta,
+        hits: 0,
+        created: now,
+        lastUsed: now,
+        expiresAt: ttl > 0 ? now + ttl : null
+      };
+      backend.set(key, entry);
+      return entry;
+    },
+
+    inspect(key) {
+      const entry = backend.peek(key);
+      return entry && !isExpired(entry) ? { key, ...entry } : null;
+    },
+
+    delete(key) {
+      return backend.delete(key);
+    },
+
+    list({ topic } = {}) {
+      const wanted = topic ? topicKey(topic) : null;
+      return backend.entries()
+        .filter(([, entry]) => !isExpired(entry))
+        .filter(([, entry]) => !wanted || topicKey(entry.topic) === wanted)
+        .map(([key, entry]) => ({ key, ...entry }));
+    },
+
+    purgeTopic(topic) {
+      const keys = this.list({ topic }).map(entry => entry.key);
+      keys.forEach(key => backend.delete(key));
+      return keys.length;
+    },
+
+    clear() {
+      const count = backend.stats().entries;
+      backend.clear();
+      return count;
+    },
+
+    pruneExpired,
+
+    export() {
+      return {
+        version: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: this.list()
+      };
+    },
+
+    // Accepts the export() format; expired or malformed entries are skipped, and entries without an
+    // expiresAt get the default TTL
+    import(data) {
+      const entries = data && Array.isArray(data.entries) ? data.entries : null;
+      if (!entries) throw new Error('Import must contain an entries array');
+
+      let imported = 0;
+      let skipped = 0;
+      const now = Date.now();
+      for (const item of entries) {
+        const { key, bytes, ...entry } = isPlainObject(item) ? item : {};
+        if (!isValidEntry(key, entry) || (entry.expiresAt && entry.expiresAt <= now)) {
+          skipped++;
+          continue;
+        }
+        backend.set(key, {
+          hits: 0,
+          created: now,
+          lastUsed: now,
+          expiresAt: defaultTtl > 0 ? now + defaultTtl : null,
+          meta: {},
+          ...entry
+        });
+        imported++;
+      }
+      return { imported, skipped };
+    },
+
+    stats() {
+      pruneExpired();
+      return { backend: backend.name, defaultTtl, ...lookups, ...backend.stats() };
+    },
+
+    // New size limits and default TTL (ms) for entries stored from now on; returns the entries evicted
+    configure({ defaultTtl: ttl = defaultTtl, ...limits } = {}) {
+      defaultTtl = ttl;
+      return backend.setLimits(limits);
+    },
+
+    get size() {
+      return backend.stats().entries;
+    },
+
+    flush() {
+      if (backend.flushSync) backend.flushSync();
+    }
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+  createFileBackend,
+  createGenerationCache,
+  topicKey
+};
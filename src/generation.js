@@ -0,0 +1,589 @@
+// generation.js
+// Bullet point generation on a loaded text-generation pipeline; shared by the server and inference workers
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_LANGUAGE,
+  PROMPT_TEMPLATES,
+  getLanguage,
+  compilePromptTemplates,
+  parseAndExtractPoints,
+  extractNumberedPoints,
+  parseListItems,
+  cleanUpPoint,
+  generateMinimalFallback
+} = require('../public/js/bullet-utils');
+const {
+  DEFAULT_BULLET_TOKENS,
+  MAX_STRUCTURED_TOKENS,
+  NUMBERING_TOKENS,
+  createTextStreamer,
+  createTokenStreamer,
+  specialTokenIds,
+  generateOptimizedSet: generateSet
+} = require('../public/js/bullet-generation');
+const { toGenerationOptions, createSeededRandom } = require('./sampling');
+const { DEFAULT_MAX_BATCH_SIZE, supportsBatchedDecoding, decodeBatch } = require('./batch-decoder');
+const { DEFAULT_OVERGENERATE, isDuplicate, scoreCandidates, selectTopPoints } = require('./quality');
+const { DEFAULT_CONTEXT_WINDOW } = require('./model-registry');
+const { bannedWordIds, truncateAtStop, firstListItem, createSequenceConstraint } = require('./constraints');
+const { log } = require('./log');
+
+const CONTEXT_SEPARATOR = '\n\n';
+// Tokens held back from a reference document's budget: text can tokenize differently where it meets the prompt
+const DOCUMENT_MARGIN_TOKENS = 16;
+// Rough tokens per English word with GPT-2 style BPE, for turning a target in words into a token budget
+const TOKENS_PER_WORD = 1.4;
+// Units a target bullet length can be given in
+const LENGTH_UNITS = ['words', 'tokens'];
+
+// Wraps a pipeline callback so beams stop once `constraint` says their output is done (stop sequences);
+// pipeline beams carry the prompt ids first
+function withStopCheck(generator, prompt, constraint, callback) {
+  if (!constraint) return callback;
+  const promptLength = generator.tokenizer.encode(prompt, null, { add_special_tokens: false }).length;
+  return (beams) => {
+    for (const beam of beams) {
+      if (!beam.done && constraint.isDone(beam.output_token_ids.slice(promptLength))) beam.done = true;
+    }
+    if (callback) callback(beams);
+  };
+}
+
+// Wraps a per-step callback so decoding stops at the next token once `signal` aborts
+function withAbortCheck(signal, callback) {
+  if (!signal) return callback;
+  return (beams) => {
+    signal.throwIfAborted();
+    if (callback) callback(beams);
+  };
+}
+
+// Sampling used by batchGenerate for anything the caller leaves unset
+const BATCH_SAMPLING_DEFAULTS = {
+  maxTokens: 30,
+  temperature: 0.8,
+  doSample: true,
+  topP: 0.95,
+  topK: 50,
+  repetitionPenalty: 1.15,
+  numBeams: 1
+};
+
+// Batch generation: up to maxBatchSize prompts are padded into one tensor batch and decoded together.
+// Beam search, and models whose cache can't be batched, fall back to one pipeline call per prompt.
+// options.maxTokens, temperature, topP and the other sampling fields override BATCH_SAMPLING_DEFAULTS.
+// options.maxBatchSize caps how many prompts are decoded together.
+// options.onToken(chunk, promptIndex) receives each prompt's new text as it is decoded.
+// options.signal stops decoding when it aborts.
+// options.random (a seeded generator) replaces Math.random for sampling; it needs the direct decoder.
+// options.badWordsIds is passed to generate() as bad_words_ids.
+// options.constraints holds one entry per prompt (see constraints.js); prompts with logits constraints and no
+// batch support are decoded one at a time in the direct decoder, and beam search only applies their stop check.
+// Resolves to one [{ generated_text }] per prompt, like separate pipeline calls.
+async function batchGenerate(generator, prompts, options = {}) {
+  const results = [];
+  const { onToken, signal, random, maxBatchSize = DEFAULT_MAX_BATCH_SIZE, badWordsIds, constraints = [], ...sampling } = options;
+  const generationOptions = {
+    ...toGenerationOptions({ ...BATCH_SAMPLING_DEFAULTS, ...sampling }),
+    ...specialTokenIds(generator),
+    ...(badWordsIds && badWordsIds.length > 0 ? { bad_words_ids: badWordsIds } : {})
+  };
+  const canBatch = supportsBatchedDecoding(generator);
+  const batched = generationOptions.num_beams === 1 && (canBatch || !!random || constraints.some(Boolean));
+  const batchSize = batched && canBatch ? Math.max(1, maxBatchSize) : 1;
+  
+  for (let i = 0; i < prompts.length; i += batchSize) {
+    const batch = prompts.slice(i, i + batchSize);
+
+    if (!batched) {
+      const result = await generator(batch[0], {
+        ...generationOptions,
+        return_full_text: false,
+        // Performance optimizations
+        use_cache: true,
+        output_scores: false,
+        output_attentions: false,
+        output_hidden_states: false,
+        callback_function: withAbortCheck(signal, withStopCheck(generator, batch[0], constraints[i], onToken
+          ? createTokenStreamer(generator, batch[0], chunk => onToken(chunk, i))
+          : undefined))
+      });
+      results.push(result);
+      continue;
+    }
+
+    // Stream each prompt's new text as the shared decode steps complete
+    const emittedLengths = batch.map(() => 0);
+    const onStep = onToken && ((outputs) => {
+      outputs.forEach((ids, j) => {
+        const text = generator.tokenizer.decode(ids, { skip_special_tokens: true });
+        if (text.length > emittedLengths[j]) {
+          onToken(text.slice(emittedLengths[j]), i + j);
+          emittedLengths[j] = text.length;
+        }
+      });
+    });
+
+    const texts = await decodeBatch(generator, batch, {
+      ...generationOptions,
+      constraints: constraints.slice(i, i + batchSize),
+      onStep,
+      signal,
+      random
+    });
+    results.push(...texts.map(text => [{ generated_text: text }]));
+  }
+  
+  return results;
+}
+
+// Tokens the model attends to: prompt plus generated text
+function contextWindow(generator) {
+  const config = generator.model ? generator.model.config : {};
+  return config.n_ctx || config.n_positions || config.max_position_embeddings || DEFAULT_CONTEXT_WINDOW;
+}
+
+// Token budget of one bullet: its target length ({ value, unit: 'words' | 'tokens' }) or the default
+function bulletTokenBudget(length) {
+  if (!length) return DEFAULT_BULLET_TOKENS;
+  return length.unit === 'tokens' ? length.value : Math.ceil(length.value * TOKENS_PER_WORD);
+}
+
+// New tokens wanted by the structured and single passes, before the context window has its say;
+// sampling.maxTokens overrides the structured budget and caps the single one. Without a target length
+// the structured pass stops at MAX_STRUCTURED_TOKENS.
+function passBudgets(sampling, targetCount, length) {
+  const perBullet = bulletTokenBudget(length);
+  const structured = targetCount * (perBullet + NUMBERING_TOKENS);
+  return {
+    structured: sampling.maxTokens || (length ? structured : Math.min(MAX_STRUCTURED_TOKENS, structured)),
+    single: Math.min(perBullet, sampling.maxTokens || perBullet)
+  };
+}
+
+// Caps a pass's new tokens at what the context window leaves after its prompt
+function fitNewTokens(generator, promptTokens, wanted) {
+  const window = contextWindow(generator);
+  if (promptTokens >= window) {
+    throw Object.assign(new Error(`Prompt is ${promptTokens} tokens, which leaves no room in the model's ${window}-token context window`), {
+      status: 400,
+      code: 'PROMPT_TOO_LONG'
+    });
+  }
+  return Math.min(wanted, window - promptTokens);
+}
+
+function trimDangling(text) {
+  return text.replace(/\uFFFD+$/u, '').replace(/[\s,;:、，\-–—]+$/u, '');
+}
+
+// Length check for cleanUpPoint (see bullet-utils.js). With a target length longer bullets are cut back to
+// it, at a word boundary where the script has them; without one, cleanUpPoint's own character limit applies
+// (undefined). Scripts written without spaces have no words to count, so a target in words is applied in
+// tokens there.
+function createLengthFitter(generator, length) {
+  const { tokenizer } = generator;
+  if (!length) return undefined;
+
+  return (text, rules) => {
+    if (length.unit === 'words' && rules.spaced) {
+      const words = text.split(/\s+/);
+      return words.length > length.value ? trimDangling(words.slice(0, length.value).join(' ')) : text;
+    }
+    const ids = tokenizer.encode(text);
+    const limit = bulletTokenBudget(length);
+    if (ids.length <= limit) return text;
+    let cut = tokenizer.decode(ids.slice(0, limit), { skip_special_tokens: true });
+    // Drop a word the cut went through
+    if (rules.spaced && /\S/.test(text.charAt(cut.length))) cut = cut.replace(/\S*$/u, '');
+    return trimDangling(cut);
+  };
+}
+
+// The two-pass strategy of bullet-generation.js on the server's decoders, with quality scoring and usage reporting.
+// options: sampling, promptTemplates, language, length, constraints, quality, avoid, random, maxBatchSize and
+// signal shape the decoding; onToken(chunk, source, promptIndex) and onPoint(point, index) stream it.
+// Resolves to the bullets; options.usage ({}) gets the token counts and per-point metadata filled in.
+async function generateOptimizedSet(generator, topic, requestedCount, options = {}) {
+  const startTime = Date.now();
+  const { sampling = {}, promptTemplates = PROMPT_TEMPLATES, onToken, onPoint, usage = {}, signal, maxBatchSize, quality, avoid = [], language = DEFAULT_LANGUAGE, length = null, constraints = null, random = null } = options;
+  const { minLength } = getLanguage(language);
+  const targetCount = quality ? Math.ceil(requestedCount * (quality.overGenerate || DEFAULT_OVERGENERATE)) : requestedCount;
+  const fitPoint = createLengthFitter(generator, length);
+  const budgets = passBudgets(sampling, targetCount, length);
+  const stop = constraints ? constraints.stop : [];
+  // Logits constraints run in the direct decoder, which has no beam search
+  const constrained = !!(constraints && constraints.constrained) && (sampling.numBeams || 1) === 1;
+  const badWordsIds = constraints && constraints.bannedWords.length > 0 ? bannedWordIds(generator.tokenizer, constraints.bannedWords) : null;
+  const eosTokenIds = [].concat(specialTokenIds(generator).eos_token_id);
+  usage.promptTokens = 0;
+  usage.completionTokens = 0;
+  usage.fallback = false;
+  usage.points = [];
+  if (quality) usage.quality = null;
+
+  const countTokens = (text) => {
+    usage.completionTokens += generator.tokenizer.encode(text).length;
+    return text;
+  };
+  const countPromptTokens = (prompt) => {
+    const tokens = generator.tokenizer.encode(prompt).length;
+    usage.promptTokens += tokens;
+    return tokens;
+  };
+
+  // First sighting of each point: how it was produced and when (ms into the generation)
+  const pointSources = new Map();
+  const notePoints = (points, source) => {
+    for (const point of points) {
+      if (!pointSources.has(point)) pointSources.set(point, { source, generationTime: Date.now() - startTime });
+    }
+  };
+
+  const pointScores = new Map();
+  const finish = (points) => {
+    usage.points = points.map(point => ({
+      ...(pointSources.get(point) || { source: 'fallback', generationTime: Date.now() - startTime }),
+      tokens: usage.fallback ? 0 : generator.tokenizer.encode(point).length,
+      ...pointScores.get(point)
+    }));
+    return points;
+  };
+
+  // Keeps the best-scoring candidates (see quality.js), or the first requestedCount when scoring fails
+  const choosePoints = async (candidates) => {
+    let chosen;
+    try {
+      const scored = await scoreCandidates(generator, topic, candidates, { signal, language });
+      chosen = selectTopPoints(scored, requestedCount, { minScore: quality.minScore });
+    } catch (error) {
+      if (signal && signal.aborted) throw signal.reason;
+      console.warn('Quality scoring failed, keeping unscored points:', error.message);
+      return candidates.slice(0, requestedCount);
+    }
+    for (const { text, score, relevance, repetition, overlap, completeness } of chosen) {
+      pointScores.set(text, { score, scores: { relevance, repetition, overlap, completeness } });
+    }
+    usage.quality = {
+      candidates: candidates.length,
+      rejected: candidates.length - chosen.length,
+      minScore: quality.minScore || 0
+    };
+    return chosen.map(point => point.text);
+  };
+
+  // Constrained output has one bullet per line; otherwise numbered items are picked out of free text
+  const extractListed = (text, count) => (constrained
+    ? parseListItems(text, topic, count, language, fitPoint)
+    : extractNumberedPoints(text, topic, count, language, fitPoint));
+
+  const decodeStructured = async (structuredPrompt, onStructuredText) => {
+    // Templates end on the first list number ("...\n1."), which the model continues from
+    const listNumber = /(\d+)[.、]\s*$/u.exec(structuredPrompt);
+    const structuredConstraint = createSequenceConstraint(generator, { stop, constrained }, {
+      items: targetCount,
+      numbered: true,
+      firstNumber: listNumber ? Number(listNumber[1]) : 1,
+      promptNumbered: !!listNumber,
+      minLength,
+      eosTokenIds
+    });
+    const structuredOptions = {
+      ...toGenerationOptions({
+        temperature: 0.85,
+        doSample: true,
+        topP: 0.95,
+        topK: 50,
+        repetitionPenalty: 1.2,
+        numBeams: 1,
+        ...sampling,
+        maxTokens: fitNewTokens(generator, countPromptTokens(structuredPrompt), budgets.structured)
+      }),
+      ...specialTokenIds(generator),
+      ...(badWordsIds ? { bad_words_ids: badWordsIds } : {})
+    };
+
+    // The list constraint is a logits processor and the seeded sampler replaces the pipeline's own,
+    // which only the direct decoder allows
+    if (constrained || (random && structuredOptions.num_beams === 1)) {
+      const stream = onStructuredText && createTextStreamer(onStructuredText);
+      const [generatedText] = await decodeBatch(generator, [structuredPrompt], {
+        ...structuredOptions,
+        constraints: [structuredConstraint],
+        onStep: stream && (outputs => stream(generator.tokenizer.decode(outputs[0], { skip_special_tokens: true }))),
+        signal,
+        random
+      });
+      return countTokens(generatedText);
+    }
+    const streamer = onStructuredText && createTokenStreamer(generator, structuredPrompt, onStructuredText);
+    const result = await generator(structuredPrompt, {
+      ...structuredOptions,
+      return_full_text: false,
+      use_cache: true,
+      output_scores: false,
+      output_attentions: false,
+      output_hidden_states: false,
+      callback_function: withAbortCheck(signal, withStopCheck(generator, structuredPrompt, structuredConstraint, streamer || undefined))
+    });
+    return countTokens(result[0].generated_text);
+  };
+
+  // Gap-filling prompts are decoded in batches. They stay short even when the structured pass was given a
+  // bigger budget; batches are padded to their longest prompt, so that one decides what fits the context window.
+  const decodeSingles = async (singlePrompts, onSingleToken) => {
+    const singlePromptTokens = Math.max(...singlePrompts.map(countPromptTokens));
+    const singleResults = await batchGenerate(generator, singlePrompts, {
+      ...sampling,
+      maxTokens: fitNewTokens(generator, singlePromptTokens, budgets.single),
+      temperature: sampling.temperature || 0.9,
+      maxBatchSize,
+      badWordsIds,
+      constraints: singlePrompts.map(() => createSequenceConstraint(generator, { stop, constrained }, {
+        items: 1,
+        numbered: false,
+        minLength,
+        eosTokenIds
+      })),
+      onToken: onSingleToken,
+      signal,
+      random
+    });
+    return singleResults.map(singleResult => countTokens(singleResult[0].generated_text));
+  };
+
+  try {
+    return finish(await generateSet(generator, topic, requestedCount, {
+      promptTemplates,
+      language,
+      targetCount,
+      onToken,
+      onPoint,
+      decodeStructured,
+      decodeSingles,
+      prepareText: text => truncateAtStop(text, stop),
+      extractListed,
+      extractPoints: (text, count) => (constrained
+        ? extractListed(text, count + avoid.length)
+        : parseAndExtractPoints(text, topic, count + avoid.length, language, fitPoint)),
+      singlePoint: text => cleanUpPoint(constrained ? firstListItem(text) : text, topic, language, fitPoint),
+      accept: point => !avoid.some(existing => isDuplicate(existing, point)),
+      notePoints,
+      choosePoints: quality ? choosePoints : null,
+      log
+    }));
+  } catch (error) {
+    // A cancelled or timed-out request has nobody left to answer
+    if (signal && signal.aborted) throw signal.reason;
+    // The fallback wouldn't fit the request any better
+    if (error.code === 'PROMPT_TOO_LONG') throw error;
+    console.warn('Fast generation failed, using minimal fallback:', error);
+    usage.fallback = true;
+    return finish(generateMinimalFallback(topic, requestedCount, language));
+  }
+}
+
+// Prompts that show the pinned bullets first, so new ones continue the same list instead of restarting it
+function withPinnedContext(promptTemplates, pinned) {
+  if (pinned.length === 0) return promptTemplates;
+  const context = pinned.map((point, i) => `${i + 1}. ${point}`).join('\n');
+  // Templates open their numbered list with "1."; continue it after the pinned bullets instead
+  const continueList = prompt => `${prompt.replace(/1\.\s*$/, '').trimEnd()}\n${context}\n${pinned.length + 1}.`;
+  return {
+    structured: (topic, count) => continueList(promptTemplates.structured(topic, count + pinned.length)),
+    structuredVariants: (topic, count) => promptTemplates.structuredVariants(topic, count + pinned.length).map(continueList),
+    single: (topic, index) => `${context}\n${pinned.length + index + 1}. ${promptTemplates.single(topic, pinned.length + index)}`
+  };
+}
+
+// Regenerates the unpinned bullets of a curated set. points: [{ text, pinned }]; pinned (and edited) bullets
+// keep their place and are fed back as context, and new ones must not duplicate them. A slot nothing new
+// could fill keeps its old text. Takes generateOptimizedSet's options; usage.points marks pinned/unchanged sources.
+async function regenerateUnpinned(generator, topic, points, options = {}) {
+  const { usage = {}, promptTemplates = PROMPT_TEMPLATES, onPoint } = options;
+  const pinned = points.filter(point => point.pinned).map(point => point.text);
+  const openSlots = points.map((point, index) => index).filter(index => !points[index].pinned);
+
+  let fresh = [];
+  if (openSlots.length > 0) {
+    fresh = await generateOptimizedSet(generator, topic, openSlots.length, {
+      ...options,
+      usage,
+      onPoint: onPoint && ((point, index) => onPoint(point, openSlots[index])),
+      promptTemplates: withPinnedContext(promptTemplates, pinned),
+      avoid: points.map(point => point.text) // Neither the pinned nor the rejected bullets should come back
+    });
+  } else {
+    Object.assign(usage, { promptTokens: 0, completionTokens: 0, fallback: false, points: [] });
+  }
+  // The minimal fallback is no replacement for a bullet the user already has
+  if (usage.fallback) fresh = [];
+
+  const freshDetails = usage.points;
+  const details = [];
+  let next = 0;
+  const texts = points.map((point) => {
+    if (point.pinned) {
+      details.push({ source: 'pinned', tokens: generator.tokenizer.encode(point.text).length });
+      return point.text;
+    }
+    if (next < fresh.length) {
+      details.push(freshDetails[next]);
+      return fresh[next++];
+    }
+    details.push({ source: 'unchanged', tokens: generator.tokenizer.encode(point.text).length });
+    return point.text;
+  });
+  usage.points = details;
+  return texts;
+}
+
+// Paragraphs of a reference document, the unit it is trimmed by
+function chunkDocument(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+}
+
+function splitSentences(paragraph) {
+  return paragraph.match(/[^.!?。！？]+(?:[.!?。！？]+|$)\s*/gu) || [paragraph];
+}
+
+// Start of `text` in at most `limit` tokens, without a word the cut went through
+function cutToTokens(generator, text, limit) {
+  const { tokenizer } = generator;
+  const ids = tokenizer.encode(text);
+  for (let length = Math.min(limit, ids.length); length > 0; length--) {
+    let cut = tokenizer.decode(ids.slice(0, length), { skip_special_tokens: true });
+    if (/\S/.test(text.charAt(cut.length)) && /\s\S*$/u.test(cut)) cut = cut.replace(/\S*$/u, '');
+    cut = trimDangling(cut);
+    if (tokenizer.encode(cut.trim()).length <= limit) return cut;
+  }
+  return '';
+}
+
+// Keeps the start of `document` that fits in `budget` tokens: whole paragraphs while they fit, then the
+// sentences of the first one that doesn't, or as many of its tokens as fit when not even its first
+// sentence does (text without sentence punctuation is one long sentence). Returns { text, report } where report is
+// { tokens, usedTokens, truncatedTokens, truncated, chunks, usedChunks }.
+function fitDocument(generator, document, budget) {
+  const countTokens = text => generator.tokenizer.encode(text).length;
+  const paragraphs = chunkDocument(document);
+  const tokens = countTokens(paragraphs.join(CONTEXT_SEPARATOR));
+  const kept = [];
+  let used = 0;
+  let usedChunks = 0;
+
+  for (const paragraph of paragraphs) {
+    const cost = countTokens(paragraph) + (kept.length > 0 ? countTokens(CONTEXT_SEPARATOR) : 0);
+    if (used + cost <= budget) {
+      kept.push(paragraph);
+      used += cost;
+      usedChunks++;
+      continue;
+    }
+    // Fill what's left with whole sentences of the paragraph that didn't fit
+    let partial = '';
+    for (const sentence of splitSentences(paragraph)) {
+      const candidate = partial + sentence;
+      if (used + countTokens(candidate.trim()) + (kept.length > 0 ? countTokens(CONTEXT_SEPARATOR) : 0) > budget) break;
+      partial = candidate;
+    }
+    if (!partial.trim()) partial = cutToTokens(generator, paragraph, budget - used - (kept.length > 0 ? countTokens(CONTEXT_SEPARATOR) : 0));
+    if (partial.trim()) {
+      kept.push(partial.trim());
+      usedChunks++;
+    }
+    break;
+  }
+
+  const text = kept.join(CONTEXT_SEPARATOR);
+  const usedTokens = text ? countTokens(text) : 0;
+  return {
+    text,
+    report: {
+      tokens,
+      usedTokens,
+      truncatedTokens: Math.max(0, tokens - usedTokens),
+      truncated: usedTokens < tokens,
+      chunks: paragraphs.length,
+      usedChunks
+    }
+  };
+}
+
+// Prompts that open with the reference document, so the bullets summarize it rather than the topic alone
+function withDocumentContext(promptTemplates, document) {
+  if (!document) return promptTemplates;
+  return {
+    structured: (topic, count) => `${document}${CONTEXT_SEPARATOR}${promptTemplates.structured(topic, count)}`,
+    structuredVariants: (topic, count) => promptTemplates.structuredVariants(topic, count).map(prompt => `${document}${CONTEXT_SEPARATOR}${prompt}`),
+    single: (topic, index) => `${document}${CONTEXT_SEPARATOR}${promptTemplates.single(topic, index)}`
+  };
+}
+
+// Room left for the document once the longest prompt any pass might use, the generated tokens and a margin
+// are accounted for
+function documentBudget(generator, promptTemplates, { topic, requestedCount, curated, sampling, quality, length }) {
+  const countTokens = text => generator.tokenizer.encode(text).length;
+  const targetCount = quality ? Math.ceil(requestedCount * (quality.overGenerate || DEFAULT_OVERGENERATE)) : requestedCount;
+  const pinned = curated ? curated.filter(point => point.pinned).map(point => point.text) : [];
+  const templates = withPinnedContext(promptTemplates, pinned);
+  const promptTokens = Math.max(
+    ...templates.structuredVariants(topic, targetCount).map(countTokens),
+    ...Array.from({ length: targetCount }, (_, index) => countTokens(templates.single(topic, index)))
+  );
+  const budgets = passBudgets(sampling, targetCount, length);
+  const newTokens = Math.max(budgets.structured, budgets.single);
+  return contextWindow(generator) - promptTokens - newTokens - countTokens(CONTEXT_SEPARATOR) - DOCUMENT_MARGIN_TOKENS;
+}
+
+// Runs one generation job (see worker-pool.js) on a loaded pipeline: a fresh set, or the unpinned bullets
+// of `curated` when given. `context` is an optional reference document, trimmed to the model's context
+// window and put in front of every prompt; usage.context then reports how much of it was used. `length` is
+// the target bullet length and `constraints` the decoding constraints (see generateOptimizedSet). A
+// sampling.seed gives the job its own seeded random generator.
+// hooks: onToken, onPoint and signal. Resolves to { points, usage }.
+async function runGenerationJob(generator, { topic, requestedCount, curated, sampling = {}, template, language = DEFAULT_LANGUAGE, context, length = null, constraints = null, maxBatchSize, quality }, hooks = {}) {
+  const usage = {};
+  const random = sampling.seed !== undefined ? createSeededRandom(sampling.seed) : null;
+  let promptTemplates = compilePromptTemplates(template || DEFAULT_TEMPLATE, language, random || undefined);
+  let document = null;
+  if (context) {
+    const budget = documentBudget(generator, promptTemplates, { topic, requestedCount, curated, sampling, quality, length });
+    document = fitDocument(generator, context, Math.max(0, budget));
+    promptTemplates = withDocumentContext(promptTemplates, document.text);
+  }
+  const options = {
+    sampling,
+    promptTemplates,
+    language,
+    length,
+    constraints,
+    usage,
+    maxBatchSize,
+    quality,
+    random,
+    ...hooks
+  };
+  const points = curated
+    ? await regenerateUnpinned(generator, topic, curated, options)
+    : await generateOptimizedSet(generator, topic, requestedCount, options);
+  if (document) usage.context = document.report;
+  return { points, usage };
+}
+
+module.exports = {
+  DEFAULT_MAX_BATCH_SIZE,
+  LENGTH_UNITS,
+  specialTokenIds,
+  contextWindow,
+  fitDocument,
+  createTokenStreamer,
+  batchGenerate,
+  generateOptimizedSet,
+  regenerateUnpinned,
+  runGenerationJob
+};
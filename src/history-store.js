@@ -0,0 +1,156 @@
+// history-store.js
+// Saved generations per user, persisted as JSON on disk
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_FILE = process.env.HISTORY_FILE || path.join(__dirname, '..', 'data', 'history.json');
+const MAX_ENTRIES_PER_USER = Number(process.env.MAX_HISTORY_ENTRIES || 200);
+const MAX_TOPIC_LENGTH = 200;
+const MAX_POINTS = 20;
+const MAX_POINT_LENGTH = 300;
+const MAX_PARAMS = 30;
+
+// Client-chosen ids (the UI generates one per browser); no accounts behind them
+const USER_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+let history = null; // user id -> entries, oldest first; loaded lazily
+let writeQueue = Promise.resolve();
+
+function loadHistory() {
+  if (history) return history;
+
+  history = new Map();
+  if (fs.existsSync(HISTORY_FILE)) {
+    try {
+      const { users = {} } = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+      for (const [userId, entries] of Object.entries(users)) {
+        history.set(userId, entries);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read ${HISTORY_FILE}, starting with empty history:`, error.message);
+    }
+  }
+  console.log(`🕘 Loaded history for ${history.size} user(s)`);
+  return history;
+}
+
+// Same write-through-temp-file queue as the template store
+function persistHistory() {
+  const users = Object.fromEntries(loadHistory());
+  const write = writeQueue.then(async () => {
+    await fs.promises.mkdir(path.dirname(HISTORY_FILE), { recursive: true });
+    const tempFile = `${HISTORY_FILE}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ users }, null, 2));
+    await fs.promises.rename(tempFile, HISTORY_FILE);
+  });
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+function isValidUserId(userId) {
+  return typeof userId === 'string' && USER_ID_PATTERN.test(userId);
+}
+
+// Settings are scalars, or lists of strings such as stop sequences
+function isPlainValue(value) {
+  if (Array.isArray(value)) return value.length <= MAX_PARAMS && value.every(item => typeof item === 'string');
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Returns a list of problems; empty when the entry can be saved.
+// params are the generate request settings (count, model, precision, template, sampling, ...) used to re-run it.
+function validateHistoryEntry(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return ['History entry must be a JSON object'];
+
+  if (typeof input.topic !== 'string' || input.topic.trim().length === 0 || input.topic.length > MAX_TOPIC_LENGTH) {
+    errors.push(`topic must be a non-empty string of at most ${MAX_TOPIC_LENGTH} characters`);
+  }
+  if (!Array.isArray(input.points) || input.points.length > MAX_POINTS ||
+      !input.points.every(point => typeof point === 'string' && point.length <= MAX_POINT_LENGTH)) {
+    errors.push(`points must be an array of at most ${MAX_POINTS} strings of up to ${MAX_POINT_LENGTH} characters`);
+  }
+  if (input.params !== undefined) {
+    const params = input.params;
+    if (!params || typeof params !== 'object' || Array.isArray(params) ||
+        Object.keys(params).length > MAX_PARAMS || !Object.values(params).every(isPlainValue)) {
+      errors.push(`params must be an object of at most ${MAX_PARAMS} string, number, boolean or string list settings`);
+    }
+  }
+  if (input.generationTime !== undefined && !(Number.isFinite(input.generationTime) && input.generationTime >= 0)) {
+    errors.push('generationTime must be a non-negative number');
+  }
+  return errors;
+}
+
+function userEntries(userId) {
+  return loadHistory().get(userId) || [];
+}
+
+// Newest first. search matches the topic and bullets (case-insensitive); favourites limits to starred entries.
+function listHistory(userId, { search = '', favourites = false, limit = 50 } = {}) {
+  const query = search.trim().toLowerCase();
+  return userEntries(userId)
+    .filter(entry => !favourites || entry.favourite)
+    .filter(entry => !query || entry.topic.toLowerCase().includes(query) ||
+      entry.points.some(point => point.toLowerCase().includes(query)))
+    .reverse()
+    .slice(0, limit);
+}
+
+function getHistoryEntry(userId, id) {
+  return userEntries(userId).find(entry => entry.id === id) || null;
+}
+
+// Past MAX_ENTRIES_PER_USER the oldest entries go first; favourites are only dropped if nothing else is left
+async function addHistoryEntry(userId, input) {
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    topic: input.topic.trim(),
+    points: input.points,
+    params: input.params || {},
+    generationTime: input.generationTime ?? null,
+    favourite: !!input.favourite,
+    createdAt: new Date().toISOString()
+  };
+
+  const entries = [...userEntries(userId), entry];
+  while (entries.length > MAX_ENTRIES_PER_USER) {
+    const oldest = entries.findIndex(candidate => !candidate.favourite);
+    entries.splice(oldest === -1 ? 0 : oldest, 1);
+  }
+  loadHistory().set(userId, entries);
+  await persistHistory();
+  return entry;
+}
+
+async function updateHistoryEntry(userId, id, { favourite }) {
+  const entry = getHistoryEntry(userId, id);
+  if (!entry) return null;
+  if (favourite !== undefined) entry.favourite = !!favourite;
+  await persistHistory();
+  return entry;
+}
+
+async function deleteHistoryEntry(userId, id) {
+  const entries = userEntries(userId);
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) return false;
+  entries.splice(index, 1);
+  if (entries.length === 0) loadHistory().delete(userId);
+  await persistHistory();
+  return true;
+}
+
+module.exports = {
+  HISTORY_FILE,
+  MAX_ENTRIES_PER_USER,
+  isValidUserId,
+  validateHistoryEntry,
+  listHistory,
+  getHistoryEntry,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry
+};
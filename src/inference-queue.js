@@ -0,0 +1,160 @@
+// inference-queue.js
+// FIFO queue in front of the model so concurrent requests don't pile onto the same ONNX session
+
+function queueError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+// concurrency: jobs running at once; maxDepth: jobs allowed to wait; timeout: default ms per job (wait + run)
+function createInferenceQueue({ concurrency = 1, maxDepth = 20, timeout = 60000 } = {}) {
+  const waiting = [];
+  let active = 0;
+  const totals = { started: 0, processed: 0, failed: 0, rejected: 0, timedOut: 0, cancelled: 0, waitTime: 0, runTime: 0 };
+
+  // Rough seconds until a new job would start, for Retry-After
+  function estimateWaitSeconds() {
+    const avgRunTime = totals.processed > 0 ? totals.runTime / totals.processed : 5000;
+    return Math.max(1, Math.ceil(((waiting.length + active) / concurrency) * avgRunTime / 1000));
+  }
+
+  // The error a new job gets while every slot is busy and the waiting line is at maxDepth, else null
+  function fullError() {
+    if (active < concurrency || waiting.length < maxDepth) return null;
+    return queueError('Inference queue is full, try again later', {
+      status: 503,
+      code: 'QUEUE_FULL',
+      retryAfter: estimateWaitSeconds()
+    });
+  }
+
+  // Throws (and counts) the QUEUE_FULL error run() would reject with right now, for callers that must
+  // answer before they can call it, e.g. ahead of a streaming response's headers
+  function admit() {
+    const error = fullError();
+    if (error) {
+      totals.rejected++;
+      throw error;
+    }
+  }
+
+  function removeWaiting(job) {
+    const index = waiting.indexOf(job);
+    if (index !== -1) waiting.splice(index, 1);
+  }
+
+  // Settles the caller's promise once; a timed-out job may still be running when it settles
+  function finish(job, error, result) {
+    if (job.settled) return;
+    job.settled = true;
+    clearTimeout(job.timer);
+    if (job.cleanup) job.cleanup();
+    if (error) job.reject(error);
+    else job.resolve(result);
+  }
+
+  async function start(job) {
+    active++;
+    const startedAt = Date.now();
+    const waitTime = startedAt - job.enqueuedAt;
+    totals.started++;
+    totals.waitTime += waitTime;
+    try {
+      const result = await job.task({ signal: job.controller.signal, waitTime });
+      totals.processed++;
+      totals.runTime += Date.now() - startedAt;
+      finish(job, null, { result, position: job.position, waitTime, runTime: Date.now() - startedAt });
+    } catch (error) {
+      if (!job.controller.signal.aborted) totals.failed++;
+      finish(job, error);
+    } finally {
+      active--;
+      drain();
+    }
+  }
+
+  function drain() {
+    while (active < concurrency && waiting.length > 0) {
+      start(waiting.shift());
+    }
+  }
+
+  // Resolves to { result, position, waitTime, runTime }. task({ signal }) should stop when signal aborts.
+  // onQueued(position) is called when the job has to wait behind others.
+  function run(task, { signal, timeout: jobTimeout = timeout, onQueued } = {}) {
+    if (signal && signal.aborted) {
+      return Promise.reject(queueError('Request cancelled by client', { status: 499, code: 'CANCELLED' }));
+    }
+    try {
+      admit();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        resolve,
+        reject,
+        enqueuedAt: Date.now(),
+        position: waiting.length + (active >= concurrency ? 1 : 0),
+        controller: new AbortController()
+      };
+
+      // Aborting drops a waiting job; a running task sees the signal and stops at its next step,
+      // holding its slot until then
+      const abort = (reason, counter) => {
+        if (job.settled) return;
+        totals[counter]++;
+        job.controller.abort(reason);
+        removeWaiting(job);
+        finish(job, reason);
+      };
+
+      job.timer = setTimeout(() => abort(queueError(`Generation timed out after ${jobTimeout}ms`, {
+        status: 504,
+        code: 'TIMEOUT'
+      }), 'timedOut'), jobTimeout);
+
+      if (signal) {
+        const onClientAbort = () => abort(queueError('Request cancelled by client', { status: 499, code: 'CANCELLED' }), 'cancelled');
+        signal.addEventListener('abort', onClientAbort, { once: true });
+        job.cleanup = () => signal.removeEventListener('abort', onClientAbort);
+      }
+
+      waiting.push(job);
+      if (job.position > 0 && onQueued) onQueued(job.position);
+      drain();
+    });
+  }
+
+  // Queue depth and default timeout can change while the server runs; jobs already queued keep their timers
+  function setLimits({ maxDepth: depth = maxDepth, timeout: jobTimeout = timeout } = {}) {
+    maxDepth = depth;
+    timeout = jobTimeout;
+  }
+
+  function stats() {
+    return {
+      concurrency,
+      maxDepth,
+      timeout,
+      active,
+      waiting: waiting.length,
+      oldestWaitTime: waiting.length > 0 ? Date.now() - waiting[0].enqueuedAt : 0,
+      estimatedWait: waiting.length + active >= concurrency ? estimateWaitSeconds() : 0,
+      processed: totals.processed,
+      failed: totals.failed,
+      rejected: totals.rejected,
+      timedOut: totals.timedOut,
+      cancelled: totals.cancelled,
+      avgWaitTime: totals.started > 0 ? Math.round(totals.waitTime / totals.started) : 0,
+      avgRunTime: totals.processed > 0 ? Math.round(totals.runTime / totals.processed) : 0
+    };
+  }
+
+  return { run, admit, setLimits, stats };
+}
+
+module.exports = {
+  createInferenceQueue
+};
@@ -0,0 +1,65 @@
+// inference-worker.js
+// Worker thread entry: owns its own loaded pipelines and runs the generations posted by worker-pool.js
+const { parentPort, workerData } = require('worker_threads');
+const { configureRuntime, scanModels, loadModel, withModel, getModelStatuses } = require('./model-registry');
+const { runGenerationJob } = require('./generation');
+const { runBenchmark } = require('./benchmark');
+const { scoreText } = require('./moderation');
+
+configureRuntime(workerData.runtime);
+scanModels();
+
+const running = new Map(); // message id -> AbortController of the generation
+
+function serializeError(error) {
+  return { message: error.message, status: error.status, code: error.code };
+}
+
+const handlers = {
+  async load({ model, precision }) {
+    await loadModel(model, precision);
+    const { loadTime } = getModelStatuses()[model].variants[precision];
+    return { loadTime };
+  },
+
+  async generate({ id, stream, ...job }) {
+    // Registered before the model load so a cancel can't slip through
+    const controller = new AbortController();
+    running.set(id, controller);
+    try {
+      return await withModel(job.model, job.precision, (generator) => {
+        controller.signal.throwIfAborted();
+        return runGenerationJob(generator, job, {
+          signal: controller.signal,
+          onToken: stream ? (text, source, index) => parentPort.postMessage({ id, type: 'token', text, source, index }) : undefined,
+          onPoint: stream ? (point, index) => parentPort.postMessage({ id, type: 'point', point, index }) : undefined
+        });
+      });
+    } finally {
+      running.delete(id);
+    }
+  },
+
+  benchmark({ options }) {
+    return runBenchmark(options);
+  },
+
+  classify({ model, text }) {
+    return scoreText(model, text);
+  },
+
+  cancel({ target, reason }) {
+    const controller = running.get(target);
+    if (controller) controller.abort(Object.assign(new Error(reason.message), reason));
+  }
+};
+
+// Messages with an id get exactly one result or error reply
+parentPort.on('message', async (message) => {
+  try {
+    const result = await handlers[message.type](message);
+    if (message.id !== undefined) parentPort.postMessage({ id: message.id, type: 'result', result });
+  } catch (error) {
+    if (message.id !== undefined) parentPort.postMessage({ id: message.id, type: 'error', error: serializeError(error) });
+  }
+});
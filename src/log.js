@@ -0,0 +1,18 @@
+// log.js
+// Progress messages of the modules the server and the CLI share. They go to console.log unless redirected:
+// the CLI keeps stdout for its results, so it sends them to stderr with --verbose and drops them otherwise.
+let target = console.log;
+
+function log(...args) {
+  target(...args);
+}
+
+// logger(...args) replaces console.log for these messages; null restores it
+function setLogger(logger) {
+  target = logger || console.log;
+}
+
+module.exports = {
+  log,
+  setLogger
+};
@@ -0,0 +1,109 @@
+// metrics.js
+// Minimal Prometheus metric types and text exposition (format 0.0.4)
+
+const METRIC_PREFIX = 'textgen_';
+
+// Request phases take ~1ms when cached and several seconds when decoding on CPU
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registeredMetrics = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function register(metric) {
+  registeredMetrics.push(metric);
+  return metric;
+}
+
+function createCounter(name, help) {
+  const values = new Map(); // labelKey -> { labels, value }
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const current = values.get(key) || { labels, value: 0 };
+      current.value += amount;
+      values.set(key, current);
+    },
+    samples() {
+      return Array.from(values.values()).map(({ labels, value }) => ({ name: this.name, labels, value }));
+    }
+  });
+}
+
+// Gauges (and counters owned elsewhere) read their samples at scrape time
+function createCollector(name, help, type, collect) {
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type,
+    samples() {
+      return collect().map(({ labels = {}, value }) => ({ name: this.name, labels, value }));
+    }
+  });
+}
+
+function createHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // labelKey -> { labels, counts, sum, count }
+  return register({
+    name: METRIC_PREFIX + name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i]++;
+      });
+      current.sum += value;
+      current.count++;
+      series.set(key, current);
+    },
+    samples() {
+      const samples = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: bound }, value: counts[i] });
+        });
+        samples.push({ name: `${this.name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count });
+        samples.push({ name: `${this.name}_sum`, labels, value: sum });
+        samples.push({ name: `${this.name}_count`, labels, value: count });
+      }
+      return samples;
+    }
+  });
+}
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of registeredMetrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const { name, labels, value } of metric.samples()) {
+      lines.push(`${name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 'NaN'}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  METRIC_PREFIX,
+  DEFAULT_BUCKETS,
+  createCounter,
+  createCollector,
+  createHistogram,
+  renderMetrics
+};
@@ -0,0 +1,422 @@
+// model-registry.js
+// Discovers local models under env.localModelPath and keeps one loaded pipeline per model
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline, AutoTokenizer, env } = require('@xenova/transformers');
+const { precomputeNewlineTokens } = require('./constraints');
+const { log } = require('./log');
+
+const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'distilgpt2';
+// Prompt of the one-token generation run right after loading, so the first request doesn't pay for warm-up
+const WARMUP_PROMPT = process.env.WARMUP_PROMPT || 'Test';
+const MODEL_FILE_NAME = 'decoder_model_merged';
+
+// Supported weight variants and the pipeline options that select them
+const PRECISIONS = {
+  fp32: { quantized: false, dtype: 'fp32' },
+  int8: { quantized: true, dtype: 'q8' }
+};
+
+// MODEL_PRECISION is either one precision for all models ("int8")
+// or per-model overrides ("distilgpt2=int8,gpt2=fp32"); the server validates it with the rest of its config
+const DEFAULT_PRECISION = 'fp32';
+const precisionSettings = parsePrecisionSettings(process.env.MODEL_PRECISION || DEFAULT_PRECISION);
+
+// Model id -> { id, dir, config, variants: { [precision]: variant state }, tokenizer }
+const models = new Map();
+// Generators held by running jobs (see acquireModel) -> holder count, and unloaded generators waiting
+// for their last holder -> the unload waiting to dispose them
+const holders = new Map();
+const draining = new Map();
+// Context window for models whose config doesn't state one (GPT-2's n_ctx)
+const DEFAULT_CONTEXT_WINDOW = 1024;
+
+// Enhanced transformers environment configuration; applied once per thread (server and each inference worker)
+// modelPath is resolved against the working directory, so tools run elsewhere (the CLI) pass an absolute one
+function configureRuntime({ numThreads = Math.min(8, os.cpus().length), modelPath = './models/' } = {}) {
+  env.localModelPath = modelPath;
+  env.allowLocalModels = true;
+  env.allowRemoteModels = false;
+  env.useBrowserCache = false;
+  env.backends.onnx.wasm.numThreads = numThreads;
+  env.backends.onnx.wasm.simd = true;
+  env.backends.onnx.wasm.proxy = false; // Disable proxy for better performance
+}
+
+function parsePrecisionSettings(value) {
+  const settings = { fallback: DEFAULT_PRECISION, perModel: {} };
+  for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [modelId, precision] = part.includes('=') ? part.split('=') : [null, part];
+    if (!isValidPrecision(precision)) {
+      throw Object.assign(new Error(`Invalid MODEL_PRECISION entry "${part}" (expected ${Object.keys(PRECISIONS).join(' or ')})`), {
+        code: 'INVALID_CONFIG'
+      });
+    }
+    if (modelId) {
+      settings.perModel[modelId.trim()] = precision;
+    } else {
+      settings.fallback = precision;
+    }
+  }
+  return settings;
+}
+
+function isValidPrecision(precision) {
+  return Object.prototype.hasOwnProperty.call(PRECISIONS, precision);
+}
+
+function getDefaultPrecision(modelId) {
+  return precisionSettings.perModel[modelId] || precisionSettings.fallback;
+}
+
+function setDefaultPrecision(modelId, precision) {
+  if (!isValidPrecision(precision)) {
+    throw new Error(`Invalid precision: ${precision}`);
+  }
+  precisionSettings.perModel[modelId] = precision;
+}
+
+function createVariant() {
+  return {
+    status: 'not_loaded',
+    generator: null,
+    loading: null,
+    error: null,
+    loadTime: null,
+    loadedAt: null
+  };
+}
+
+function getVariantFile(dir, precision) {
+  const fileName = `${MODEL_FILE_NAME}${PRECISIONS[precision].quantized ? '_quantized' : ''}.onnx`;
+  const filePath = path.join(dir, 'onnx', fileName);
+  return {
+    file: `onnx/${fileName}`,
+    size: fs.existsSync(filePath) ? fs.statSync(filePath).size : null
+  };
+}
+
+function readConfig(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'config.json'), 'utf8'));
+  } catch (error) {
+    console.warn(`⚠️ Could not read config.json in ${dir}:`, error.message);
+    return null;
+  }
+}
+
+function listOnnxFiles(dir) {
+  const onnxDir = path.join(dir, 'onnx');
+  if (!fs.existsSync(onnxDir)) return [];
+  return fs.readdirSync(onnxDir).filter(file => file.endsWith('.onnx'));
+}
+
+// Normalizes the GPT-2 style and newer Hugging Face config key names
+function summarizeConfig(config) {
+  if (!config) return null;
+  return {
+    modelType: config.model_type || null,
+    architectures: config.architectures || [],
+    vocabSize: config.vocab_size ?? null,
+    contextLength: config.n_ctx ?? config.n_positions ?? config.max_position_embeddings ?? null,
+    layers: config.n_layer ?? config.num_hidden_layers ?? null,
+    heads: config.n_head ?? config.num_attention_heads ?? null,
+    embeddingSize: config.n_embd ?? config.hidden_size ?? null,
+    eosTokenId: config.eos_token_id ?? null
+  };
+}
+
+// Finds folders with a config.json, either directly (distilgpt2/) or one level down (Xenova/gpt2/)
+function scanModels() {
+  const root = path.resolve(env.localModelPath);
+  const found = new Map();
+
+  const visit = (dir, prefix, depth) => {
+    for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!dirent.isDirectory()) continue;
+      const id = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      const modelDir = path.join(dir, dirent.name);
+      if (fs.existsSync(path.join(modelDir, 'config.json'))) {
+        found.set(id, modelDir);
+      } else if (depth === 0) {
+        visit(modelDir, id, 1);
+      }
+    }
+  };
+
+  if (fs.existsSync(root)) visit(root, '', 0);
+
+  for (const [id, dir] of found) {
+    const existing = models.get(id);
+    if (existing) {
+      existing.config = readConfig(dir);
+      continue;
+    }
+    const variants = {};
+    for (const precision of Object.keys(PRECISIONS)) {
+      variants[precision] = createVariant();
+    }
+    models.set(id, { id, dir, config: readConfig(dir), variants, tokenizer: null });
+  }
+
+  // Forget models whose folder disappeared, unless they are already in memory
+  for (const [id, entry] of models) {
+    const inUse = Object.values(entry.variants).some(v => v.generator || v.loading);
+    if (!found.has(id) && !inUse) {
+      models.delete(id);
+    }
+  }
+
+  return listModels();
+}
+
+function hasModel(modelId) {
+  if (!models.has(modelId)) scanModels();
+  return models.has(modelId);
+}
+
+function describeVariant(entry, precision) {
+  const variant = entry.variants[precision];
+  const { file, size } = getVariantFile(entry.dir, precision);
+  return {
+    status: variant.status,
+    file,
+    available: size !== null,
+    fileSize: size,
+    loadTime: variant.loadTime,
+    loadedAt: variant.loadedAt,
+    error: variant.error
+  };
+}
+
+function describeModel(entry) {
+  const defaultPrecision = getDefaultPrecision(entry.id);
+  const precisions = {};
+  for (const precision of Object.keys(PRECISIONS)) {
+    precisions[precision] = describeVariant(entry, precision);
+  }
+  return {
+    id: entry.id,
+    default: entry.id === DEFAULT_MODEL,
+    status: entry.variants[defaultPrecision].status,
+    defaultPrecision,
+    precisions,
+    config: summarizeConfig(entry.config),
+    onnxFiles: listOnnxFiles(entry.dir)
+  };
+}
+
+function listModels() {
+  return Array.from(models.values()).map(describeModel);
+}
+
+function getModelInfo(modelId) {
+  return hasModel(modelId) ? describeModel(models.get(modelId)) : null;
+}
+
+// Per-model load state for /api/status; `status` follows the model's default precision
+function getModelStatuses() {
+  const statuses = {};
+  for (const entry of models.values()) {
+    const defaultPrecision = getDefaultPrecision(entry.id);
+    const variants = {};
+    for (const [precision, variant] of Object.entries(entry.variants)) {
+      variants[precision] = {
+        status: variant.status,
+        loadTime: variant.loadTime,
+        error: variant.error
+      };
+    }
+    statuses[entry.id] = {
+      status: variants[defaultPrecision].status,
+      precision: defaultPrecision,
+      variants
+    };
+  }
+  return statuses;
+}
+
+// Enhanced model loading with better configuration
+async function loadModel(modelId = DEFAULT_MODEL, precision = getDefaultPrecision(modelId)) {
+  if (!hasModel(modelId)) {
+    throw new Error(`Unknown model: ${modelId}`);
+  }
+  if (!isValidPrecision(precision)) {
+    throw new Error(`Invalid precision: ${precision}`);
+  }
+  const variant = models.get(modelId).variants[precision];
+  const label = `${modelId} (${precision})`;
+
+  // Instant return if model is already loaded
+  if (variant.generator) {
+    return variant.generator;
+  }
+
+  // Concurrent callers share the same in-flight load
+  if (variant.loading) {
+    log(`⏳ Model ${label} loading in progress, waiting...`);
+    return variant.loading;
+  }
+
+  variant.status = 'loading';
+  variant.error = null;
+  log(`Loading ${label} model with optimizations...`);
+
+  variant.loading = (async () => {
+    const loadStart = Date.now();
+
+    // Load model with aggressive performance optimizations
+    const generator = await pipeline('text-generation', modelId, {
+      quantized: PRECISIONS[precision].quantized,
+      device: 'cpu',
+      dtype: PRECISIONS[precision].dtype,
+      // Explicitly pick the merged decoder; `quantized` selects the _quantized variant
+      model_file_name: MODEL_FILE_NAME,
+      use_external_data_format: false,
+      provider: 'cpu',
+      // Additional optimizations
+      session_options: {
+        executionProviders: ['cpu'],
+        graphOptimizationLevel: 'all',
+        executionMode: 'sequential',
+        enableProfiling: false
+      }
+    });
+
+    // Pre-warm with minimal overhead
+    log(`Pre-warming ${label}...`);
+    const warmupStart = Date.now();
+    await generator(WARMUP_PROMPT, {
+      max_new_tokens: 1,
+      do_sample: false,
+      return_full_text: false,
+      use_cache: true
+    });
+    log(`Model warmed up in ${Date.now() - warmupStart}ms`);
+    precomputeNewlineTokens(generator);
+
+    variant.generator = generator;
+    variant.status = 'ready';
+    variant.loadTime = Date.now() - loadStart;
+    variant.loadedAt = new Date().toISOString();
+    log(`✅ Model ${label} loaded and optimized successfully`);
+    return generator;
+  })();
+
+  try {
+    return await variant.loading;
+  } catch (error) {
+    console.error(`❌ Model ${label} loading failed:`, error);
+    variant.status = 'error';
+    variant.error = error.message;
+    variant.generator = null; // Ensure clean state on failure
+    throw error;
+  } finally {
+    variant.loading = null;
+  }
+}
+
+// A model's tokenizer on its own, for token counts where the pipeline isn't loaded (e.g. it runs in
+// inference workers). A variant loaded on this thread lends its tokenizer; otherwise it is loaded once.
+async function loadTokenizer(modelId = DEFAULT_MODEL) {
+  if (!hasModel(modelId)) {
+    throw new Error(`Unknown model: ${modelId}`);
+  }
+  const entry = models.get(modelId);
+  const loaded = Object.values(entry.variants).find(variant => variant.generator);
+  if (loaded) return loaded.generator.tokenizer;
+
+  if (!entry.tokenizer) {
+    entry.tokenizer = AutoTokenizer.from_pretrained(modelId).catch((error) => {
+      entry.tokenizer = null;
+      throw error;
+    });
+  }
+  return entry.tokenizer;
+}
+
+// Tokens a model attends to (prompt plus generated text), from its config
+function getContextWindow(modelId) {
+  const config = hasModel(modelId) ? summarizeConfig(models.get(modelId).config) : null;
+  return (config && config.contextLength) || DEFAULT_CONTEXT_WINDOW;
+}
+
+function isModelLoaded(modelId, precision = getDefaultPrecision(modelId)) {
+  const entry = models.get(modelId);
+  return !!(entry && entry.variants[precision] && entry.variants[precision].generator);
+}
+
+// loadModel() for a job that runs on the generator: unloading waits until every holder has called
+// releaseModel(generator), so a running generation never sees its session disposed
+async function acquireModel(modelId = DEFAULT_MODEL, precision = getDefaultPrecision(modelId)) {
+  const generator = await loadModel(modelId, precision);
+  holders.set(generator, (holders.get(generator) || 0) + 1);
+  return generator;
+}
+
+function releaseModel(generator) {
+  const remaining = (holders.get(generator) || 1) - 1;
+  if (remaining > 0) {
+    holders.set(generator, remaining);
+    return;
+  }
+  holders.delete(generator);
+  if (draining.has(generator)) {
+    draining.get(generator)();
+    draining.delete(generator);
+  }
+}
+
+// Runs fn(generator) with the variant held (see acquireModel)
+async function withModel(modelId, precision, fn) {
+  const generator = await acquireModel(modelId, precision);
+  try {
+    return await fn(generator);
+  } finally {
+    releaseModel(generator);
+  }
+}
+
+// Drops a loaded variant so the next loadModel() starts fresh (used by benchmarks). New jobs load a new
+// copy right away; the old one is disposed once the jobs holding it finish.
+async function unloadModel(modelId, precision) {
+  const entry = models.get(modelId);
+  const variant = entry && entry.variants[precision];
+  if (!variant || !variant.generator) return false;
+
+  const { generator } = variant;
+  Object.assign(variant, createVariant());
+  if (holders.has(generator)) {
+    log(`⏳ Unloading ${modelId} (${precision}) once ${holders.get(generator)} running job(s) finish...`);
+    await new Promise(resolve => draining.set(generator, resolve));
+  }
+  if (generator.dispose) await generator.dispose();
+  log(`🗑️ Unloaded ${modelId} (${precision})`);
+  return true;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  DEFAULT_PRECISION,
+  WARMUP_PROMPT,
+  DEFAULT_CONTEXT_WINDOW,
+  PRECISIONS,
+  configureRuntime,
+  isValidPrecision,
+  getDefaultPrecision,
+  setDefaultPrecision,
+  scanModels,
+  hasModel,
+  listModels,
+  getModelInfo,
+  getModelStatuses,
+  loadModel,
+  acquireModel,
+  releaseModel,
+  withModel,
+  loadTokenizer,
+  getContextWindow,
+  isModelLoaded,
+  unloadModel
+};
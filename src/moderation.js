@@ -0,0 +1,357 @@
+// moderation.js
+// Content filter for topics and generated bullets: word/regex blocklists with an allowlist of exceptions,
+// and optionally a local text-classification model (e.g. a toxicity classifier under models/).
+// Rules come from MODERATION_FILE, which is edited by hand; MODERATION_* env vars override it.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('@xenova/transformers');
+
+const MODERATION_FILE = process.env.MODERATION_FILE || path.join(__dirname, '..', 'data', 'moderation.json');
+
+// What happens to a generated bullet that is flagged:
+//   reject      the whole request fails and nothing is cached
+//   redact      blocklisted words are masked; bullets flagged by the classifier are dropped
+//   regenerate  flagged bullets are generated again (up to `regenerateAttempts` times), then dropped
+// "off" disables moderation entirely.
+const MODERATION_POLICIES = ['off', 'reject', 'redact', 'regenerate'];
+const REDACTION = '[redacted]';
+const MAX_HELD_TEXT = 200; // characters of streamed text held back while waiting for a word boundary
+const DEFAULT_THRESHOLD = 0.8;
+// Labels of the common toxicity classifiers (toxic-bert, twitter-roberta-offensive, ...)
+const DEFAULT_FLAGGED_LABELS = ['toxic', 'severe_toxic', 'obscene', 'threat', 'insult', 'identity_hate', 'offensive', 'hate'];
+
+// A small built-in list of words nobody wants in marketing copy; turn it off with "defaultBlocklist": false
+const DEFAULT_BLOCKLIST = [
+  '/\\b(?:mother)?fuck\\w*/i',
+  '/\\bshit\\w*/i',
+  'cunt',
+  'bitch',
+  'bitches',
+  'asshole',
+  'bastard',
+  'dickhead',
+  'whore',
+  'slut',
+  'nigger',
+  'faggot',
+  'retard',
+  'kill yourself'
+];
+
+// Scripts written without spaces, where a word can't be told apart from its neighbours by boundaries
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+// File format: { policy, blocklist: [], allowlist: [], defaultBlocklist, regenerateAttempts,
+// classifier: { model, threshold, labels } }. List entries are words or phrases (case-insensitive,
+// whole words) or "/pattern/flags" regexes. Allowlisted text is exempt from the blocklist, e.g.
+// "Scunthorpe" or "cocktail" next to a regex that would otherwise match inside them.
+let config = null;
+let classifier = null; // { model, loading }
+// (model, text) -> the classifier's [{ label, score }]; the server moves it to its inference workers
+let runClassifier = scoreText;
+
+function compileEntry(entry) {
+  const regex = /^\/(.+)\/([a-z]*)$/s.exec(entry);
+  if (regex) {
+    const flags = regex[2].includes('g') ? regex[2] : `${regex[2]}g`;
+    return new RegExp(regex[1], flags.includes('u') ? flags : `${flags}u`);
+  }
+  const escaped = entry.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const start = UNSPACED_SCRIPT.test(entry.trim()[0]) ? '' : '(?<![\\p{L}\\p{N}])';
+  const end = UNSPACED_SCRIPT.test(entry.trim().slice(-1)) ? '' : '(?![\\p{L}\\p{N}])';
+  return new RegExp(`${start}${escaped}${end}`, 'giu');
+}
+
+function compileList(entries, file) {
+  const patterns = [];
+  for (const entry of entries) {
+    if (typeof entry !== 'string' || entry.trim().length === 0) continue;
+    try {
+      patterns.push({ entry, pattern: compileEntry(entry) });
+    } catch (error) {
+      console.error(`❌ Skipping invalid moderation pattern ${entry} in ${file}:`, error.message);
+    }
+  }
+  return patterns;
+}
+
+// Rules from MODERATION_FILE (unless useFile is false) and the MODERATION_* variables. Throws when the file
+// can't be read or names an unknown policy.
+function readRules({ useFile = true } = {}) {
+  let stored = {};
+  if (useFile && fs.existsSync(MODERATION_FILE)) {
+    try {
+      stored = JSON.parse(fs.readFileSync(MODERATION_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read ${MODERATION_FILE}: ${error.message}`);
+    }
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+      throw new Error(`${MODERATION_FILE} must hold an object of moderation rules`);
+    }
+  }
+
+  const policy = process.env.MODERATION_POLICY || stored.policy || 'regenerate';
+  if (!MODERATION_POLICIES.includes(policy)) {
+    throw new Error(`Invalid moderation policy "${policy}" (expected one of: ${MODERATION_POLICIES.join(', ')})`);
+  }
+  const classifierSettings = stored.classifier || {};
+  const classifierModel = process.env.MODERATION_CLASSIFIER || classifierSettings.model || null;
+
+  const rules = {
+    policy,
+    blocklist: compileList([
+      ...(stored.defaultBlocklist === false ? [] : DEFAULT_BLOCKLIST),
+      ...(stored.blocklist || [])
+    ], MODERATION_FILE),
+    allowlist: compileList(stored.allowlist || [], MODERATION_FILE),
+    longestPhrase: 0,
+    regenerateAttempts: Number(process.env.MODERATION_REGENERATE_ATTEMPTS || stored.regenerateAttempts || 2),
+    classifier: classifierModel ? {
+      model: classifierModel,
+      threshold: Number(process.env.MODERATION_THRESHOLD || classifierSettings.threshold || DEFAULT_THRESHOLD),
+      labels: (process.env.MODERATION_LABELS ? process.env.MODERATION_LABELS.split(',') : classifierSettings.labels || DEFAULT_FLAGGED_LABELS)
+        .map(label => label.trim().toLowerCase())
+    } : null
+  };
+  rules.longestPhrase = Math.max(0, ...rules.blocklist
+    .filter(({ entry }) => !entry.startsWith('/'))
+    .map(({ entry }) => entry.trim().length));
+  return rules;
+}
+
+function useRules(rules) {
+  config = rules;
+  console.log(`🛡️ Moderation: ${rules.policy}, ${rules.blocklist.length} blocklist pattern(s)${rules.classifier ? `, classifier ${rules.classifier.model}` : ''}`);
+  return rules;
+}
+
+function loadConfig() {
+  if (config) return config;
+  try {
+    return useRules(readRules());
+  } catch (error) {
+    console.error(`❌ ${error.message}, using the default moderation rules`);
+    return useRules(readRules({ useFile: false }));
+  }
+}
+
+// Problems with MODERATION_FILE that reloadModeration() would refuse, as messages; empty when it is valid
+function checkModerationFile() {
+  try {
+    readRules();
+    return [];
+  } catch (error) {
+    return [error.message];
+  }
+}
+
+// Reads MODERATION_FILE and the MODERATION_* variables again; returns the policy in force. Invalid rules
+// are reported and the previous ones stay. The classifier is reloaded on its next use if the model changed.
+function reloadModeration() {
+  try {
+    useRules(readRules());
+  } catch (error) {
+    console.warn(`⚠️ ${error.message}; keeping the previous moderation rules`);
+  }
+  return loadConfig().policy;
+}
+
+function isEnabled() {
+  return loadConfig().policy !== 'off';
+}
+
+function moderationPolicy() {
+  return loadConfig().policy;
+}
+
+function regenerateAttempts() {
+  return loadConfig().regenerateAttempts;
+}
+
+// Blocklist hits in `text` that no allowlist entry covers: [{ index, length, entry }]
+function findBlocked(text) {
+  const { blocklist, allowlist } = loadConfig();
+  const allowed = [];
+  for (const { pattern } of allowlist) {
+    for (const match of text.matchAll(pattern)) allowed.push([match.index, match.index + match[0].length]);
+  }
+  const hits = [];
+  for (const { entry, pattern } of blocklist) {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0].length === 0) continue;
+      const start = match.index;
+      const end = start + match[0].length;
+      if (allowed.some(([from, to]) => from <= start && end <= to)) continue;
+      hits.push({ index: start, length: match[0].length, entry });
+    }
+  }
+  return hits.sort((a, b) => a.index - b.index);
+}
+
+// Synchronous blocklist-only check, for places that can't wait for the classifier (cache lookups, imports)
+function isBlocklisted(text) {
+  return isEnabled() && typeof text === 'string' && findBlocked(text).length > 0;
+}
+
+function redact(text, hits = findBlocked(text)) {
+  let result = '';
+  let position = 0;
+  for (const { index, length } of hits) {
+    if (index + length <= position) continue; // inside a hit already masked
+    // A hit overlapping the previous one extends its mask
+    if (index >= position) result += text.slice(position, index) + REDACTION;
+    position = index + length;
+  }
+  return result + text.slice(position);
+}
+
+// The classifier is loaded on first use and shared by every check
+function loadClassifier(model) {
+  if (!classifier || classifier.model !== model) {
+    console.log(`🛡️ Loading moderation classifier ${model}...`);
+    classifier = {
+      model,
+      loading: pipeline('text-classification', model, { quantized: true }).catch((error) => {
+        classifier = null;
+        throw error;
+      })
+    };
+  }
+  return classifier.loading;
+}
+
+// Every label's score for `text` from the classifier on this thread
+async function scoreText(model, text) {
+  const loaded = await loadClassifier(model);
+  return loaded(text, { topk: null });
+}
+
+// Runs the classifier elsewhere, e.g. runner = (model, text) => workerPool.classify(model, text), so it
+// doesn't block the main thread; runner must resolve like scoreText. null goes back to this thread.
+function setClassifierRunner(runner) {
+  runClassifier = runner || scoreText;
+}
+
+// Highest flagged label score for `text`, or null when no classifier is configured
+async function classify(text) {
+  const settings = loadConfig().classifier;
+  if (!settings) return null;
+  const scores = await runClassifier(settings.model, text);
+  const flagged = scores
+    .filter(({ label }) => settings.labels.includes(String(label).toLowerCase()))
+    .sort((a, b) => b.score - a.score)[0];
+  return flagged && flagged.score >= settings.threshold ? { label: flagged.label, score: flagged.score } : null;
+}
+
+// Resolves to { flagged, hits, classifier } for one piece of text. The classifier only runs when the
+// blocklist passes; a classifier that fails to load is reported and skipped rather than blocking everything.
+async function checkText(text) {
+  if (!isEnabled()) return { flagged: false, hits: [], classifier: null };
+  const hits = findBlocked(text);
+  if (hits.length > 0) return { flagged: true, hits, classifier: null };
+  try {
+    const flagged = await classify(text);
+    return { flagged: !!flagged, hits, classifier: flagged };
+  } catch (error) {
+    console.error('❌ Moderation classifier failed, using the blocklist only:', error.message);
+    return { flagged: false, hits, classifier: null };
+  }
+}
+
+function blockedError(message, status, moderation) {
+  return Object.assign(new Error(message), { status, code: 'CONTENT_BLOCKED', moderation });
+}
+
+// Throws a 400 CONTENT_BLOCKED error for a topic that fails the filter, whatever the policy
+async function moderateTopic(topic) {
+  const check = await checkText(topic);
+  if (check.flagged) {
+    throw blockedError('Topic was blocked by the content filter', 400, { policy: moderationPolicy(), target: 'topic' });
+  }
+}
+
+// Applies the policy to generated bullets. Resolves to { points, flagged, report } where `points` is
+// index-aligned with the input: redacted bullets are replaced, dropped ones are null and bullets left
+// for regeneration (regenerate policy) are kept as they are, with their indexes in `flagged`.
+// Under the reject policy a flagged bullet throws a 422 CONTENT_BLOCKED error.
+async function moderatePoints(points) {
+  const policy = moderationPolicy();
+  const report = { policy, flagged: 0, redacted: 0, dropped: 0, regenerated: 0 };
+  if (policy === 'off') return { points, flagged: [], report };
+
+  const reviewed = [];
+  const flagged = [];
+  for (const [index, point] of points.entries()) {
+    const check = await checkText(point);
+    reviewed.push(point);
+    if (!check.flagged) continue;
+
+    report.flagged++;
+    if (policy === 'reject') {
+      throw blockedError('Generated text was blocked by the content filter', 422, report);
+    }
+    if (policy === 'regenerate') {
+      flagged.push(index);
+    } else if (check.hits.length > 0) {
+      reviewed[index] = redact(point, check.hits);
+      report.redacted++;
+    } else {
+      reviewed[index] = null;
+      report.dropped++;
+    }
+  }
+  return { points: reviewed, flagged, report };
+}
+
+// Streaming previews: masks blocklisted words in token text before it reaches the client. Each stream
+// slot's text is only released up to a word boundary at least one blocklist phrase length back, so words
+// and phrases split across tokens are still caught. Returns { push(slot, text), flush(slot) }: push gives
+// the text to send now, flush the (redacted) rest held back once that slot's stream has ended.
+function createStreamRedactor() {
+  const pending = new Map(); // stream slot -> text not yet sent
+
+  function push(slot, text) {
+    if (!isEnabled()) return text;
+    const buffered = (pending.get(slot) || '') + text;
+    const holdBack = loadConfig().longestPhrase;
+    let cut = 0;
+    for (const match of buffered.matchAll(/[\s.,;:!?。、，！？]/gu)) {
+      if (match.index + 1 <= buffered.length - holdBack) cut = match.index + 1;
+    }
+    // Unspaced scripts may go a long way without punctuation; don't stall the preview on them
+    if (buffered.length > MAX_HELD_TEXT) cut = buffered.length;
+    // Never release half of a blocked phrase
+    for (const { index, length } of findBlocked(buffered)) {
+      if (index < cut && cut < index + length) cut = index;
+    }
+    pending.set(slot, buffered.slice(cut));
+    return cut === 0 ? '' : redact(buffered.slice(0, cut));
+  }
+
+  function flush(slot) {
+    const rest = pending.get(slot) || '';
+    pending.delete(slot);
+    return rest ? redact(rest) : '';
+  }
+
+  return { push, flush };
+}
+
+module.exports = {
+  MODERATION_FILE,
+  MODERATION_POLICIES,
+  REDACTION,
+  isEnabled,
+  moderationPolicy,
+  checkModerationFile,
+  reloadModeration,
+  regenerateAttempts,
+  isBlocklisted,
+  redact,
+  scoreText,
+  setClassifierRunner,
+  checkText,
+  moderateTopic,
+  moderatePoints,
+  createStreamRedactor
+};
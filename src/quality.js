@@ -0,0 +1,214 @@
+// quality.js
+// Scores candidate bullets and picks the best ones, so over-generated candidates can be filtered.
+// Each score is in [0, 1]: relevance to the topic, lack of internal repetition, lack of overlap
+// with the other chosen bullets, and grammatical completeness.
+const { Tensor } = require('@xenova/transformers');
+const { DEFAULT_OVERGENERATE } = require('./defaults');
+
+// Weights of the combined score; they sum to 1
+const QUALITY_WEIGHTS = {
+  relevance: 0.4,
+  repetition: 0.2,
+  overlap: 0.2,
+  completeness: 0.2
+};
+
+// Prefixes the candidate is scored after, per output language: with the topic, and without it as the baseline
+const RELEVANCE_PREFIXES = {
+  en: { topic: 'Key points about {topic}:\n- ', baseline: 'Key points:\n- ' },
+  es: { topic: 'Puntos clave sobre {topic}:\n- ', baseline: 'Puntos clave:\n- ' },
+  fr: { topic: 'Points clés sur {topic} :\n- ', baseline: 'Points clés :\n- ' },
+  de: { topic: 'Kernpunkte zu {topic}:\n- ', baseline: 'Kernpunkte:\n- ' },
+  pt: { topic: 'Pontos-chave sobre {topic}:\n- ', baseline: 'Pontos-chave:\n- ' },
+  it: { topic: 'Punti chiave su {topic}:\n- ', baseline: 'Punti chiave:\n- ' },
+  zh: { topic: '关于{topic}的要点：\n- ', baseline: '要点：\n- ' },
+  ja: { topic: '{topic}の要点：\n- ', baseline: '要点：\n- ' }
+};
+
+// How sharply the log-likelihood gain maps onto the relevance score (0 nats -> 0.5)
+const RELEVANCE_SCALE = 4;
+
+// Words a complete sentence rarely ends on; a bullet ending on one was cut off mid-phrase.
+// Languages without a list skip the check.
+const DANGLING_WORDS = {
+  en: [
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'from',
+    'at', 'as', 'that', 'which', 'who', 'is', 'are', 'was', 'be', 'can', 'will', 'its', 'their',
+    'your', 'our', 'this', 'these', 'than', 'because', 'while', 'into', 'more', 'most'
+  ],
+  es: ['a', 'el', 'la', 'los', 'las', 'un', 'una', 'de', 'del', 'y', 'o', 'que', 'en', 'con', 'por', 'para', 'es', 'su', 'sus', 'más'],
+  fr: ['à', 'le', 'la', 'les', 'un', 'une', 'des', 'de', 'du', 'et', 'ou', 'que', 'en', 'avec', 'pour', 'par', 'est', 'son', 'sa', 'ses', 'plus'],
+  de: ['der', 'die', 'das', 'den', 'dem', 'ein', 'eine', 'einen', 'und', 'oder', 'dass', 'mit', 'für', 'von', 'zu', 'in', 'ist', 'sind', 'sein', 'ihre', 'mehr'],
+  pt: ['a', 'o', 'os', 'as', 'um', 'uma', 'de', 'do', 'da', 'e', 'ou', 'que', 'em', 'com', 'por', 'para', 'é', 'seu', 'sua', 'mais'],
+  it: ['il', 'lo', 'la', 'i', 'gli', 'le', 'un', 'una', 'di', 'del', 'della', 'e', 'o', 'che', 'in', 'con', 'per', 'da', 'è', 'più']
+};
+const danglingWords = language => new Set(DANGLING_WORDS[language] || []);
+
+// Topic words that say nothing about relevance
+const STOP_WORDS = {
+  en: [...DANGLING_WORDS.en, 'it', 'has', 'have', 'not', 'also', 'how', 'what', 'why']
+};
+const stopWords = language => new Set(STOP_WORDS[language] || DANGLING_WORDS[language] || []);
+
+// Scripts written without spaces; each character counts as a word
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+
+function words(text) {
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  return tokens.flatMap(token => (UNSPACED_SCRIPT.test(token) ? Array.from(token) : [token]));
+}
+
+function ngrams(tokens, n) {
+  const grams = [];
+  for (let i = 0; i + n <= tokens.length; i++) grams.push(tokens.slice(i, i + n).join(' '));
+  return grams;
+}
+
+// Rough stem so "cost", "costs" and "costly" match
+function stem(word) {
+  return word.replace(/(ing|ly|ed|es|s)$/, '');
+}
+
+// 1 for varied wording, lower when words or word pairs repeat within the bullet
+function repetitionScore(text) {
+  const tokens = words(text);
+  if (tokens.length < 2) return 1;
+  const bigrams = ngrams(tokens, 2);
+  const repeatedBigrams = bigrams.length - new Set(bigrams).size;
+  const distinctRatio = new Set(tokens).size / tokens.length;
+  return Math.max(0, Math.min(1, distinctRatio * 1.25) * (1 - repeatedBigrams / bigrams.length));
+}
+
+// Jaccard similarity of word bigrams; 0 for unrelated bullets, 1 for identical ones
+function overlapBetween(a, b) {
+  const gramsA = new Set(ngrams(words(a), 2));
+  const gramsB = new Set(ngrams(words(b), 2));
+  if (gramsA.size === 0 || gramsB.size === 0) return 0;
+  let shared = 0;
+  for (const gram of gramsA) if (gramsB.has(gram)) shared++;
+  return shared / (gramsA.size + gramsB.size - shared);
+}
+
+// Near-duplicates: the same text ignoring case and punctuation, or mostly the same word pairs
+function isDuplicate(a, b) {
+  return words(a).join(' ') === words(b).join(' ') || overlapBetween(a, b) >= 0.5;
+}
+
+// Heuristic check that the bullet reads as a finished sentence
+function completenessScore(text, language) {
+  const tokens = words(text);
+  let score = 1;
+  if (tokens.length < 4) score -= 0.5;
+  if (danglingWords(language).has(tokens[tokens.length - 1])) score -= 0.4;
+  // A trailing bare number is usually the next list item's numbering leaking in
+  if (/\s\d+[.!?]?$/.test(text)) score -= 0.4;
+  if ((text.match(/\(/g) || []).length !== (text.match(/\)/g) || []).length) score -= 0.2;
+  if ((text.match(/"/g) || []).length % 2 === 1) score -= 0.2;
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters / text.length < 0.6) score -= 0.3;
+  return Math.max(0, score);
+}
+
+// Share of the topic's content words that appear in the bullet; used when the model can't be scored
+function lexicalRelevance(topic, text, language) {
+  const stop = stopWords(language);
+  const topicWords = words(topic).filter(word => !stop.has(word)).map(stem);
+  if (topicWords.length === 0) return 0.5;
+  const textWords = new Set(words(text).map(stem));
+  return topicWords.filter(word => textWords.has(word)).length / topicWords.length;
+}
+
+// Mean log-probability the model assigns to `text` following `prefix`
+async function meanLogLikelihood(generator, prefix, text) {
+  const { model, tokenizer } = generator;
+  const prefixIds = tokenizer.encode(prefix);
+  const textIds = tokenizer.encode(text);
+  const ids = [...prefixIds, ...textIds];
+
+  const { logits } = await model.forward({
+    input_ids: new Tensor('int64', BigInt64Array.from(ids.map(BigInt)), [1, ids.length]),
+    attention_mask: new Tensor('int64', new BigInt64Array(ids.length).fill(1n), [1, ids.length]),
+    past_key_values: null
+  });
+  const vocabSize = logits.dims[2];
+
+  let total = 0;
+  for (let position = prefixIds.length; position < ids.length; position++) {
+    // Logits at position - 1 predict the token at position
+    const row = logits.data.subarray((position - 1) * vocabSize, position * vocabSize);
+    let max = -Infinity;
+    for (let i = 0; i < vocabSize; i++) if (row[i] > max) max = row[i];
+    let sum = 0;
+    for (let i = 0; i < vocabSize; i++) sum += Math.exp(row[i] - max);
+    total += row[ids[position]] - max - Math.log(sum);
+  }
+  return total / textIds.length;
+}
+
+// How much more likely the model finds the bullet after the topic than without it, squashed to [0, 1]
+async function likelihoodRelevance(generator, topic, text, language) {
+  const prefixes = RELEVANCE_PREFIXES[language] || RELEVANCE_PREFIXES.en;
+  const withTopic = await meanLogLikelihood(generator, prefixes.topic.replace('{topic}', () => topic), text);
+  const baseline = await meanLogLikelihood(generator, prefixes.baseline, text);
+  return 1 / (1 + Math.exp(-RELEVANCE_SCALE * (withTopic - baseline)));
+}
+
+// Scores each candidate on its own. Decoder-only models rate relevance by log-likelihood;
+// encoder-decoder models fall back to topic word overlap. `signal` stops between candidates;
+// `language` picks the scoring prompts and completeness rules.
+async function scoreCandidates(generator, topic, candidates, { signal, language = 'en' } = {}) {
+  const useLikelihood = !generator.model.config.is_encoder_decoder;
+  const scored = [];
+  for (const text of candidates) {
+    if (signal) signal.throwIfAborted();
+    scored.push({
+      text,
+      relevance: useLikelihood
+        ? await likelihoodRelevance(generator, topic, text, language)
+        : lexicalRelevance(topic, text, language),
+      repetition: repetitionScore(text),
+      completeness: completenessScore(text, language)
+    });
+  }
+  return scored;
+}
+
+function combinedScore({ relevance, repetition, overlap, completeness }) {
+  return QUALITY_WEIGHTS.relevance * relevance +
+    QUALITY_WEIGHTS.repetition * repetition +
+    QUALITY_WEIGHTS.overlap * overlap +
+    QUALITY_WEIGHTS.completeness * completeness;
+}
+
+// Greedily picks up to `count` candidates, re-rating overlap against the bullets already picked so
+// near-duplicates lose out. Stops early once the best remaining score is below minScore.
+// Returns [{ text, score, relevance, repetition, overlap, completeness }], best first.
+function selectTopPoints(scored, count, { minScore = 0 } = {}) {
+  const remaining = [...scored];
+  const selected = [];
+  while (selected.length < count && remaining.length > 0) {
+    let best = null;
+    let bestIndex = -1;
+    remaining.forEach((candidate, index) => {
+      const maxOverlap = Math.max(0, ...selected.map(point => overlapBetween(point.text, candidate.text)));
+      const rated = { ...candidate, overlap: 1 - maxOverlap };
+      rated.score = combinedScore(rated);
+      if (!best || rated.score > best.score) {
+        best = rated;
+        bestIndex = index;
+      }
+    });
+    if (best.score < minScore) break;
+    selected.push(best);
+    remaining.splice(bestIndex, 1);
+  }
+  return selected;
+}
+
+module.exports = {
+  QUALITY_WEIGHTS,
+  DEFAULT_OVERGENERATE,
+  isDuplicate,
+  scoreCandidates,
+  selectTopPoints
+};
@@ -0,0 +1,99 @@
+// sampling.js
+// Validation of user-supplied sampling parameters and mapping to transformers.js generate options
+
+// Inclusive bounds for numeric parameters
+const SAMPLING_LIMITS = {
+  temperature: { min: 0.05, max: 2 },
+  topK: { min: 1, max: 200, integer: true },
+  topP: { min: 0.05, max: 1 },
+  repetitionPenalty: { min: 1, max: 2 },
+  maxTokens: { min: 1, max: 200, integer: true },
+  numBeams: { min: 1, max: 5, integer: true },
+  seed: { min: 0, max: 4294967295, integer: true }
+};
+
+// Parses sampling fields from a request body or query string.
+// Returns only the fields the client set, so defaults can differ per generation pass.
+function parseSamplingParams(input = {}) {
+  const sampling = {};
+  const errors = [];
+
+  for (const [name, limits] of Object.entries(SAMPLING_LIMITS)) {
+    const raw = input[name];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      errors.push(`${name} must be a number`);
+    } else if (limits.integer && !Number.isInteger(value)) {
+      errors.push(`${name} must be an integer`);
+    } else if (value < limits.min || value > limits.max) {
+      errors.push(`${name} must be between ${limits.min} and ${limits.max}`);
+    } else {
+      sampling[name] = value;
+    }
+  }
+
+  if (input.doSample !== undefined && input.doSample !== '') {
+    if (input.doSample === true || input.doSample === 'true') {
+      sampling.doSample = true;
+    } else if (input.doSample === false || input.doSample === 'false') {
+      sampling.doSample = false;
+    } else {
+      errors.push('doSample must be true (sampling) or false (greedy/beam search)');
+    }
+  }
+
+  // The seed drives the direct decoder's sampler, which has no beam search
+  if (sampling.seed !== undefined && sampling.numBeams > 1) {
+    errors.push('seed can only be used with numBeams 1');
+  }
+
+  return { sampling, errors };
+}
+
+// Stable string form for cache keys; empty when the client kept every default
+function samplingKey(sampling = {}) {
+  return Object.keys(sampling)
+    .sort()
+    .map(name => `${name}=${sampling[name]}`)
+    .join(',');
+}
+
+// Maps camelCase sampling params onto the generate() option names
+function toGenerationOptions(sampling) {
+  const options = {
+    max_new_tokens: sampling.maxTokens,
+    do_sample: sampling.doSample,
+    num_beams: sampling.numBeams || 1
+  };
+  // Greedy and plain beam search ignore the sampling knobs, so only pass them when sampling
+  if (sampling.doSample) {
+    options.temperature = sampling.temperature;
+    options.top_p = sampling.topP;
+    options.top_k = sampling.topK;
+  }
+  options.repetition_penalty = sampling.repetitionPenalty;
+  return options;
+}
+
+// Small, fast seeded PRNG (mulberry32). Seeded requests pass their own generator down to the sampler,
+// so concurrent generations never share or disturb each other's random sequence.
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  SAMPLING_LIMITS,
+  parseSamplingParams,
+  samplingKey,
+  toGenerationOptions,
+  createSeededRandom
+};
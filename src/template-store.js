@@ -0,0 +1,258 @@
+// template-store.js
+// User-defined prompt templates persisted as JSON on disk
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TEMPLATE, TEMPLATE_PLACEHOLDERS } = require('../public/js/bullet-utils');
+const { log } = require('./log');
+
+const TEMPLATES_FILE = process.env.TEMPLATES_FILE || path.join(__dirname, '..', 'data', 'templates.json');
+const MAX_PROMPTS_PER_TEMPLATE = 20;
+const MAX_PROMPT_LENGTH = 300;
+
+// Read-only templates that always exist
+const BUILT_IN_TEMPLATES = [DEFAULT_TEMPLATE];
+
+// Editable examples the store starts with until the first save
+const STARTER_TEMPLATES = [
+  {
+    id: 'pros-cons',
+    name: 'Pros and cons',
+    description: 'Balanced advantages and drawbacks',
+    structured: ['Pros and cons of {topic}:\n1.', 'Advantages and disadvantages of {topic}:\n1.'],
+    single: ['One advantage of {topic} is that', 'One drawback of {topic} is that']
+  },
+  {
+    id: 'faq',
+    name: 'FAQ',
+    description: 'Questions people commonly ask',
+    structured: ['Frequently asked questions about {topic}:\n1.', 'Common questions people ask about {topic}:\n1.'],
+    single: ['A common question about {topic} is', 'People often ask whether {topic}']
+  },
+  {
+    id: 'taglines',
+    name: 'Taglines',
+    description: 'Short marketing slogans',
+    structured: ['Catchy taglines for {topic}:\n1.', 'Short slogans for {topic}:\n1.'],
+    single: ['{topic} lets you', 'Discover how {topic}']
+  },
+  {
+    id: 'feature-list',
+    name: 'Feature list',
+    description: 'Product features and capabilities',
+    structured: ['Top {count} features of {topic}:\n1.', 'Key features of {topic}:\n1.'],
+    single: ['{topic} includes', '{topic} comes with']
+  }
+];
+
+let customTemplates = null; // id -> template, loaded lazily
+// id -> last version of a deleted template. Cache keys include the version, so a template recreated
+// under the same id continues from there instead of reusing v1 and its cached bullets.
+let retiredVersions = new Map();
+let writeQueue = Promise.resolve();
+
+function loadTemplates() {
+  if (customTemplates) return customTemplates;
+
+  customTemplates = new Map();
+  let stored = STARTER_TEMPLATES.map(t => ({ ...t, version: 1 }));
+  if (fs.existsSync(TEMPLATES_FILE)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+      stored = data.templates || [];
+      for (const [id, version] of Object.entries(data.retiredVersions || {})) {
+        if (Number.isInteger(version)) retireVersion(id, version);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read ${TEMPLATES_FILE}, starting with no custom templates:`, error.message);
+      stored = [];
+    }
+  }
+  for (const template of stored) {
+    customTemplates.set(template.id, template);
+  }
+  log(`📝 Loaded ${customTemplates.size} custom prompt template(s)`);
+  return customTemplates;
+}
+
+// Drops the loaded templates so the next lookup reads TEMPLATES_FILE again (edited by hand or by another
+// process); waits for pending writes so none of them is lost
+async function reloadTemplates() {
+  await writeQueue; // A failed write was already reported to its caller
+  const previous = customTemplates;
+  customTemplates = null;
+  const templates = loadTemplates();
+  // Templates removed from the file by hand are retired too
+  for (const [id, template] of previous || []) {
+    if (!templates.has(id)) retireVersion(id, template.version || 1);
+  }
+  return templates.size;
+}
+
+function retireVersion(id, version) {
+  retiredVersions.set(id, Math.max(version, retiredVersions.get(id) || 0));
+}
+
+// Writes go through a queue and a temp file so concurrent edits never leave half-written JSON.
+// The failure goes to the caller; the queue carries on so later saves still run.
+function persistTemplates() {
+  const templates = Array.from(loadTemplates().values());
+  const retired = Object.fromEntries(retiredVersions);
+  const write = writeQueue.then(async () => {
+    await fs.promises.mkdir(path.dirname(TEMPLATES_FILE), { recursive: true });
+    const tempFile = `${TEMPLATES_FILE}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify({ templates, retiredVersions: retired }, null, 2));
+    await fs.promises.rename(tempFile, TEMPLATES_FILE);
+  });
+  writeQueue = write.catch(() => {});
+  return write;
+}
+
+function isBuiltIn(id) {
+  return BUILT_IN_TEMPLATES.some(t => t.id === id);
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function validatePrompts(name, prompts, { required }) {
+  const errors = [];
+  if (prompts === undefined && !required) return errors;
+  if (!Array.isArray(prompts) || (required && prompts.length === 0)) {
+    return [`${name} must be ${required ? 'a non-empty' : 'an'} array of prompt strings`];
+  }
+  if (prompts.length > MAX_PROMPTS_PER_TEMPLATE) {
+    errors.push(`${name} can have at most ${MAX_PROMPTS_PER_TEMPLATE} prompts`);
+  }
+  prompts.forEach((prompt, i) => {
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+      errors.push(`${name}[${i}] must be a non-empty string`);
+      return;
+    }
+    if (prompt.length > MAX_PROMPT_LENGTH) {
+      errors.push(`${name}[${i}] must be at most ${MAX_PROMPT_LENGTH} characters`);
+    }
+    if (!prompt.includes('{topic}')) {
+      errors.push(`${name}[${i}] must contain the {topic} placeholder`);
+    }
+    for (const [, placeholder] of prompt.matchAll(/\{(\w+)\}/g)) {
+      if (!TEMPLATE_PLACEHOLDERS.includes(placeholder)) {
+        errors.push(`${name}[${i}] uses unknown placeholder {${placeholder}}`);
+      }
+    }
+  });
+  return errors;
+}
+
+// Returns a list of problems; empty when the template can be saved
+function validateTemplate(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return ['Template body must be a JSON object'];
+
+  if (typeof input.name !== 'string' || input.name.trim().length === 0) {
+    errors.push('name is required');
+  }
+  if (input.description !== undefined && typeof input.description !== 'string') {
+    errors.push('description must be a string');
+  }
+  errors.push(...validatePrompts('structured', input.structured, { required: true }));
+  errors.push(...validatePrompts('single', input.single, { required: false }));
+  return errors;
+}
+
+// Problems with TEMPLATES_FILE that would stop a config reload, as messages; empty when it is valid or missing
+function checkTemplatesFile() {
+  if (!fs.existsSync(TEMPLATES_FILE)) return [];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+  } catch (error) {
+    return [`Could not read ${TEMPLATES_FILE}: ${error.message}`];
+  }
+  if (!data || typeof data !== 'object' || (data.templates !== undefined && !Array.isArray(data.templates))) {
+    return [`${TEMPLATES_FILE} must hold an object with a templates array`];
+  }
+  return (data.templates || []).flatMap((template, index) => {
+    const id = template && typeof template.id === 'string' && template.id ? template.id : null;
+    const problems = id ? validateTemplate(template) : ['id is required'];
+    return problems.map(problem => `${TEMPLATES_FILE}: template ${id || `#${index + 1}`}: ${problem}`);
+  });
+}
+
+function listTemplates() {
+  return [
+    ...BUILT_IN_TEMPLATES.map(t => ({ ...t, builtIn: true })),
+    ...Array.from(loadTemplates().values()).map(t => ({ ...t, builtIn: false }))
+  ];
+}
+
+function getTemplate(id) {
+  const builtIn = BUILT_IN_TEMPLATES.find(t => t.id === id);
+  if (builtIn) return { ...builtIn, builtIn: true };
+  const custom = loadTemplates().get(id);
+  return custom ? { ...custom, builtIn: false } : null;
+}
+
+function toStoredTemplate(id, input, previous) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    name: input.name.trim(),
+    description: (input.description || '').trim(),
+    structured: input.structured,
+    single: input.single || [],
+    version: (previous ? previous.version || 1 : retiredVersions.get(id) || 0) + 1,
+    createdAt: previous ? previous.createdAt : now,
+    updatedAt: now
+  };
+}
+
+async function createTemplate(input) {
+  const id = slugify(input.id || input.name);
+  if (!id) throw Object.assign(new Error('Template id must contain letters or digits'), { status: 400 });
+  if (isBuiltIn(id) || loadTemplates().has(id)) {
+    throw Object.assign(new Error(`Template already exists: ${id}`), { status: 409 });
+  }
+
+  const template = toStoredTemplate(id, input);
+  loadTemplates().set(id, template);
+  await persistTemplates();
+  return { ...template, builtIn: false };
+}
+
+async function updateTemplate(id, input) {
+  if (isBuiltIn(id)) {
+    throw Object.assign(new Error(`Built-in template cannot be modified: ${id}`), { status: 403 });
+  }
+  const previous = loadTemplates().get(id);
+  if (!previous) return null;
+
+  const template = toStoredTemplate(id, input, previous);
+  loadTemplates().set(id, template);
+  await persistTemplates();
+  return { ...template, builtIn: false };
+}
+
+async function deleteTemplate(id) {
+  if (isBuiltIn(id)) {
+    throw Object.assign(new Error(`Built-in template cannot be deleted: ${id}`), { status: 403 });
+  }
+  const template = loadTemplates().get(id);
+  if (!template) return false;
+  loadTemplates().delete(id);
+  retireVersion(id, template.version || 1);
+  await persistTemplates();
+  return true;
+}
+
+module.exports = {
+  TEMPLATES_FILE,
+  validateTemplate,
+  checkTemplatesFile,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  reloadTemplates
+};
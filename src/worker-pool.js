@@ -0,0 +1,265 @@
+// worker-pool.js
+// Pool of inference worker threads; the main thread only dispatches jobs and collects results
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { PRECISIONS, listModels, getDefaultPrecision } = require('./model-registry');
+
+const WORKER_FILE = path.join(__dirname, 'inference-worker.js');
+// A crashed worker is restarted after RESTART_DELAY ms, doubling per consecutive crash up to
+// MAX_RESTART_DELAY; after MAX_RESTARTS crashes in a row it stays down. A worker that ran for
+// STABLE_UPTIME ms before crashing starts the count again.
+const RESTART_DELAY = 1000;
+const MAX_RESTART_DELAY = 30000;
+const MAX_RESTARTS = 5;
+const STABLE_UPTIME = 60000;
+
+function deserializeError({ message, ...props }) {
+  return Object.assign(new Error(message), props);
+}
+
+function unavailableError() {
+  return Object.assign(new Error('No inference worker is running: they kept crashing and were not restarted; check the logs and restart the server'), {
+    status: 503,
+    code: 'WORKERS_UNAVAILABLE'
+  });
+}
+
+// size: number of workers, each loading its own copy of every model variant it is asked for;
+// runtime: configureRuntime() options applied inside each worker; workerFile: the worker script (tests swap it)
+function createWorkerPool({ size = 1, runtime = {}, workerFile = WORKER_FILE } = {}) {
+  const slots = [];
+  let nextMessageId = 1;
+  let closing = false;
+
+  // restarts: how often this slot's worker was replaced; crashes: consecutive crashes before this start
+  function spawn(index, restarts = 0, crashes = 0) {
+    const slot = {
+      index,
+      worker: new Worker(workerFile, { workerData: { runtime } }),
+      state: 'running', // running, restarting (waiting out the backoff) or failed (restart cap reached)
+      startedAt: Date.now(),
+      replaced: null, // while restarting: resolves once the new worker is up
+      pending: new Map(), // message id -> { resolve, reject, onToken, onPoint }
+      variants: new Map(), // "model@precision" -> { status, loading, loadTime, error }
+      activeJobs: 0,
+      completedJobs: 0,
+      restarts,
+      crashes
+    };
+
+    slot.worker.on('message', (message) => {
+      const request = slot.pending.get(message.id);
+      if (!request) return;
+      if (message.type === 'token') {
+        if (request.onToken) request.onToken(message.text, message.source, message.index);
+      } else if (message.type === 'point') {
+        if (request.onPoint) request.onPoint(message.point, message.index);
+      } else {
+        slot.pending.delete(message.id);
+        if (message.type === 'error') request.reject(deserializeError(message.error));
+        else request.resolve(message.result);
+      }
+    });
+
+    slot.worker.on('error', (error) => {
+      console.error(`❌ Inference worker ${index} crashed:`, error);
+    });
+
+    // A dead worker fails its in-flight jobs and is replaced after a backoff; models reload on next use
+    slot.worker.on('exit', (code) => {
+      for (const request of slot.pending.values()) {
+        request.reject(new Error(`Inference worker ${index} exited with code ${code}`));
+      }
+      slot.pending.clear();
+      slot.variants.clear();
+      if (closing) return;
+
+      const crashes = Date.now() - slot.startedAt >= STABLE_UPTIME ? 1 : slot.crashes + 1;
+      if (crashes > MAX_RESTARTS) {
+        slot.state = 'failed';
+        console.error(`❌ Inference worker ${index} exited ${crashes} times in a row; not restarting it`);
+        return;
+      }
+      const delay = Math.min(MAX_RESTART_DELAY, RESTART_DELAY * 2 ** (crashes - 1));
+      console.warn(`⚠️ Inference worker ${index} exited with code ${code}, restarting in ${delay}ms (attempt ${crashes} of ${MAX_RESTARTS})...`);
+      slot.state = 'restarting';
+      slot.replaced = new Promise((resolve) => {
+        setTimeout(() => {
+          if (closing) return resolve();
+          slots[index] = spawn(index, slot.restarts + 1, crashes);
+          resolve();
+        }, delay).unref();
+      });
+    });
+
+    return slot;
+  }
+
+  function call(slot, message, hooks = {}, id = nextMessageId++) {
+    return new Promise((resolve, reject) => {
+      slot.pending.set(id, { resolve, reject, ...hooks });
+      slot.worker.postMessage({ ...message, id });
+    });
+  }
+
+  function loadOnSlot(slot, model, precision) {
+    const key = `${model}@${precision}`;
+    const variant = slot.variants.get(key) || { status: 'not_loaded', loading: null, loadTime: null, error: null };
+    slot.variants.set(key, variant);
+    if (variant.status === 'ready') return Promise.resolve();
+    if (variant.loading) return variant.loading;
+
+    variant.status = 'loading';
+    variant.error = null;
+    variant.loading = call(slot, { type: 'load', model, precision })
+      .then(({ loadTime }) => {
+        Object.assign(variant, { status: 'ready', loadTime });
+      })
+      .catch((error) => {
+        Object.assign(variant, { status: 'error', error: error.message });
+        throw error;
+      })
+      .finally(() => {
+        variant.loading = null;
+      });
+    return variant.loading;
+  }
+
+  // The running workers; waits out a restart when every worker is restarting
+  async function runningSlots() {
+    for (;;) {
+      const running = slots.filter(slot => slot.state === 'running');
+      if (running.length > 0) return running;
+      const restarting = slots.filter(slot => slot.state === 'restarting');
+      if (restarting.length === 0) throw unavailableError();
+      await Promise.race(restarting.map(slot => slot.replaced));
+    }
+  }
+
+  // The least busy running worker, counted as busy straight away so jobs sent together spread over
+  // the workers; callers give it back with slot.activeJobs--
+  async function claimSlot() {
+    const slot = (await runningSlots()).reduce((best, candidate) => (candidate.activeJobs < best.activeJobs ? candidate : best));
+    slot.activeJobs++;
+    return slot;
+  }
+
+  // Loads a model variant in every running worker so any of them can take the next job;
+  // restarted workers load it on their first job
+  async function loadModel(model, precision = getDefaultPrecision(model)) {
+    const running = await runningSlots();
+    await Promise.all(running.map(slot => loadOnSlot(slot, model, precision)));
+  }
+
+  // job: { model, precision, topic, requestedCount, curated, sampling, template, language, context, maxBatchSize, quality }; resolves to
+  // { points, usage }. `curated` ([{ text, pinned }]) regenerates only the unpinned bullets of an existing set.
+  // Aborting `signal` asks the worker to stop decoding; the promise settles once it has.
+  async function run(job, { signal, onToken, onPoint } = {}) {
+    const slot = await claimSlot();
+    // Aborted while waiting for a worker: the abort listener below would never fire
+    if (signal && signal.aborted) {
+      slot.activeJobs--;
+      throw signal.reason;
+    }
+    const id = nextMessageId++;
+    const onAbort = () => {
+      const { message, status, code } = signal.reason;
+      slot.worker.postMessage({ type: 'cancel', target: id, reason: { message, status, code } });
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await call(slot, { type: 'generate', ...job, stream: !!(onToken || onPoint) }, { onToken, onPoint }, id);
+    } finally {
+      slot.activeJobs--;
+      slot.completedJobs++;
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  // runBenchmark(options) (see benchmark.js) on the least busy worker, so the main thread stays responsive
+  async function benchmark(options) {
+    const slot = await claimSlot();
+    try {
+      return await call(slot, { type: 'benchmark', options });
+    } finally {
+      slot.activeJobs--;
+      slot.completedJobs++;
+    }
+  }
+
+  // The moderation classifier's scores for `text` (see moderation.js scoreText), also on the least busy worker
+  async function classify(model, text) {
+    const slot = await claimSlot();
+    try {
+      return await call(slot, { type: 'classify', model, text });
+    } finally {
+      slot.activeJobs--;
+    }
+  }
+
+  // Same shape as model-registry's getModelStatuses(), aggregated over the workers
+  function getModelStatuses() {
+    const statuses = {};
+    for (const { id } of listModels()) {
+      const defaultPrecision = getDefaultPrecision(id);
+      const variants = {};
+      for (const precision of Object.keys(PRECISIONS)) {
+        const states = slots.filter(slot => slot.state === 'running')
+          .map(slot => slot.variants.get(`${id}@${precision}`) || { status: 'not_loaded' });
+        const failed = states.find(state => state.status === 'error');
+        let status = 'not_loaded';
+        if (failed) status = 'error';
+        else if (states.length > 0 && states.every(state => state.status === 'ready')) status = 'ready';
+        else if (states.some(state => state.status !== 'not_loaded')) status = 'loading';
+
+        const loadTimes = states.map(state => state.loadTime).filter(time => time != null);
+        variants[precision] = {
+          status,
+          loadTime: loadTimes.length > 0 ? Math.max(...loadTimes) : null,
+          error: failed ? failed.error : null,
+          workersReady: states.filter(state => state.status === 'ready').length
+        };
+      }
+      statuses[id] = {
+        status: variants[defaultPrecision].status,
+        precision: defaultPrecision,
+        variants
+      };
+    }
+    return statuses;
+  }
+
+  function stats() {
+    return {
+      size: slots.length,
+      workers: slots.map(slot => ({
+        index: slot.index,
+        threadId: slot.worker.threadId,
+        state: slot.state,
+        activeJobs: slot.activeJobs,
+        completedJobs: slot.completedJobs,
+        restarts: slot.restarts,
+        loaded: Array.from(slot.variants.entries())
+          .filter(([, variant]) => variant.status === 'ready')
+          .map(([key]) => key)
+      }))
+    };
+  }
+
+  async function close() {
+    closing = true;
+    await Promise.all(slots.map(slot => slot.worker.terminate()));
+  }
+
+  for (let i = 0; i < size; i++) {
+    slots.push(spawn(i));
+  }
+  console.log(`🧵 Started ${size} inference worker(s) with ${runtime.numThreads || 'default'} ONNX thread(s) each`);
+
+  return { loadModel, run, benchmark, classify, getModelStatuses, stats, close };
+}
+
+module.exports = {
+  createWorkerPool
+};
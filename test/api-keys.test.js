@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_FILE = path.join(dir, 'api-keys.json');
+process.env.API_USAGE_FILE = path.join(dir, 'api-usage.json');
+delete process.env.API_RATE_LIMIT;
+delete process.env.API_DAILY_TOKEN_QUOTA;
+fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify({
+  keys: [
+    { id: 'team', name: 'Team', key: 'team-key', rateLimit: 2, dailyTokenQuota: 10 },
+    { id: 'old', key: 'old-key', disabled: true }
+  ]
+}));
+
+const { DEFAULT_RATE_LIMIT, findApiKey, keyLimits, recordUsage, flushUsage, checkRateLimit, checkQuota } = require('../src/api-keys');
+const { createAuth } = require('../src/auth');
+
+// Usage saves are batched on a timer; write them before the directory goes
+test.after(async () => {
+  await flushUsage();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Serves the auth middleware in front of an admin route and a generate route; resolves to its base URL
+async function startApp(t, options) {
+  const { authenticate, requireAdmin, limitGenerations } = createAuth(options);
+  const app = express();
+  app.use('/api', authenticate);
+  app.get('/api/status', (req, res) => res.json({ ok: true }));
+  app.get('/api/keys', requireAdmin, (req, res) => res.json({ ok: true }));
+  app.post('/api/generate', limitGenerations, (req, res) => res.json({ key: req.apiKey && req.apiKey.id }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('findApiKey matches hand-written keys and skips unknown and disabled ones', () => {
+  assert.equal(findApiKey('team-key').id, 'team');
+  assert.equal(findApiKey('unknown-key'), null);
+  assert.equal(findApiKey('old-key'), null);
+  assert.equal(findApiKey(''), null);
+  assert.deepEqual(keyLimits(findApiKey('team-key')), { rateLimit: 2, dailyTokenQuota: 10 });
+  assert.equal(keyLimits({ id: 'other' }).rateLimit, DEFAULT_RATE_LIMIT);
+});
+
+test('checkRateLimit allows limit requests per window and resets after a minute', (t) => {
+  const start = Date.now();
+  const now = t.mock.method(Date, 'now', () => start);
+  assert.deepEqual([1, 2, 3].map(() => checkRateLimit('ip:limited', 2).allowed), [true, true, false]);
+  assert.equal(checkRateLimit('ip:limited', 2).resetAt.getTime(), start + 60 * 1000);
+  assert.equal(checkRateLimit('ip:other', 2).allowed, true);
+
+  now.mock.mockImplementation(() => start + 60 * 1000);
+  assert.deepEqual(checkRateLimit('ip:limited', 2), { allowed: true, limit: 2, remaining: 1, resetAt: new Date(start + 120 * 1000) });
+  assert.equal(checkRateLimit('ip:limited', null).allowed, true);
+});
+
+test('checkQuota counts today\'s completion tokens against the daily quota', () => {
+  const entry = { id: 'quota', dailyTokenQuota: 10 };
+  assert.deepEqual(checkQuota(entry).used, 0);
+  recordUsage('quota', { generations: 1, tokens: 6 });
+  assert.equal(checkQuota(entry).allowed, true);
+  recordUsage('quota', { generations: 1, tokens: 4 });
+  assert.deepEqual({ ...checkQuota(entry), resetAt: undefined }, { allowed: false, quota: 10, used: 10, resetAt: undefined });
+  assert.equal(checkQuota({ id: 'quota', dailyTokenQuota: null }).allowed, true);
+});
+
+test('authenticate accepts valid keys and rejects unknown ones', async (t) => {
+  const base = await startApp(t, { requireApiKey: true, adminApiKey: 'admin-key' });
+
+  const valid = await fetch(`${base}/api/generate`, { method: 'POST', headers: { Authorization: 'Bearer team-key' } });
+  assert.equal(valid.status, 200);
+  assert.deepEqual(await valid.json(), { key: 'team' });
+
+  const unknown = await fetch(`${base}/api/generate`, { method: 'POST', headers: { 'X-API-Key': 'unknown-key' } });
+  assert.equal(unknown.status, 401);
+  assert.equal((await unknown.json()).code, 'INVALID_API_KEY');
+
+  const missing = await fetch(`${base}/api/generate`, { method: 'POST' });
+  assert.equal((await missing.json()).code, 'API_KEY_REQUIRED');
+  assert.equal((await fetch(`${base}/api/status`)).status, 200);
+  assert.equal((await fetch(`${base}/api/status?apiKey=unknown-key`)).status, 200);
+});
+
+test('admin routes need the admin key and are disabled without one', async (t) => {
+  const base = await startApp(t, { requireApiKey: false, adminApiKey: 'admin-key' });
+  const asTeam = await fetch(`${base}/api/keys`, { headers: { 'X-API-Key': 'team-key' } });
+  assert.equal(asTeam.status, 401);
+  assert.equal((await asTeam.json()).code, 'ADMIN_KEY_REQUIRED');
+  assert.equal((await fetch(`${base}/api/keys?apiKey=admin-key`)).status, 200);
+
+  const disabled = await startApp(t, { requireApiKey: false });
+  assert.equal((await fetch(`${disabled}/api/keys`)).status, 403);
+});
+
+test('limitGenerations answers 429 once the rate limit or the quota is used up, and never limits the admin', async (t) => {
+  const base = await startApp(t, { requireApiKey: true, adminApiKey: 'admin-key' });
+  const generate = key => fetch(`${base}/api/generate`, { method: 'POST', headers: { 'X-API-Key': key } });
+  // An hour on, so the earlier tests' requests are out of the window
+  const start = Date.now() + 60 * 60 * 1000;
+  const now = t.mock.method(Date, 'now', () => start);
+
+  const first = await generate('team-key');
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  await generate('team-key');
+  const limited = await generate('team-key');
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).code, 'RATE_LIMITED');
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+  assert.equal((await generate('admin-key')).status, 200);
+
+  // A new window, but today's tokens are spent
+  now.mock.mockImplementation(() => start + 60 * 1000);
+  recordUsage('team', { generations: 1, tokens: 10 });
+  const overQuota = await generate('team-key');
+  assert.equal(overQuota.status, 429);
+  assert.deepEqual({ ...(await overQuota.json()), error: undefined, resetAt: undefined }, {
+    error: undefined,
+    code: 'QUOTA_EXCEEDED',
+    quota: 10,
+    used: 10,
+    resetAt: undefined
+  });
+});
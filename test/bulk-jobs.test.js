@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseJobInput, toCsv, toJsonl, createJobManager } = require('../src/bulk-jobs');
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-jobs-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Resolves once the job's saved file reaches `status`, so no write is left running when its directory goes
+async function waitForSaved(dir, id, status) {
+  const file = path.join(dir, `${id}.json`);
+  for (let i = 0; i < 1000; i++) {
+    if (fs.existsSync(file) && JSON.parse(fs.readFileSync(file, 'utf8')).status === status) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${id} never saved as ${status}`);
+}
+
+test('parseJobInput reads quoted CSV fields and optional columns', () => {
+  const csv = 'Topic,count,language\r\n"Solar, wind and ""hydro""",3,en\r\n"multi\nline",,\r\n\r\n';
+  assert.deepEqual(parseJobInput(csv, 'csv'), {
+    rows: [{ topic: 'Solar, wind and "hydro"', count: '3', language: 'en' }, { topic: 'multi\nline' }],
+    errors: []
+  });
+  assert.deepEqual(parseJobInput('name\nTea', 'csv').errors, ['CSV needs a header row with a "topic" column']);
+  assert.deepEqual(parseJobInput('prompt\n ', 'csv'), { rows: [], errors: [] });
+});
+
+test('parseJobInput reports JSONL errors with line numbers', () => {
+  const { rows, errors } = parseJobInput('{"topic":"Tea","count":2}\n\n[1]\n{"prompt":""}\nnot json', 'jsonl');
+  assert.deepEqual(rows, [{ topic: 'Tea', count: 2 }, { topic: '' }]);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /^line 3: invalid JSON \(expected an object\)/);
+  assert.match(errors[1], /^line 5: invalid JSON/);
+  assert.equal(errors[2], 'line 4: topic is required');
+});
+
+test('toCsv quotes fields and keeps spreadsheets from running generated formulas', () => {
+  const job = {
+    rows: [
+      { topic: '=1+1', status: 'done', points: ['Tea, hot', '-5 degrees', '@SUM(A1)'], usage: { promptTokens: 5, completionTokens: 7 } },
+      { topic: 'Coffee', count: 2, status: 'error', error: 'Model "x" failed' }
+    ]
+  };
+  assert.equal(toCsv(job), [
+    'topic,count,template,language,status,error,prompt_tokens,completion_tokens,point_1,point_2,point_3',
+    '\'=1+1,,,,done,,5,7,"Tea, hot",\'-5 degrees,\'@SUM(A1)',
+    'Coffee,2,,,error,"Model ""x"" failed",,,,,',
+    ''
+  ].join('\r\n'));
+});
+
+test('toJsonl writes one result object per row', () => {
+  const lines = toJsonl({ rows: [{ topic: 'Tea', status: 'pending' }] }).trim().split('\n');
+  assert.deepEqual(JSON.parse(lines[0]), { topic: 'Tea', status: 'pending', points: null, error: null, cached: false, usage: null });
+});
+
+test('jobs run their rows in order, retry rate-limited rows and keep the client out of summaries', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = tempDir();
+  const calls = [];
+  let limited = true;
+  const manager = createJobManager({
+    dir,
+    runRow: async (row, params, { owner, client }) => {
+      calls.push([row.topic, owner, client]);
+      if (row.topic === 'Broken') throw new Error('Model failed');
+      if (limited) {
+        limited = false;
+        throw Object.assign(new Error('Too many requests'), { code: 'RATE_LIMITED', retryAfter: 0.01 });
+      }
+      return { points: [`${row.topic} point.`], cached: false, usage: { promptTokens: 1, completionTokens: 2 } };
+    }
+  });
+
+  const summary = manager.createJob(parseJobInput('topic\nTea\nBroken\nCoffee', 'csv').rows, {}, { owner: 'key1', client: 'key1' });
+  assert.equal(summary.client, undefined);
+  assert.equal(summary.rows, undefined);
+
+  await waitForSaved(dir, summary.id, 'completed');
+  const job = manager.getJob(summary.id);
+  assert.deepEqual(calls.map(([topic]) => topic), ['Tea', 'Tea', 'Broken', 'Coffee']);
+  assert.deepEqual(calls[0].slice(1), ['key1', 'key1']);
+  assert.deepEqual({ completed: job.completed, failed: job.failed }, { completed: 2, failed: 1 });
+  assert.equal(job.rows[1].error, 'Model failed');
+});
+
+test('restore resumes unfinished jobs and skips invalid job files', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const errors = t.mock.method(console, 'error', () => {});
+  const dir = tempDir();
+  const saved = {
+    id: 'abc123',
+    status: 'running',
+    params: {},
+    owner: 'key1',
+    client: 'key1',
+    total: 2,
+    completed: 1,
+    failed: 0,
+    createdAt: new Date().toISOString(),
+    rows: [{ topic: 'Tea', status: 'done', points: ['Tea point.'] }, { topic: 'Coffee', status: 'pending' }]
+  };
+  fs.writeFileSync(path.join(dir, 'abc123.json'), JSON.stringify(saved));
+  fs.writeFileSync(path.join(dir, 'renamed.json'), JSON.stringify(saved));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+  const topics = [];
+  const manager = createJobManager({
+    dir,
+    runRow: async (row, params, { client }) => {
+      topics.push([row.topic, client]);
+      return { points: [], cached: false, usage: null };
+    }
+  });
+  manager.restore();
+
+  await waitForSaved(dir, 'abc123', 'completed');
+  const job = manager.getJob('abc123');
+  assert.deepEqual(topics, [['Coffee', 'key1']]);
+  assert.equal(job.completed, 2);
+  assert.equal(manager.listJobs().length, 1);
+  assert.equal(errors.mock.callCount(), 2);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, formatPoints } = require('../public/js/bullet-formats');
+
+const result = {
+  topic: 'Tea',
+  model: 'distilgpt2',
+  requestedCount: 2,
+  generationTime: 120,
+  points: ['Tea is *calming*\nin the evening.', 'Tea has <b>antioxidants</b> & more.'],
+  details: [{ source: 'structured', tokens: 9, score: 0.8 }]
+};
+
+test('markdown puts each point on one line and escapes formatting characters', () => {
+  assert.equal(formatPoints(result, 'markdown'), '- Tea is \\*calming\\* in the evening.\n- Tea has \\<b\\>antioxidants\\</b\\> & more.\n');
+});
+
+test('html escapes markup inside list items', () => {
+  assert.equal(formatPoints(result, 'html'),
+    '<ul>\n  <li>Tea is *calming* in the evening.</li>\n  <li>Tea has &lt;b&gt;antioxidants&lt;/b&gt; &amp; more.</li>\n</ul>\n');
+  assert.equal(escapeHtml('"it\'s"'), '&quot;it&#39;s&quot;');
+});
+
+test('text writes one bullet per line', () => {
+  assert.equal(formatPoints(result, 'text'), '• Tea is *calming* in the evening.\n• Tea has <b>antioxidants</b> & more.\n');
+});
+
+test('json carries per-point metadata and nulls for what the result lacks', () => {
+  const document = JSON.parse(formatPoints(result, 'json'));
+  assert.equal(document.generatedCount, 2);
+  assert.equal(document.precision, null);
+  assert.equal(document.cached, false);
+  assert.deepEqual(document.points[0], { index: 0, text: 'Tea is *calming* in the evening.', source: 'structured', tokens: 9, generationTime: null, score: 0.8 });
+  assert.equal(document.points[1].source, null);
+});
+
+test('unknown formats throw', () => {
+  assert.throws(() => formatPoints(result, 'pdf'), /Unknown format: pdf/);
+});
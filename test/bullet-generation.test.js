@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compilePromptTemplates, DEFAULT_TEMPLATE } = require('../public/js/bullet-utils');
+const { createTextStreamer, specialTokenIds, generateOptimizedSet } = require('../public/js/bullet-generation');
+
+const promptTemplates = compilePromptTemplates(DEFAULT_TEMPLATE, 'en', () => 0);
+const quiet = () => {};
+
+test('createTextStreamer emits only the new part of the text', () => {
+  const chunks = [];
+  const stream = createTextStreamer(chunk => chunks.push(chunk));
+  stream('Hello');
+  stream('Hello');
+  stream('Hello world');
+  assert.deepEqual(chunks, ['Hello', ' world']);
+});
+
+test('specialTokenIds falls back to the tokenizer when the config names no end token', () => {
+  const tokenizer = {
+    pad_token_id: undefined,
+    getToken: () => '</s>',
+    model: { tokens_to_ids: new Map([['</s>', 2]]) }
+  };
+  assert.deepEqual(specialTokenIds({ model: { config: {} }, tokenizer }), { pad_token_id: 2, eos_token_id: 2 });
+  assert.deepEqual(specialTokenIds({ model: { config: { eos_token_id: 7, pad_token_id: 0 } }, tokenizer }), { pad_token_id: 0, eos_token_id: 7 });
+});
+
+test('generateOptimizedSet returns the structured list when it has enough bullets', async () => {
+  const points = await generateOptimizedSet(null, 'Tea', 2, {
+    promptTemplates,
+    log: quiet,
+    decodeStructured: async () => '1. Boosts focus during long days\n2. Contains helpful antioxidants\n3. Warms you up in winter',
+    decodeSingles: async () => assert.fail('no single prompts needed')
+  });
+  assert.deepEqual(points, ['Boosts focus during long days.', 'Contains helpful antioxidants.']);
+});
+
+test('generateOptimizedSet fills the gaps with single prompts and emits every bullet', async () => {
+  const emitted = [];
+  let singlePrompts = null;
+  const points = await generateOptimizedSet(null, 'Tea', 3, {
+    promptTemplates,
+    log: quiet,
+    onPoint: (point, index) => emitted.push([index, point]),
+    decodeStructured: async () => '1. Boosts focus during long days\n2.',
+    decodeSingles: async (prompts) => {
+      singlePrompts = prompts;
+      return [' calming the mind after work', ' x'];
+    }
+  });
+  assert.deepEqual(singlePrompts, ['Tea is valuable because it', 'The benefit of Tea is that it']);
+  assert.deepEqual(points, ['Boosts focus during long days.', 'Calming the mind after work.']);
+  assert.deepEqual(emitted, [[0, points[0]], [1, points[1]]]);
+});
+
+test('generateOptimizedSet emits only the bullets choosePoints keeps', async () => {
+  const emitted = [];
+  const points = await generateOptimizedSet(null, 'Tea', 1, {
+    promptTemplates,
+    log: quiet,
+    targetCount: 2,
+    onPoint: point => emitted.push(point),
+    decodeStructured: async () => '1. Boosts focus during long days\n2. Contains helpful antioxidants\n',
+    choosePoints: async candidates => candidates.slice(1)
+  });
+  assert.deepEqual(points, ['Contains helpful antioxidants.']);
+  assert.deepEqual(emitted, points);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_TEMPLATE,
+  getLanguage,
+  isValidLanguage,
+  compilePromptTemplates,
+  fillTemplate,
+  parseAndExtractPoints,
+  extractNumberedPoints,
+  parseListItems,
+  cleanUpPoint,
+  generateMinimalFallback
+} = require('../public/js/bullet-utils');
+
+test('fillTemplate fills {topic} and {count} and leaves other braces alone', () => {
+  assert.equal(fillTemplate('{count} facts about {topic} {other}', { topic: 'tea', count: 3 }), '3 facts about tea {other}');
+});
+
+test('getLanguage falls back to English for unknown ids', () => {
+  assert.equal(isValidLanguage('xx'), false);
+  assert.equal(getLanguage('xx').id, 'en');
+  assert.equal(getLanguage('zh').joiner, '');
+});
+
+test('cleanUpPoint strips connectives and bullets, swaps a leading pronoun and ends the sentence', () => {
+  assert.equal(cleanUpPoint('because it lowers energy bills', 'Solar power'), 'Solar power lowers energy bills.');
+  assert.equal(cleanUpPoint('- Items ship faster!', 'Drones'), 'Items ship faster!');
+  assert.equal(cleanUpPoint('short', 'Tea'), null);
+  assert.equal(cleanUpPoint('returns undefined values', 'Code'), null);
+});
+
+test('cleanUpPoint drops bullets over the length limit unless fitPoint shortens them', () => {
+  const long = 'a'.repeat(250);
+  assert.equal(cleanUpPoint(long, 'Tea'), null);
+  assert.equal(cleanUpPoint(long, 'Tea', 'en', text => text.slice(0, 20)), `A${'a'.repeat(19)}.`);
+});
+
+test('cleanUpPoint joins the topic without a space in unspaced languages', () => {
+  assert.equal(cleanUpPoint('它提供清洁能源', '太阳能', 'zh'), '太阳能提供清洁能源。');
+});
+
+test('extractNumberedPoints keeps digits inside an item', () => {
+  const text = '1. 5G networks reach rural areas 2. Support is open 24/7 for everyone\n3. Short';
+  assert.deepEqual(extractNumberedPoints(text, 'Telecom', 5), [
+    '5G networks reach rural areas.',
+    'Support is open 24/7 for everyone.'
+  ]);
+});
+
+test('extractNumberedPoints stops at the expected count', () => {
+  const text = '1. First useful point here\n2. Second useful point here\n3. Third useful point here';
+  assert.equal(extractNumberedPoints(text, 'Topic', 2).length, 2);
+});
+
+test('parseAndExtractPoints splits unnumbered text into sentences', () => {
+  const text = 'It reduces carbon emissions a lot. Panels last for decades with care.';
+  assert.deepEqual(parseAndExtractPoints(text, 'Solar', 3), [
+    'Solar reduces carbon emissions a lot.',
+    'Panels last for decades with care.'
+  ]);
+});
+
+test('parseListItems reads one bullet per line', () => {
+  assert.deepEqual(parseListItems('1. Saves time every day\n2. Costs less to run', 'Tools', 5), [
+    'Saves time every day.',
+    'Costs less to run.'
+  ]);
+});
+
+test('compilePromptTemplates localizes the built-in template and reuses its singles for custom ones', () => {
+  const builtIn = compilePromptTemplates(DEFAULT_TEMPLATE, 'es', () => 0);
+  assert.equal(builtIn.structured('té', 3), 'Beneficios clave de té:\n1.');
+  assert.equal(builtIn.single('té', 0), 'té ayuda a');
+
+  const custom = compilePromptTemplates({ id: 'risks', structured: ['{count} risks of {topic}:\n1.'], single: [] }, 'en', () => 0.99);
+  assert.equal(custom.structured('AI', 4), '4 risks of AI:\n1.');
+  assert.deepEqual(custom.structuredVariants('AI', 2), ['2 risks of AI:\n1.']);
+  assert.equal(custom.single('AI', 7), 'AI helps by');
+});
+
+test('generateMinimalFallback returns up to count localized bullets', () => {
+  assert.deepEqual(generateMinimalFallback('Tea', 2), ['Tea provides significant benefits.', 'Tea has proven effectiveness.']);
+  assert.equal(generateMinimalFallback('茶', 1, 'zh')[0], '茶带来显著的好处。');
+});
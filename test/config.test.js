@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, checkConfig, reloadConfig, publicConfig } = require('../src/config');
+const { DEFAULT_MAX_BATCH_SIZE, DEFAULT_OVERGENERATE } = require('../src/defaults');
+const { setLogger } = require('../src/log');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Writes a config file and returns the flags that load it
+function configFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+  return ['--config', file];
+}
+
+// loadConfig writes shared settings to process.env; every test starts from and goes back to the same variables
+const originalEnv = { ...process.env };
+setLogger(() => {});
+test.after(() => setLogger(null));
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+test.afterEach(() => {
+  for (const name of Object.keys(process.env)) {
+    if (!(name in originalEnv)) delete process.env[name];
+  }
+  Object.assign(process.env, originalEnv);
+});
+
+test('defaults come from the modules that own them', () => {
+  const settings = loadConfig(configFile('empty.json', {}));
+  assert.equal(settings.port, 3005);
+  assert.equal(settings.maxBatchSize, DEFAULT_MAX_BATCH_SIZE);
+  assert.equal(settings.qualityOvergenerate, DEFAULT_OVERGENERATE);
+  assert.equal(settings.queueConcurrency, settings.inferenceWorkers);
+});
+
+test('flags override variables, which override the file', () => {
+  process.env.QUEUE_MAX_DEPTH = '30';
+  process.env.MAX_POINT_COUNT = '';
+  const flags = configFile('layers.json', { queueMaxDepth: 10, maxPointCount: 5, port: 4000 });
+  const settings = loadConfig([...flags, '--port', '4001']);
+  assert.equal(settings.queueMaxDepth, 30);
+  assert.equal(settings.maxPointCount, 5);
+  assert.equal(settings.port, 4001);
+});
+
+test('defaults can depend on the settings before them', () => {
+  process.env.INFERENCE_WORKERS = '3';
+  const settings = loadConfig(configFile('empty.json', {}));
+  assert.equal(settings.queueConcurrency, 3);
+});
+
+test('YAML files are parsed with their comments and quoting', () => {
+  const flags = configFile('config.yaml', [
+    '# Deployment settings',
+    'port: 8080 # after a value',
+    'corsOrigins:',
+    '  - https://example.com',
+    '  - "https://other.example.com#docs"',
+    'warmupPrompt: "The # sign"',
+    'constrainedDecoding: true'
+  ].join('\n'));
+  const settings = loadConfig(flags);
+  assert.equal(settings.port, 8080);
+  assert.deepEqual(settings.corsOrigins, ['https://example.com', 'https://other.example.com#docs']);
+  assert.equal(settings.constrainedDecoding, true);
+  assert.equal(process.env.WARMUP_PROMPT, 'The # sign');
+});
+
+test('every problem is reported at once', () => {
+  process.env.QUEUE_MAX_DEPTH = 'deep';
+  const flags = configFile('invalid.json', { port: 70000, cacheBackend: 'redis', modelPrecision: 'gpt2=fp16', colour: 'blue' });
+  assert.throws(() => loadConfig([...flags, '--constrained-decoding', 'maybe']), (error) => {
+    assert.equal(error.code, 'INVALID_CONFIG');
+    assert.equal(error.errors.length, 6);
+    assert.ok(error.errors.some(message => message.includes('unknown setting "colour"')));
+    assert.ok(error.errors.includes('QUEUE_MAX_DEPTH (environment) must be an integer'));
+    assert.ok(error.errors.includes('modelPrecision (config file) has an invalid entry "gpt2=fp16" (expected fp32 or int8)'));
+    return true;
+  });
+  assert.throws(() => loadConfig(['--no-such-flag', '1']), { code: 'INVALID_CONFIG' });
+});
+
+test('reloads apply reloadable settings, list the rest and keep everything on errors', () => {
+  const flags = configFile('reload.json', { maxPointCount: 5, port: 4000, historyFile: path.join(dir, 'history.json') });
+  const settings = loadConfig(flags);
+  assert.equal(process.env.HISTORY_FILE, path.join(dir, 'history.json'));
+
+  fs.writeFileSync(flags[1], JSON.stringify({ maxPointCount: 8, port: 4002 }));
+  assert.deepEqual(reloadConfig(), { changed: ['maxPointCount'], restartRequired: ['port', 'historyFile'], errors: [] });
+  assert.equal(settings.maxPointCount, 8);
+  assert.equal(settings.port, 4000);
+
+  fs.writeFileSync(flags[1], JSON.stringify({ maxPointCount: 0 }));
+  assert.deepEqual(checkConfig(), ['maxPointCount (config file) must be between 1 and 100']);
+  assert.equal(settings.maxPointCount, 8);
+  const { errors } = reloadConfig();
+  assert.equal(errors.length, 1);
+  assert.equal(settings.maxPointCount, 8);
+});
+
+test('publicConfig hides secrets and resolves shared defaults', () => {
+  process.env.ADMIN_API_KEY = 'secret';
+  // Set, so publicConfig doesn't resolve them through model-registry.js and moderation.js, which load the model runtime
+  Object.assign(process.env, {
+    DEFAULT_MODEL: 'distilgpt2',
+    MODEL_PRECISION: 'fp32',
+    WARMUP_PROMPT: 'Hello',
+    MODERATION_FILE: path.join(dir, 'moderation.json'),
+    MODERATION_POLICY: 'off'
+  });
+  loadConfig(configFile('empty.json', {}));
+  const { settings } = publicConfig();
+  assert.equal(settings.adminApiKey, undefined);
+  assert.deepEqual(settings.apiRateLimit, { value: require('../src/api-keys').DEFAULT_RATE_LIMIT, source: 'default', env: 'API_RATE_LIMIT', reload: false });
+  assert.equal(settings.maxPointCount.reload, true);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseConstraintParams,
+  constraintsKey,
+  bannedWordIds,
+  truncateAtStop,
+  firstListItem,
+  precomputeNewlineTokens,
+  createSequenceConstraint
+} = require('../src/constraints');
+
+// One token per character; id 0 is the end token
+const VOCAB = ['<eos>', '\n', ' ', '.', '1', '2', '3', ...'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'];
+
+function createTokenizer() {
+  const tokenizer = {
+    decodes: 0,
+    encode: text => Array.from(text, char => VOCAB.indexOf(char)),
+    decode(ids, { skip_special_tokens: skip } = {}) {
+      tokenizer.decodes++;
+      return Array.from(ids, Number).filter(id => !(skip && id === 0)).map(id => VOCAB[id]).join('');
+    }
+  };
+  return tokenizer;
+}
+
+function createGenerator() {
+  return { tokenizer: createTokenizer(), model: { config: { vocab_size: VOCAB.length } } };
+}
+
+function logits() {
+  return { data: new Float32Array(VOCAB.length).fill(1) };
+}
+
+const banned = (scores, char) => scores.data[VOCAB.indexOf(char)] === -Infinity;
+
+test('parseConstraintParams merges request fields with the server defaults', () => {
+  assert.deepEqual(parseConstraintParams({ stop: '###', bannedWords: 'cheap, free' }, { constrained: true, bannedWords: ['free'] }), {
+    constraints: { stop: ['###'], constrained: true, bannedWords: ['free', 'cheap'] },
+    errors: []
+  });
+  assert.equal(parseConstraintParams({ constrained: 'false' }, { constrained: true }).constraints.constrained, false);
+});
+
+test('parseConstraintParams reports invalid fields', () => {
+  const { constraints, errors } = parseConstraintParams({ stop: ['a', 'b', 'c', 'd', 'e'], constrained: 'maybe', bannedWords: [' '] });
+  assert.equal(errors.length, 3);
+  assert.deepEqual(constraints.bannedWords, []);
+});
+
+test('constraintsKey is empty without constraints and ignores banned word order', () => {
+  assert.equal(constraintsKey(), '');
+  assert.equal(constraintsKey({ bannedWords: ['b', 'a'] }), constraintsKey({ bannedWords: ['a', 'b'] }));
+  assert.equal(constraintsKey({ constrained: true, stop: ['x'] }), 'constrained,stop=["x"]');
+});
+
+test('truncateAtStop cuts at the earliest stop sequence', () => {
+  assert.equal(truncateAtStop('one ## two -- three', ['--', '##']), 'one ');
+  assert.equal(truncateAtStop('no stops', []), 'no stops');
+});
+
+test('firstListItem ends at a line break or an inline list number', () => {
+  assert.equal(firstListItem('\nSaves time 2. Costs less\n3. More'), 'Saves time');
+  assert.equal(firstListItem('Only one line'), 'Only one line');
+});
+
+test('bannedWordIds covers line-start, mid-sentence and capitalized forms', () => {
+  const { tokenizer } = createGenerator();
+  const ids = bannedWordIds(tokenizer, ['tea']);
+  assert.deepEqual(ids.map(sequence => tokenizer.decode(sequence)), ['tea', ' tea', 'Tea', ' Tea']);
+});
+
+test('createSequenceConstraint returns null when there is nothing to enforce', () => {
+  assert.equal(createSequenceConstraint(createGenerator(), {}), null);
+  assert.equal(createSequenceConstraint(createGenerator(), { constrained: true }), null);
+});
+
+test('a stop sequence ends decoding', () => {
+  const generator = createGenerator();
+  const constraint = createSequenceConstraint(generator, { stop: ['..'] });
+  assert.equal(constraint.isDone(generator.tokenizer.encode('ab.')), false);
+  assert.equal(constraint.isDone(generator.tokenizer.encode('ab..')), true);
+});
+
+test('constrained decoding keeps short lines going, forces list numbers and stops after the last item', () => {
+  const generator = createGenerator();
+  const { tokenizer } = generator;
+  const list = { items: 2, numbered: true, firstNumber: 1, promptNumbered: true, minLength: 3, eosTokenIds: [0] };
+  const constraint = createSequenceConstraint(generator, { constrained: true }, list);
+
+  const short = logits();
+  constraint.process(tokenizer.encode(' ab'), short);
+  assert.ok(banned(short, '\n') && banned(short, '<eos>'));
+
+  const longEnough = logits();
+  constraint.process(tokenizer.encode(' abc'), longEnough);
+  assert.ok(!banned(longEnough, '\n') && banned(longEnough, '<eos>'));
+
+  const nextLine = logits();
+  constraint.process(tokenizer.encode(' abc\n'), nextLine);
+  assert.deepEqual(Array.from(nextLine.data).flatMap((score, id) => (score === -Infinity ? [] : [VOCAB[id]])), ['2']);
+
+  assert.equal(constraint.isDone(tokenizer.encode(' abc\n2. def')), false);
+  assert.equal(constraint.isDone(tokenizer.encode(' abc\n2. def\n')), true);
+});
+
+test('precomputeNewlineTokens decodes the vocabulary once per tokenizer', () => {
+  const generator = createGenerator();
+  const list = { items: 1, numbered: false, minLength: 5, eosTokenIds: [0] };
+  precomputeNewlineTokens(generator);
+  const afterPrecompute = generator.tokenizer.decodes;
+  assert.ok(afterPrecompute >= VOCAB.length);
+
+  const constraint = createSequenceConstraint(generator, { constrained: true }, list);
+  const scores = logits();
+  constraint.process(generator.tokenizer.encode('ab'), scores);
+  assert.ok(banned(scores, '\n'));
+  assert.equal(generator.tokenizer.decodes, afterPrecompute + 1);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryBackend, createFileBackend, createGenerationCache, topicKey } = require('../src/generation-cache');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once check() passes, so a pending save is done before the test looks at the file
+async function waitFor(check) {
+  for (let i = 0; i < 1000 && !check(); i++) await sleep(5);
+}
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-cache-'));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'cache.json');
+}
+
+test('memory backend evicts the least recently used entry', () => {
+  const backend = createMemoryBackend({ maxEntries: 2 });
+  backend.set('a', { topic: 'a', points: [] });
+  backend.set('b', { topic: 'b', points: [] });
+  backend.get('a');
+  backend.set('c', { topic: 'c', points: [] });
+  assert.deepEqual(backend.entries().map(([key]) => key), ['a', 'c']);
+  assert.equal(backend.stats().evictions, 1);
+});
+
+test('lowering the limits evicts right away', () => {
+  const backend = createMemoryBackend();
+  ['a', 'b', 'c'].forEach(key => backend.set(key, { topic: key, points: [] }));
+  assert.equal(backend.setLimits({ maxEntries: 1 }), 2);
+  assert.deepEqual(backend.entries().map(([key]) => key), ['c']);
+});
+
+test('cache counts hits and misses and drops expired entries', async () => {
+  const cache = createGenerationCache({ backend: createMemoryBackend() });
+  cache.set('tea', { topic: 'Tea', points: ['Tea is calming.'] });
+  cache.set('soon', { topic: 'Soon', points: [] }, { ttl: 1 });
+  await sleep(5);
+
+  assert.deepEqual(cache.get('tea').points, ['Tea is calming.']);
+  assert.equal(cache.get('tea').hits, 2);
+  assert.equal(cache.get('soon'), null);
+  assert.equal(cache.inspect('soon'), null);
+  assert.equal(cache.get('missing'), null);
+  const { hits, misses, entries } = cache.stats();
+  assert.deepEqual({ hits, misses, entries }, { hits: 2, misses: 2, entries: 1 });
+});
+
+test('purgeTopic matches topics the way cache keys do', () => {
+  const cache = createGenerationCache({ backend: createMemoryBackend() });
+  cache.set('k1', { topic: 'Solar  Power', points: [] });
+  cache.set('k2', { topic: 'solar power ', points: [] });
+  cache.set('k3', { topic: 'Wind', points: [] });
+  cache.set('k4', { topic: 'Cafe\u0301 ＣＵＬＴＵＲＥ', points: [] });
+  assert.equal(cache.purgeTopic('SOLAR POWER'), 2);
+  assert.equal(topicKey('Cafe\u0301 ＣＵＬＴＵＲＥ'), topicKey('café culture'));
+  assert.equal(cache.purgeTopic('Café culture'), 1);
+  assert.deepEqual(cache.list().map(entry => entry.key), ['k3']);
+});
+
+test('import skips malformed and expired entries one by one', () => {
+  const source = createGenerationCache({ backend: createMemoryBackend() });
+  source.set('tea', { topic: 'Tea', points: ['Tea is calming.'], meta: { model: 'distilgpt2' } });
+  const exported = source.export();
+
+  const cache = createGenerationCache({ backend: createMemoryBackend() });
+  const result = cache.import({
+    entries: [
+      ...exported.entries,
+      { key: 'bad-points', topic: 'Tea', points: 'not a list' },
+      { key: 'bad-meta', topic: 'Tea', points: [], meta: [] },
+      { topic: 'No key', points: [] },
+      { key: 'expired', topic: 'Old', points: [], expiresAt: Date.now() - 1000 },
+      null
+    ]
+  });
+  assert.deepEqual(result, { imported: 1, skipped: 5 });
+  assert.deepEqual(cache.get('tea').meta, { model: 'distilgpt2' });
+  assert.throws(() => cache.import({}), /entries array/);
+});
+
+test('imported entries without an expiry get the default TTL', () => {
+  const cache = createGenerationCache({ backend: createMemoryBackend(), defaultTtl: 60000 });
+  const before = Date.now();
+  cache.import({
+    entries: [
+      { key: 'no-expiry', topic: 'Tea', points: [] },
+      { key: 'never', topic: 'Tea', points: [], expiresAt: null }
+    ]
+  });
+  assert.ok(cache.inspect('no-expiry').expiresAt >= before + 60000);
+  assert.equal(cache.inspect('never').expiresAt, null);
+});
+
+test('file backend restores valid entries in LRU order and drops damaged ones', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const file = tempFile();
+  const backend = createFileBackend({ file });
+  const cache = createGenerationCache({ backend });
+  cache.set('first', { topic: 'First', points: ['One.'] });
+  cache.set('second', { topic: 'Second', points: ['Two.'] });
+  cache.get('first');
+  cache.flush();
+
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  stored.entries.push(['damaged', { topic: 42, points: [] }], 'not an entry');
+  fs.writeFileSync(file, JSON.stringify(stored));
+
+  const restored = createFileBackend({ file });
+  assert.deepEqual(restored.entries().map(([key]) => key), ['second', 'first']);
+  assert.equal(restored.get('first').hits, 1);
+});
+
+test('file backend saves changes but not lookups', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const file = tempFile();
+  const cache = createGenerationCache({ backend: createFileBackend({ file, persistDelay: 1 }) });
+  const savedHits = () => JSON.parse(fs.readFileSync(file, 'utf8')).entries.map(([, entry]) => entry.hits);
+  cache.set('tea', { topic: 'Tea', points: [] });
+  await waitFor(() => fs.existsSync(file));
+  assert.deepEqual(savedHits(), [0]);
+
+  cache.get('tea');
+  await sleep(50);
+  assert.deepEqual(savedHits(), [0]);
+  cache.flush();
+  assert.deepEqual(savedHits(), [1]);
+
+  cache.purgeTopic('tea');
+  await waitFor(() => savedHits().length === 0);
+  assert.deepEqual(savedHits(), []);
+});
+
+test('file backend starts empty from an unreadable file', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const file = tempFile();
+  fs.writeFileSync(file, '{ not json');
+  assert.equal(createFileBackend({ file }).stats().entries, 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+process.env.HISTORY_FILE = path.join(dir, 'history.json');
+process.env.MAX_HISTORY_ENTRIES = '3';
+
+const {
+  HISTORY_FILE,
+  isValidUserId,
+  validateHistoryEntry,
+  listHistory,
+  getHistoryEntry,
+  addHistoryEntry,
+  updateHistoryEntry,
+  deleteHistoryEntry
+} = require('../src/history-store');
+
+const USER = 'browser-1234';
+const saved = () => JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8')).users;
+
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+test('user ids and entries are validated', () => {
+  assert.equal(isValidUserId(USER), true);
+  assert.equal(isValidUserId('short'), false);
+  assert.equal(isValidUserId('../../etc/passwd'), false);
+  assert.deepEqual(validateHistoryEntry({ topic: 'Tea', points: ['Calming.'], params: { count: 3, stop: ['##'] } }), []);
+  assert.equal(validateHistoryEntry({ topic: ' ', points: 'Calming.', params: { nested: {} }, generationTime: -1 }).length, 4);
+});
+
+test('concurrent adds are all written, without a temp file left behind', async () => {
+  await Promise.all(['Tea', 'Coffee', 'Cocoa'].map(topic => addHistoryEntry(USER, { topic, points: [`${topic} point.`] })));
+  assert.deepEqual(saved()[USER].map(entry => entry.topic), ['Tea', 'Coffee', 'Cocoa']);
+  assert.equal(fs.existsSync(`${HISTORY_FILE}.tmp`), false);
+  assert.deepEqual(listHistory(USER).map(entry => entry.topic), ['Cocoa', 'Coffee', 'Tea']);
+  assert.deepEqual(listHistory(USER, { search: 'COFFEE POINT' }).map(entry => entry.topic), ['Coffee']);
+});
+
+test('past the limit the oldest entries go first and favourites are kept', async () => {
+  const [tea] = listHistory(USER).slice(-1);
+  assert.equal((await updateHistoryEntry(USER, tea.id, { favourite: true })).favourite, true);
+  await addHistoryEntry(USER, { topic: 'Matcha', points: [] });
+  assert.deepEqual(listHistory(USER).map(entry => entry.topic), ['Matcha', 'Cocoa', 'Tea']);
+  assert.deepEqual(listHistory(USER, { favourites: true }).map(entry => entry.topic), ['Tea']);
+  assert.equal(saved()[USER].find(entry => entry.id === tea.id).favourite, true);
+});
+
+test('deleting the last entry drops the user from the file', async () => {
+  const other = 'browser-5678';
+  const entry = await addHistoryEntry(other, { topic: ' Juice ', points: ['Fresh.'], generationTime: 120 });
+  assert.equal(getHistoryEntry(other, entry.id).topic, 'Juice');
+  assert.equal(getHistoryEntry(USER, entry.id), null);
+
+  assert.equal(await deleteHistoryEntry(other, entry.id), true);
+  assert.equal(await deleteHistoryEntry(other, entry.id), false);
+  assert.equal(saved()[other], undefined);
+});
+
+test('a failed write is reported to its caller and later writes still run', async () => {
+  fs.mkdirSync(`${HISTORY_FILE}.tmp`);
+  await assert.rejects(addHistoryEntry(USER, { topic: 'Lost', points: [] }));
+  fs.rmdirSync(`${HISTORY_FILE}.tmp`);
+
+  await addHistoryEntry(USER, { topic: 'Saved', points: [] });
+  assert.equal(saved()[USER].at(-1).topic, 'Saved');
+});
+
+test('saved history is read back when the store loads', (t) => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const entries = saved()[USER];
+  delete require.cache[require.resolve('../src/history-store')];
+  assert.deepEqual(require('../src/history-store').listHistory(USER).reverse(), entries);
+
+  fs.writeFileSync(HISTORY_FILE, '{');
+  delete require.cache[require.resolve('../src/history-store')];
+  assert.deepEqual(require('../src/history-store').listHistory(USER), []);
+  assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createInferenceQueue } = require('../src/inference-queue');
+
+// A task that finishes when release() is called
+function deferredTask(value) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { task: () => done.then(() => value), release: () => release() };
+}
+
+test('jobs run one at a time in FIFO order and report their queue position', async () => {
+  const queue = createInferenceQueue({ concurrency: 1 });
+  const order = [];
+  const first = deferredTask('a');
+  const positions = [];
+  const a = queue.run(() => first.task().then(value => { order.push(value); return value; }));
+  const b = queue.run(async () => { order.push('b'); return 'b'; }, { onQueued: position => positions.push(position) });
+
+  assert.equal(queue.stats().waiting, 1);
+  first.release();
+  const [resultA, resultB] = await Promise.all([a, b]);
+  assert.deepEqual(order, ['a', 'b']);
+  assert.equal(resultA.result, 'a');
+  assert.equal(resultB.position, 1);
+  assert.deepEqual(positions, [1]);
+  assert.equal(queue.stats().processed, 2);
+});
+
+test('a full queue rejects with QUEUE_FULL and admit() throws the same error', async () => {
+  const queue = createInferenceQueue({ concurrency: 1, maxDepth: 1 });
+  const running = deferredTask();
+  const jobs = [queue.run(running.task), queue.run(async () => {})];
+
+  assert.throws(() => queue.admit(), error => error.code === 'QUEUE_FULL' && error.status === 503 && error.retryAfter >= 1);
+  await assert.rejects(queue.run(async () => {}), { code: 'QUEUE_FULL' });
+  assert.equal(queue.stats().rejected, 2);
+
+  running.release();
+  await Promise.all(jobs);
+  assert.doesNotThrow(() => queue.admit());
+});
+
+test('a job that runs past its timeout rejects with TIMEOUT and sees its signal abort', async () => {
+  const queue = createInferenceQueue();
+  let signal = null;
+  const running = deferredTask();
+  const job = queue.run((options) => { signal = options.signal; return running.task(); }, { timeout: 10 });
+
+  await assert.rejects(job, { code: 'TIMEOUT', status: 504 });
+  assert.equal(signal.aborted, true);
+  assert.equal(queue.stats().timedOut, 1);
+  running.release();
+});
+
+test('a client abort drops a waiting job', async () => {
+  const queue = createInferenceQueue({ concurrency: 1 });
+  const running = deferredTask();
+  const first = queue.run(running.task);
+  const controller = new AbortController();
+  let ran = false;
+  const second = queue.run(async () => { ran = true; }, { signal: controller.signal });
+
+  controller.abort();
+  await assert.rejects(second, { code: 'CANCELLED', status: 499 });
+  assert.equal(queue.stats().waiting, 0);
+  running.release();
+  await first;
+  assert.equal(ran, false);
+  await assert.rejects(queue.run(async () => {}, { signal: controller.signal }), { code: 'CANCELLED' });
+});
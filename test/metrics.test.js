@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCounter, createCollector, createHistogram, renderMetrics } = require('../src/metrics');
+
+// Metrics register globally, so every test reads its own metric's lines out of the full exposition
+function linesOf(name) {
+  return renderMetrics().split('\n').filter(line => line.includes(`textgen_${name}`));
+}
+
+test('counters add up per label set, whatever the label order', () => {
+  const requests = createCounter('test_requests_total', 'Requests served');
+  requests.inc({ route: '/api/generate', status: 200 });
+  requests.inc({ status: 200, route: '/api/generate' }, 2);
+  requests.inc();
+  assert.deepEqual(linesOf('test_requests_total'), [
+    '# HELP textgen_test_requests_total Requests served',
+    '# TYPE textgen_test_requests_total counter',
+    'textgen_test_requests_total{route="/api/generate",status="200"} 3',
+    'textgen_test_requests_total 1'
+  ]);
+});
+
+test('label values are escaped', () => {
+  createCounter('test_escaped_total', 'Escaped labels').inc({ topic: 'say "hi"\\\nbye' });
+  assert.equal(linesOf('test_escaped_total')[2], 'textgen_test_escaped_total{topic="say \\"hi\\"\\\\\\nbye"} 1');
+});
+
+test('collectors read their samples at render time and print non-finite values as NaN', () => {
+  let depth = 2;
+  createCollector('test_queue_depth', 'Jobs waiting', 'gauge', () => [{ value: depth }, { labels: { pool: 'b' }, value: Infinity }]);
+  assert.equal(linesOf('test_queue_depth')[2], 'textgen_test_queue_depth 2');
+  depth = 5;
+  assert.deepEqual(linesOf('test_queue_depth').slice(1), [
+    '# TYPE textgen_test_queue_depth gauge',
+    'textgen_test_queue_depth 5',
+    'textgen_test_queue_depth{pool="b"} NaN'
+  ]);
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', () => {
+  const duration = createHistogram('test_duration_seconds', 'Phase duration', [0.1, 1]);
+  duration.observe({ phase: 'gen' }, 0.05);
+  duration.observe({ phase: 'gen' }, 0.5);
+  duration.observe({ phase: 'gen' }, 3);
+  assert.deepEqual(linesOf('test_duration_seconds').slice(1), [
+    '# TYPE textgen_test_duration_seconds histogram',
+    'textgen_test_duration_seconds_bucket{phase="gen",le="0.1"} 1',
+    'textgen_test_duration_seconds_bucket{phase="gen",le="1"} 2',
+    'textgen_test_duration_seconds_bucket{phase="gen",le="+Inf"} 3',
+    'textgen_test_duration_seconds_sum{phase="gen"} 3.55',
+    'textgen_test_duration_seconds_count{phase="gen"} 3'
+  ]);
+  assert.ok(renderMetrics().endsWith('\n'));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+process.env.MODERATION_FILE = path.join(dir, 'moderation.json');
+['MODERATION_POLICY', 'MODERATION_CLASSIFIER', 'MODERATION_THRESHOLD', 'MODERATION_LABELS', 'MODERATION_REGENERATE_ATTEMPTS']
+  .forEach(name => delete process.env[name]);
+
+const {
+  checkModerationFile,
+  reloadModeration,
+  isBlocklisted,
+  redact,
+  setClassifierRunner,
+  checkText,
+  moderateTopic,
+  moderatePoints,
+  createStreamRedactor
+} = require('../src/moderation');
+
+// Writes the moderation file and reloads it
+function useRules(rules) {
+  fs.writeFileSync(process.env.MODERATION_FILE, JSON.stringify({
+    defaultBlocklist: false,
+    blocklist: ['darn', 'heck no', '/\\bcrap\\w*/i'],
+    allowlist: ['darn good'],
+    ...rules
+  }));
+  return reloadModeration();
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  useRules({ policy: 'redact' });
+  setClassifierRunner(null);
+});
+
+test('the blocklist matches whole words and phrases, case-insensitively', () => {
+  assert.equal(isBlocklisted('Well, DARN it'), true);
+  assert.equal(isBlocklisted('Heck   no, thanks'), true);
+  assert.equal(isBlocklisted('Crappy weather'), true);
+  assert.equal(isBlocklisted('darned socks'), false);
+  assert.equal(isBlocklisted('A darn good idea'), false);
+});
+
+test('the off policy disables every check', async () => {
+  assert.equal(useRules({ policy: 'off' }), 'off');
+  assert.equal(isBlocklisted('darn'), false);
+  assert.deepEqual(await checkText('darn'), { flagged: false, hits: [], classifier: null });
+});
+
+test('an invalid file is reported and the previous rules stay', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  assert.equal(useRules({ policy: 'bogus' }), 'redact');
+  assert.equal(isBlocklisted('darn'), true);
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(checkModerationFile()[0], /Invalid moderation policy "bogus"/);
+
+  fs.writeFileSync(process.env.MODERATION_FILE, '{');
+  assert.equal(reloadModeration(), 'redact');
+  assert.match(checkModerationFile()[0], /Could not read/);
+
+  useRules({ policy: 'reject' });
+  assert.deepEqual(checkModerationFile(), []);
+});
+
+test('redact masks each blocked word', () => {
+  assert.equal(redact('darn, heck no and crap'), '[redacted], [redacted] and [redacted]');
+});
+
+test('moderateTopic rejects a blocked topic whatever the policy', async () => {
+  await assert.rejects(moderateTopic('darn topics'), { status: 400, code: 'CONTENT_BLOCKED' });
+  await assert.doesNotReject(moderateTopic('Tea'));
+});
+
+test('moderatePoints applies the redact, regenerate and reject policies', async () => {
+  const points = ['Tea is calming.', 'Darn good tea.', 'Darn expensive tea.'];
+  const redacted = await moderatePoints(points);
+  assert.deepEqual(redacted.points, ['Tea is calming.', 'Darn good tea.', '[redacted] expensive tea.']);
+  assert.equal(redacted.report.redacted, 1);
+
+  useRules({ policy: 'regenerate' });
+  const regenerate = await moderatePoints(points);
+  assert.deepEqual(regenerate.flagged, [2]);
+  assert.deepEqual(regenerate.points, points);
+
+  useRules({ policy: 'reject' });
+  await assert.rejects(moderatePoints(points), { status: 422, code: 'CONTENT_BLOCKED' });
+});
+
+test('the classifier flags configured labels above the threshold and drops them under redact', async (t) => {
+  useRules({ policy: 'redact', classifier: { model: 'toxic-bert', threshold: 0.7, labels: ['toxic'] } });
+  const runner = t.mock.fn(async (model, text) => [
+    { label: 'toxic', score: text.includes('rude') ? 0.9 : 0.1 },
+    { label: 'neutral', score: 0.95 }
+  ]);
+  setClassifierRunner(runner);
+
+  const { points, report } = await moderatePoints(['A rude remark.', 'A kind remark.']);
+  assert.deepEqual(points, [null, 'A kind remark.']);
+  assert.equal(report.dropped, 1);
+  assert.equal(runner.mock.calls[0].arguments[0], 'toxic-bert');
+});
+
+test('a failing classifier falls back to the blocklist', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  useRules({ policy: 'redact', classifier: { model: 'missing-model' } });
+  setClassifierRunner(async () => { throw new Error('model not found'); });
+  assert.deepEqual(await checkText('A rude remark.'), { flagged: false, hits: [], classifier: null });
+});
+
+test('the stream redactor holds back phrases split across tokens and flushes the rest', () => {
+  const redactor = createStreamRedactor();
+  const sent = ['Oh ', 'he', 'ck ', 'no', ' it is ', 'darn'].map(chunk => redactor.push(0, chunk)).join('');
+  const rest = redactor.flush(0);
+  assert.equal(sent + rest, 'Oh [redacted] it is [redacted]');
+  assert.ok(!sent.includes('heck'));
+  assert.equal(redactor.flush(0), '');
+});
+
+test('stream slots are redacted independently', () => {
+  const redactor = createStreamRedactor();
+  const first = redactor.push(0, 'da') + redactor.push(1, 'Tea is ') + redactor.push(0, 'rn it ');
+  assert.equal(first + redactor.flush(0), '[redacted] it ');
+  assert.equal(redactor.flush(1), 'Tea is ');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isDuplicate, scoreCandidates, selectTopPoints } = require('../src/quality');
+
+// Encoder-decoder models are scored on topic word overlap, so no forward pass is needed
+const seq2seq = { model: { config: { is_encoder_decoder: true } } };
+
+test('isDuplicate ignores case and punctuation and catches mostly shared wording', () => {
+  assert.equal(isDuplicate('Solar power cuts costs.', 'solar power cuts costs!'), true);
+  assert.equal(isDuplicate('Solar power cuts energy costs at home.', 'Solar power cuts energy costs for firms.'), true);
+  assert.equal(isDuplicate('Solar power cuts costs.', 'Panels last for decades.'), false);
+});
+
+test('scoreCandidates rates relevance, repetition and completeness', async () => {
+  const [relevant, repetitive, dangling] = await scoreCandidates(seq2seq, 'solar power', [
+    'Solar power lowers monthly electricity bills.',
+    'Bills bills bills bills bills.',
+    'It helps people and'
+  ]);
+  assert.equal(relevant.relevance, 1);
+  assert.equal(repetitive.relevance, 0);
+  assert.ok(repetitive.repetition < relevant.repetition);
+  assert.ok(dangling.completeness < relevant.completeness);
+});
+
+test('scoreCandidates stops when its signal aborts', async () => {
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(scoreCandidates(seq2seq, 'tea', ['Tea is calming.'], { signal: controller.signal }), { name: 'AbortError' });
+});
+
+test('selectTopPoints prefers the best candidates and passes over near-duplicates', () => {
+  const candidate = (text, relevance) => ({ text, relevance, repetition: 1, completeness: 1 });
+  const selected = selectTopPoints([
+    candidate('Solar power lowers monthly electricity bills.', 1),
+    candidate('Solar power lowers monthly electricity bills a lot.', 0.9),
+    candidate('Panels keep working for decades.', 0.6)
+  ], 2);
+  assert.deepEqual(selected.map(point => point.text), [
+    'Solar power lowers monthly electricity bills.',
+    'Panels keep working for decades.'
+  ]);
+  assert.ok(selected[0].score >= selected[1].score);
+});
+
+test('selectTopPoints stops below minScore', () => {
+  const selected = selectTopPoints([{ text: 'Weak bullet here.', relevance: 0, repetition: 0, completeness: 0 }], 3, { minScore: 0.5 });
+  assert.deepEqual(selected, []);
+});
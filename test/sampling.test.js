@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSamplingParams, samplingKey, toGenerationOptions, createSeededRandom } = require('../src/sampling');
+
+test('parseSamplingParams keeps only the fields the client set, converting query strings', () => {
+  assert.deepEqual(parseSamplingParams({ temperature: '0.7', topK: 40, doSample: 'false', topP: '' }), {
+    sampling: { temperature: 0.7, topK: 40, doSample: false },
+    errors: []
+  });
+  assert.deepEqual(parseSamplingParams(), { sampling: {}, errors: [] });
+});
+
+test('parseSamplingParams reports invalid values', () => {
+  const { sampling, errors } = parseSamplingParams({ temperature: 'hot', topK: 2.5, maxTokens: 500, doSample: 'yes' });
+  assert.deepEqual(sampling, {});
+  assert.deepEqual(errors, [
+    'temperature must be a number',
+    'topK must be an integer',
+    'maxTokens must be between 1 and 200',
+    'doSample must be true (sampling) or false (greedy/beam search)'
+  ]);
+});
+
+test('parseSamplingParams rejects a seed with beam search', () => {
+  assert.deepEqual(parseSamplingParams({ seed: 1, numBeams: 3 }).errors, ['seed can only be used with numBeams 1']);
+});
+
+test('samplingKey is independent of field order', () => {
+  assert.equal(samplingKey({ topP: 0.9, temperature: 1 }), samplingKey({ temperature: 1, topP: 0.9 }));
+  assert.equal(samplingKey({}), '');
+});
+
+test('toGenerationOptions only passes the sampling knobs when sampling', () => {
+  assert.deepEqual(toGenerationOptions({ temperature: 0.5, numBeams: 2, doSample: false }), {
+    max_new_tokens: undefined,
+    do_sample: false,
+    num_beams: 2,
+    repetition_penalty: undefined
+  });
+  const options = toGenerationOptions({ temperature: 0.5, topK: 10, doSample: true });
+  assert.equal(options.temperature, 0.5);
+  assert.equal(options.top_k, 10);
+  assert.equal(options.num_beams, 1);
+});
+
+test('createSeededRandom repeats its sequence for a seed and stays in [0, 1)', () => {
+  const first = createSeededRandom(42);
+  const second = createSeededRandom(42);
+  const values = Array.from({ length: 100 }, () => first());
+  assert.deepEqual(Array.from({ length: 100 }, () => second()), values);
+  assert.ok(values.every(value => value >= 0 && value < 1));
+  assert.notEqual(createSeededRandom(43)(), values[0]);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-store-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+process.env.TEMPLATES_FILE = path.join(dir, 'templates.json');
+
+const { setLogger } = require('../src/log');
+const {
+  TEMPLATES_FILE,
+  validateTemplate,
+  checkTemplatesFile,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  reloadTemplates
+} = require('../src/template-store');
+
+setLogger(() => {});
+test.after(() => setLogger(null));
+
+const saved = () => JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+const input = name => ({ name, structured: [`${name} of {topic}:\n1.`] });
+
+test('validateTemplate reports every problem with a body', () => {
+  assert.deepEqual(validateTemplate(input('Tips')), []);
+  assert.deepEqual(validateTemplate({ name: ' ', structured: ['No topic', 'Top {n} of {topic}'], single: 'x' }), [
+    'name is required',
+    'structured[0] must contain the {topic} placeholder',
+    'structured[1] uses unknown placeholder {n}',
+    'single must be an array of prompt strings'
+  ]);
+});
+
+test('the store starts with the starter templates and keeps the built-ins read-only', async () => {
+  const ids = listTemplates().map(template => template.id);
+  assert.ok(ids.includes('pros-cons'));
+  assert.equal(listTemplates()[0].builtIn, true);
+  await assert.rejects(deleteTemplate(listTemplates()[0].id), { status: 403 });
+  assert.equal(fs.existsSync(TEMPLATES_FILE), false);
+});
+
+test('concurrent edits are all written, in order, without a temp file left behind', async () => {
+  await Promise.all([createTemplate(input('Tips')), createTemplate(input('Myths')), createTemplate({ ...input('Facts'), id: 'Fun Facts!' })]);
+  await assert.rejects(createTemplate(input('Tips')), { status: 409 });
+  const ids = saved().templates.map(template => template.id);
+  assert.ok(['tips', 'myths', 'fun-facts'].every(id => ids.includes(id)));
+  assert.equal(fs.existsSync(`${TEMPLATES_FILE}.tmp`), false);
+});
+
+test('updates bump the version and a recreated template continues after the deleted one', async () => {
+  assert.equal((await updateTemplate('tips', input('Quick tips'))).version, 2);
+  assert.equal(await deleteTemplate('tips'), true);
+  assert.equal(await deleteTemplate('tips'), false);
+  assert.equal(saved().retiredVersions.tips, 2);
+
+  await reloadTemplates();
+  assert.equal((await createTemplate(input('Tips'))).version, 3);
+  assert.equal(getTemplate('tips').createdAt, getTemplate('tips').updatedAt);
+});
+
+test('a failed write is reported to its caller and later writes still run', async () => {
+  fs.mkdirSync(`${TEMPLATES_FILE}.tmp`);
+  await assert.rejects(updateTemplate('myths', input('Old myths')));
+  fs.rmdirSync(`${TEMPLATES_FILE}.tmp`);
+
+  await updateTemplate('myths', input('Common myths'));
+  assert.equal(saved().templates.find(template => template.id === 'myths').name, 'Common myths');
+});
+
+test('reloadTemplates picks up hand edits and retires templates removed from the file', async () => {
+  const data = saved();
+  data.templates = data.templates.filter(template => template.id !== 'myths');
+  data.templates.push({ id: 'by-hand', ...input('By hand'), version: 1 });
+  fs.writeFileSync(TEMPLATES_FILE, JSON.stringify(data));
+
+  await reloadTemplates();
+  assert.equal(getTemplate('myths'), null);
+  assert.equal(getTemplate('by-hand').name, 'By hand');
+  assert.equal((await createTemplate(input('Myths'))).version, 4);
+});
+
+test('checkTemplatesFile lists the problems a reload would run into', () => {
+  assert.deepEqual(checkTemplatesFile(), []);
+  fs.writeFileSync(TEMPLATES_FILE, JSON.stringify({ templates: [{ id: 'bad', name: 'Bad', structured: [] }, { name: 'No id' }] }));
+  assert.deepEqual(checkTemplatesFile(), [
+    `${TEMPLATES_FILE}: template bad: structured must be a non-empty array of prompt strings`,
+    `${TEMPLATES_FILE}: template #2: id is required`
+  ]);
+  fs.writeFileSync(TEMPLATES_FILE, '{');
+  assert.match(checkTemplatesFile()[0], /^Could not read /);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool } = require('../src/worker-pool');
+
+// Stands in for inference-worker.js: "crash" exits the thread, "wait" runs until it is cancelled,
+// any other topic comes back as its only point along with the worker's thread id
+const FAKE_WORKER = `
+const { parentPort, threadId } = require('worker_threads');
+const waiting = new Map();
+parentPort.on('message', ({ id, type, topic, target, reason }) => {
+  if (type === 'load') return parentPort.postMessage({ id, type: 'result', result: { loadTime: 1 } });
+  if (type === 'cancel') {
+    if (waiting.has(target)) parentPort.postMessage({ id: target, type: 'error', error: reason });
+    return waiting.delete(target);
+  }
+  if (topic === 'crash') process.exit(1);
+  if (topic === 'wait') return waiting.set(id, true);
+  setTimeout(() => parentPort.postMessage({ id, type: 'result', result: { points: [topic], threadId } }), 20);
+});
+`;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const workerFile = path.join(dir, 'worker.js');
+fs.writeFileSync(workerFile, FAKE_WORKER);
+
+function startPool(t, size) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const pool = createWorkerPool({ size, workerFile });
+  // Restart timers don't hold the process open (the server's listener does), so this keeps it up meanwhile
+  const keepAlive = setInterval(() => {}, 1000);
+  t.after(() => {
+    clearInterval(keepAlive);
+    return pool.close();
+  });
+  return pool;
+}
+
+const cancelled = () => Object.assign(new Error('Request cancelled'), { status: 499, code: 'CANCELLED' });
+
+test('jobs go to the least busy worker', async (t) => {
+  const pool = startPool(t, 2);
+  const results = await Promise.all([pool.run({ topic: 'tea' }), pool.run({ topic: 'coffee' })]);
+  assert.deepEqual(results.map(result => result.points[0]), ['tea', 'coffee']);
+  assert.notEqual(results[0].threadId, results[1].threadId);
+  assert.deepEqual(pool.stats().workers.map(worker => worker.completedJobs), [1, 1]);
+});
+
+test('a crash fails the in-flight job, and jobs sent meanwhile wait for the restarted worker', async (t) => {
+  const pool = startPool(t, 1);
+  await pool.loadModel('distilgpt2', 'fp32');
+  assert.deepEqual(pool.stats().workers[0].loaded, ['distilgpt2@fp32']);
+
+  await assert.rejects(pool.run({ topic: 'crash' }), /Inference worker 0 exited with code 1/);
+  assert.equal(pool.stats().workers[0].state, 'restarting');
+  const queued = pool.run({ topic: 'tea' });
+
+  assert.deepEqual((await queued).points, ['tea']);
+  const [worker] = pool.stats().workers;
+  assert.deepEqual({ state: worker.state, restarts: worker.restarts, loaded: worker.loaded }, { state: 'running', restarts: 1, loaded: [] });
+});
+
+test('aborting a running job cancels it in the worker', async (t) => {
+  const pool = startPool(t, 1);
+  const controller = new AbortController();
+  const running = pool.run({ topic: 'wait' }, { signal: controller.signal });
+  setTimeout(() => controller.abort(cancelled()), 20);
+  await assert.rejects(running, { status: 499, code: 'CANCELLED' });
+  assert.equal(pool.stats().workers[0].activeJobs, 0);
+});
+
+test('a job aborted while it waits for a restart never runs', async (t) => {
+  const pool = startPool(t, 1);
+  await assert.rejects(pool.run({ topic: 'crash' }));
+  const controller = new AbortController();
+  const queued = pool.run({ topic: 'tea' }, { signal: controller.signal });
+  controller.abort(cancelled());
+
+  await assert.rejects(queued, { code: 'CANCELLED' });
+  assert.equal(pool.stats().workers[0].completedJobs, 0);
+});